@@ -1,24 +1,498 @@
+// Session token from /api/login. Kept in localStorage so a page reload does
+// not require logging in again; empty when the server runs without auth.
+let authToken = localStorage.getItem("adminToken") || "";
+
+function authHeaders() {
+  return authToken ? { Authorization: `Bearer ${authToken}` } : {};
+}
+
+// Shared response handling: a 401 means the session is missing or expired,
+// so switch to the login screen.
+async function handleResponse(res) {
+  if (res.status === 401) {
+    const json = await res.json().catch(() => ({}));
+    showLogin();
+    throw new Error(json.error === "Unauthorized" || !json.error ? "Please log in" : json.error);
+  }
+  if (!res.ok) throw new Error((await res.json()).error || res.statusText);
+  return res.json();
+}
+
 async function api(path, body) {
   const res = await fetch(path, {
     method: "POST",
-    headers: { "Content-Type": "application/json" },
+    headers: { "Content-Type": "application/json", ...authHeaders() },
     body: JSON.stringify(body || {}),
   });
-  if (!res.ok) throw new Error((await res.json()).error || res.statusText);
-  return res.json();
+  return handleResponse(res);
+}
+
+async function apiGet(path) {
+  const res = await fetch(path, { headers: authHeaders() });
+  return handleResponse(res);
+}
+
+// The game room this page controls, from ?room= (default: "default")
+const roomId = new URLSearchParams(location.search).get("room") || "default";
+
+// Build the API path of a room-scoped route, e.g. roomPath("/state")
+function roomPath(path) {
+  return `/api/rooms/${encodeURIComponent(roomId)}${path}`;
+}
+
+function showLogin() {
+  document.getElementById("adminCard").style.display = "none";
+  document.getElementById("loginCard").style.display = "block";
+  document.getElementById("password").focus();
+}
+
+function showAdmin() {
+  document.getElementById("loginCard").style.display = "none";
+  document.getElementById("adminCard").style.display = "block";
+  document.getElementById("logout").style.display = authToken ? "inline-block" : "none";
+}
+
+document.getElementById("loginForm").onsubmit = async (ev) => {
+  ev.preventDefault();
+  const errEl = document.getElementById("loginError");
+  errEl.textContent = "";
+  try {
+    const password = document.getElementById("password").value;
+    const json = await api("/api/login", { password });
+    authToken = json.token || "";
+    if (authToken) localStorage.setItem("adminToken", authToken);
+    document.getElementById("password").value = "";
+    init();
+  } catch (e) {
+    errEl.textContent = String(e.message || e);
+  }
+};
+
+// Switch to another room by reloading the page with ?room=
+document.getElementById("switchRoom").onclick = () => {
+  const id = document.getElementById("roomId").value.trim();
+  if (!id || id === roomId) return;
+  location.search = `?room=${encodeURIComponent(id)}`;
+};
+
+// Delete the current room and go back to the default room
+document.getElementById("deleteRoom").onclick = async () => {
+  if (!confirm(`Delete room "${roomId}"?`)) return;
+  try {
+    await api(roomPath("/delete"));
+    location.search = "";
+  } catch (e) {
+    toast(String(e.message || e), false);
+  }
+};
+
+// Fill the room picker with the rooms that exist on the server
+async function loadRooms() {
+  const json = await apiGet("/api/rooms");
+  const list = document.getElementById("roomList");
+  list.innerHTML = "";
+  for (const r of json.rooms) {
+    const opt = document.createElement("option");
+    opt.value = r.roomId;
+    if (r.connectedRoom) opt.label = `@${r.connectedRoom}`;
+    list.appendChild(opt);
+  }
 }
 
+document.getElementById("logout").onclick = async () => {
+  try {
+    await api("/api/logout");
+  } catch (e) {
+    // the session is dropped locally either way
+  }
+  authToken = "";
+  localStorage.removeItem("adminToken");
+  socket?.disconnect();
+  socket = null;
+  showLogin();
+};
+
+// Reload the state snapshot and redraw the status line and the dashboard.
+// Called after admin actions and, debounced, on live events.
 async function refreshState() {
-  const res = await fetch("/api/state");
-  const json = await res.json();
+  // Skip while the login screen is up
+  if (document.getElementById("adminCard").style.display === "none") return;
+  const json = await fetchState();
+  renderDashboard(json);
   const s = document.getElementById("state");
   // Build status string including mode and poll info
   const modeStr = json.mode ? `Mode: ${json.mode}` : "";
-  const pollStr = json.poll ? ` | Poll: active` : "";
+  const pollStr = json.poll ? ` | Poll: ${json.poll.question}${json.poll.runoff ? " (runoff)" : ""}` : "";
   s.textContent =
-    `Room: ${json.connectedRoom || "-"} | Running: ${json.isRunning ? "Yes" : "No"} | Secret set: ${json.secretSet ? "Yes" : "No"} | Winner: ${json.winner ? json.winner.nickname : "-"} | ${modeStr}${pollStr}`;
+    `Game room: ${json.roomId} | TikTok: ${json.connectedRoom || "-"} | Running: ${json.isRunning ? "Yes" : "No"} | Secret set: ${json.secretSet ? "Yes" : "No"} | Winner: ${json.winner ? json.winner.nickname : "-"} | ${modeStr}${pollStr}`;
+  if (json.wordQueue) {
+    const q = json.wordQueue;
+    document.getElementById("queueInfo").textContent = q.remaining
+      ? `Queue: ${q.remaining} word(s) left from ${q.lists.join(", ")}${q.order === "shuffle" ? " (shuffled)" : ""}`
+      : "Queue: empty";
+  }
+  if (json.autoRun) {
+    const a = json.autoRun;
+    document.getElementById("autoInfo").textContent = a.enabled
+      ? `Auto-run: ${a.phase} | Rounds played: ${a.roundsPlayed}`
+      : "Auto-run: off";
+  }
+  // Reload the round history when a round has been recorded
+  if (json.roundCount !== lastRoundCount) {
+    lastRoundCount = json.roundCount;
+    loadRounds().catch(() => {});
+  }
+  if (json.pollCount !== lastPollCount) {
+    lastPollCount = json.pollCount;
+    loadPolls().catch(() => {});
+  }
+  if (json.auditCount !== lastAuditCount) {
+    lastAuditCount = json.auditCount;
+    loadAuditLog().catch(() => {});
+  }
+  // A recording starts or ends with the connection
+  if (json.recording !== lastRecording) {
+    lastRecording = json.recording;
+    loadRecordings().catch(() => {});
+  }
+}
+
+// ===================
+// Live dashboard
+// ===================
+
+// The room's Socket.IO stream (the same one overlays use). Connected once
+// the admin is authenticated.
+let socket = null;
+
+// What the dashboard shows, kept up to date from socket events
+const live = {
+  secret: "",
+  // The mask and the secret as one tile per character (see alignWord in
+  // engine.js); secretTiles is only sent to admins
+  tiles: [],
+  secretTiles: [],
+  isRunning: false,
+  roundEndsAt: 0,
+  poll: null,
+  pollResult: null,
+  connectedRoom: null,
+  tiktokStatus: "",
+  latencyMs: null,
+  lastEventAt: 0,
+};
+const MAX_FEED_LINES = 100;
+
+// The state snapshot: over the socket when it is up (one round trip, no
+// extra HTTP request), otherwise from /state.
+function fetchState() {
+  if (!socket?.connected) return apiGet(roomPath("/state"));
+  return new Promise((resolve, reject) => {
+    socket.timeout(5000).emit("state", (err, state) => (err ? reject(err) : resolve(state)));
+  });
+}
+
+// Refresh once shortly after a burst of events instead of for each one
+let refreshTimer = null;
+function scheduleRefresh() {
+  clearTimeout(refreshTimer);
+  refreshTimer = setTimeout(() => refreshState().catch(() => {}), 250);
+}
+
+function renderDashboard(state) {
+  live.secret = state.secret || "";
+  live.tiles = state.tiles || [];
+  live.secretTiles = state.secretTiles || [];
+  live.isRunning = state.isRunning;
+  live.connectedRoom = state.connectedRoom;
+  live.roundEndsAt = state.timeLeftMs > 0 ? Date.now() + state.timeLeftMs : 0;
+  live.poll = state.poll;
+  renderMask();
+  renderSecret(state);
+  renderLivePoll();
+  renderHealth();
+}
+
+// Whether the tile at index i is shown on the overlays
+function isRevealed(i) {
+  const ch = live.tiles[i];
+  return ch !== undefined && (ch !== "_" || live.secretTiles[i] === "_");
+}
+
+function hiddenPositions() {
+  const hidden = [];
+  for (let i = 0; i < live.tiles.length; i++) if (!isRevealed(i)) hidden.push(i);
+  return hidden;
+}
+
+// The mask as letter tiles. Hidden tiles show the secret letter faintly
+// (unless hidden) and reveal it when clicked.
+function renderMask() {
+  const el = document.getElementById("liveMask");
+  el.innerHTML = "";
+  const hideSecret = document.getElementById("hideSecret").checked;
+  const ended = !live.roundEndsAt;
+  for (let i = 0; i < live.tiles.length; i++) {
+    const tile = document.createElement("button");
+    tile.className = "maskTile";
+    if (isRevealed(i)) {
+      tile.textContent = live.tiles[i] === " " ? "\u00a0" : live.tiles[i];
+      tile.classList.add("revealed");
+      tile.disabled = true;
+    } else {
+      tile.textContent = hideSecret || !live.secretTiles[i] ? "_" : live.secretTiles[i];
+      tile.title = `Reveal letter ${i + 1}`;
+      tile.disabled = ended;
+      tile.onclick = () => revealPosition(i);
+    }
+    el.appendChild(tile);
+  }
+  if (!live.tiles.length) el.textContent = "No word";
+}
+
+function renderSecret(state) {
+  const el = document.getElementById("liveSecret");
+  if (!live.secret) {
+    el.textContent = "No round";
+  } else if (document.getElementById("hideSecret").checked) {
+    el.textContent = "Secret hidden";
+  } else {
+    const others = (state?.answers || []).slice(1);
+    el.textContent = `Secret: ${live.secret}${others.length ? ` (also: ${others.join(", ")})` : ""}`;
+  }
+}
+
+async function revealPosition(index) {
+  try {
+    await api(roomPath("/reveal-letters"), { positions: String(index + 1) });
+  } catch (e) {
+    toast(String(e.message || e), false);
+  }
+}
+
+function renderTimer() {
+  const el = document.getElementById("liveTimer");
+  if (!live.roundEndsAt) {
+    el.textContent = "";
+    return;
+  }
+  const left = Math.max(0, live.roundEndsAt - Date.now());
+  el.textContent = `${Math.ceil(left / 1000)}s`;
+  el.classList.toggle("low", left < 5000);
+}
+
+// Poll bars for the running poll, or the result of the last one
+function renderLivePoll() {
+  const el = document.getElementById("livePoll");
+  const poll = live.poll || live.pollResult;
+  if (!poll) {
+    el.style.display = "none";
+    return;
+  }
+  el.style.display = "";
+  el.innerHTML = "";
+  const header = document.createElement("div");
+  header.className = "pollHeader";
+  header.textContent = live.poll
+    ? `${poll.runoff ? "Runoff: " : ""}${poll.question} – ${Math.max(0, Math.ceil((poll.endsAt - Date.now()) / 1000))}s`
+    : `${poll.question} – ${poll.winner ? `winner: ${poll.winner}` : poll.runoff ? "tie, runoff next" : "no votes"}`;
+  el.appendChild(header);
+  const options = poll.options || Object.keys(poll.tallies || {});
+  const total = options.reduce((sum, opt) => sum + (poll.tallies?.[opt] || 0), 0);
+  options.forEach((opt, i) => {
+    const count = poll.tallies?.[opt] || 0;
+    const row = document.createElement("div");
+    row.className = "pollRow";
+    const label = document.createElement("div");
+    label.className = "pollLabel";
+    label.textContent = `${i + 1}. ${opt}`;
+    const bar = document.createElement("div");
+    bar.className = "pollBar";
+    const fill = document.createElement("div");
+    fill.className = "pollBarFill";
+    fill.style.width = `${total ? Math.round((count / total) * 100) : 0}%`;
+    bar.appendChild(fill);
+    const num = document.createElement("div");
+    num.className = "pollCount";
+    num.textContent = String(count);
+    row.append(label, bar, num);
+    el.appendChild(row);
+  });
 }
 
+// Socket, latency, TikTok connection and time since the last event
+function renderHealth() {
+  const el = document.getElementById("health");
+  let text;
+  if (!socket) text = "Live: off";
+  else if (socket.connected) text = `Live: connected${live.latencyMs != null ? ` (${live.latencyMs} ms)` : ""}`;
+  else text = "Live: reconnecting…";
+  text += ` | Source: ${live.connectedRoom ? `@${live.connectedRoom}` : "not connected"}`;
+  if (live.tiktokStatus) text += ` (${live.tiktokStatus})`;
+  if (live.lastEventAt) text += ` | Last event ${Math.round((Date.now() - live.lastEventAt) / 1000)}s ago`;
+  el.textContent = text;
+  el.style.color = socket?.connected ? "" : "var(--err)";
+}
+
+// Add a line to the incoming feed, newest on top
+function addFeedLine(nick, text, className = "") {
+  const feed = document.getElementById("liveFeed");
+  const line = document.createElement("div");
+  line.className = "msg";
+  const time = document.createElement("span");
+  time.className = "status";
+  time.textContent = new Date().toLocaleTimeString();
+  const nickEl = document.createElement("span");
+  nickEl.className = "nick";
+  nickEl.textContent = nick;
+  const textEl = document.createElement("span");
+  textEl.className = `text ${className}`;
+  textEl.textContent = text;
+  line.append(time, nickEl, textEl);
+  feed.prepend(line);
+  while (feed.children.length > MAX_FEED_LINES) feed.lastChild.remove();
+}
+
+function connectSocket() {
+  socket?.disconnect();
+  socket = io({ auth: { token: authToken, room: roomId } });
+  // Every event counts as a sign of life for the health line
+  socket.onAny(() => {
+    live.lastEventAt = Date.now();
+  });
+  socket.on("connect", () => {
+    measureLatency();
+    renderHealth();
+  });
+  socket.on("disconnect", () => renderHealth());
+  socket.on("connect_error", (err) => {
+    document.getElementById("health").textContent =
+      err?.message === "unauthorized" ? "Live: not authorized" : "Live: cannot connect";
+  });
+  socket.on("bootstrap", (state) => {
+    renderDashboard(state);
+    refreshState().catch(() => {});
+  });
+  socket.on("system", (msg) => {
+    const labels = { connected: "", disconnected: "disconnected", stream_end: "stream ended", error: "error" };
+    live.tiktokStatus = labels[msg.type] ?? "";
+    addFeedLine("system", msg.type === "error" ? `Error: ${msg.message}` : msg.type.replace("_", " "), "close");
+    scheduleRefresh();
+  });
+  socket.on("round", (msg) => {
+    if (msg.tiles) live.tiles = msg.tiles;
+    if (msg.status === "started" || msg.status === "timer_updated") {
+      live.roundEndsAt = Date.now() + msg.timeLeftMs;
+    } else if (["expired", "skipped", "reset"].includes(msg.status)) {
+      live.roundEndsAt = 0;
+    }
+    if (msg.status === "expired") addFeedLine("round", `Time's up – ${msg.answer}`, "wrong");
+    renderMask();
+    // The secret of a new round is only in the admin state snapshot
+    scheduleRefresh();
+  });
+  socket.on("mask", (msg) => {
+    live.tiles = msg.tiles;
+    renderMask();
+  });
+  socket.on("chat", (msg) => {
+    const className = msg.isCorrect ? "right" : msg.isClose ? "close" : "";
+    addFeedLine(msg.nickname, msg.text, className);
+  });
+  socket.on("winner", (msg) => {
+    live.roundEndsAt = 0;
+    addFeedLine("winner", `${msg.nickname} solved it with "${msg.guess}" (+${msg.points} pts)`, "right");
+    renderMask();
+  });
+  socket.on("commandReply", (msg) => addFeedLine(`!${msg.command}`, msg.text, "close"));
+  socket.on("pollStart", (info) => {
+    live.poll = info;
+    live.pollResult = null;
+    renderLivePoll();
+    scheduleRefresh();
+  });
+  socket.on("pollUpdate", (msg) => {
+    if (live.poll) live.poll.tallies = msg.tallies;
+    renderLivePoll();
+  });
+  socket.on("pollEnd", (msg) => {
+    live.pollResult = { ...msg, options: live.poll?.options };
+    live.poll = null;
+    renderLivePoll();
+    scheduleRefresh();
+  });
+  for (const event of ["state", "autorun"]) socket.on(event, scheduleRefresh);
+}
+
+function measureLatency() {
+  if (!socket?.connected) return;
+  const sentAt = Date.now();
+  socket.timeout(5000).emit("health", (err) => {
+    live.latencyMs = err ? null : Date.now() - sentAt;
+    renderHealth();
+  });
+}
+
+document.getElementById("hideSecret").onchange = () => {
+  renderMask();
+  refreshState().catch(() => {});
+};
+
+// Countdowns tick locally between events; latency is checked now and then
+setInterval(() => {
+  renderTimer();
+  if (live.poll) renderLivePoll();
+}, 250);
+setInterval(() => {
+  measureLatency();
+  renderHealth();
+}, 10_000);
+
+// Keyboard shortcuts for the common actions. Ignored while typing in a
+// field or with a modifier held, so browser shortcuts keep working.
+const SHORTCUTS = {
+  n: () => document.getElementById("nextWord").click(),
+  w: () => document.getElementById("revealWord").click(),
+  v: () => document.getElementById("startPoll").click(),
+  r: () => {
+    const hidden = hiddenPositions();
+    if (!hidden.length) return toast("No hidden letters", false);
+    revealPosition(hidden[Math.floor(Math.random() * hidden.length)]);
+  },
+  t: async () => {
+    if (!live.roundEndsAt) return toast("No active round", false);
+    const seconds = Math.ceil((live.roundEndsAt - Date.now()) / 1000) + 10;
+    try {
+      await api(roomPath("/update-timer"), { seconds });
+      toast("+10 seconds.");
+    } catch (e) {
+      toast(String(e.message || e), false);
+    }
+  },
+  " ": () => document.getElementById(live.isRunning ? "stopReading" : "startReading").click(),
+  "?": () => {
+    const help = document.getElementById("shortcutHelp");
+    help.style.display = help.style.display === "none" ? "" : "none";
+  },
+};
+
+document.addEventListener("keydown", (e) => {
+  if (e.ctrlKey || e.metaKey || e.altKey) return;
+  if (e.target.closest("input, textarea, select, [contenteditable]")) return;
+  if (document.getElementById("adminCard").style.display === "none") return;
+  const key = e.key.toLowerCase();
+  if (/^[1-9]$/.test(key)) {
+    const index = Number(key) - 1;
+    if (index < live.tiles.length && !isRevealed(index)) revealPosition(index);
+    e.preventDefault();
+    return;
+  }
+  const action = SHORTCUTS[key];
+  if (!action) return;
+  e.preventDefault();
+  action();
+});
+
 function toast(msg, ok = true) {
   const t = document.getElementById("toast");
   t.textContent = msg;
@@ -30,7 +504,7 @@ document.getElementById("start").onclick = async () => {
   try {
     const room = document.getElementById("room").value.trim();
     if (!room) return toast("Enter a TikTok username first", false);
-    await api("/api/start", { room });
+    await api(roomPath("/start"), { room });
     toast("Connected!");
     refreshState();
   } catch (e) {
@@ -40,7 +514,7 @@ document.getElementById("start").onclick = async () => {
 
 document.getElementById("stop").onclick = async () => {
   try {
-    await api("/api/stop");
+    await api(roomPath("/stop"));
     toast("Disconnected.");
     refreshState();
   } catch (e) {
@@ -48,18 +522,27 @@ document.getElementById("stop").onclick = async () => {
   }
 };
 
+// Answer comparison options sent with every new round
+function answerOptions() {
+  return {
+    ignoreArticles: document.getElementById("ignoreArticles").checked,
+    ignoreSpaces: document.getElementById("ignoreSpaces").checked,
+  };
+}
+
 document.getElementById("setword").onclick = async () => {
   try {
     const word = document.getElementById("word").value.trim();
     if (!word) return toast("Enter a word/phrase first", false);
+    const alternates = document.getElementById("alternates").value;
     // Send the secret word to the server to start a new round
-    await api("/api/set-word", { word });
+    await api(roomPath("/set-word"), { word, alternates, ...answerOptions() });
     // If the admin has specified a timer value in seconds, apply it
     const timerStr = document.getElementById("timerSeconds").value.trim();
     const secs = Number(timerStr);
     if (secs && !isNaN(secs) && secs > 0) {
       // Call update-timer immediately so the new round uses the desired duration
-      await api("/api/update-timer", { seconds: secs });
+      await api(roomPath("/update-timer"), { seconds: secs });
       toast(`Round started with ${secs} seconds.`);
     } else {
       toast("Round started.");
@@ -72,7 +555,7 @@ document.getElementById("setword").onclick = async () => {
 
 document.getElementById("reset").onclick = async () => {
   try {
-    await api("/api/reset-round");
+    await api(roomPath("/reset-round"));
     toast("Round reset.");
     refreshState();
   } catch (e) {
@@ -80,10 +563,26 @@ document.getElementById("reset").onclick = async () => {
   }
 };
 
+// Start the next round with the next word from the queue. Like "Set Word",
+// applies the timer value if one is entered.
+document.getElementById("nextWord").onclick = async () => {
+  try {
+    await api(roomPath("/words/next"), answerOptions());
+    const secs = Number(document.getElementById("timerSeconds").value.trim());
+    if (secs && !isNaN(secs) && secs > 0) {
+      await api(roomPath("/update-timer"), { seconds: secs });
+    }
+    toast("Next round started.");
+    refreshState();
+  } catch (e) {
+    toast(String(e.message || e), false);
+  }
+};
+
 // Handle start reading words: call /api/start-reading to resume judging guesses
 document.getElementById("startReading").onclick = async () => {
   try {
-    await api("/api/start-reading");
+    await api(roomPath("/start-reading"));
     toast("Started reading guesses.");
     refreshState();
   } catch (e) {
@@ -95,7 +594,7 @@ document.getElementById("startReading").onclick = async () => {
 // Handle stop reading words: call /api/stop-reading to pause judging guesses
 document.getElementById("stopReading").onclick = async () => {
   try {
-    await api("/api/stop-reading");
+    await api(roomPath("/stop-reading"));
     toast("Stopped reading guesses.");
     refreshState();
   } catch (e) {
@@ -114,7 +613,7 @@ document.getElementById("setTimer").onclick = async () => {
     if (!seconds || isNaN(seconds) || seconds <= 0) {
       return toast("Enter a valid number of seconds", false);
     }
-    await api("/api/update-timer", { seconds });
+    await api(roomPath("/update-timer"), { seconds });
     toast(`Timer set to ${seconds} seconds.`);
     refreshState();
   } catch (e) {
@@ -122,27 +621,11 @@ document.getElementById("setTimer").onclick = async () => {
   }
 };
 
-// Handle revealing specific letter positions. Reads positions from the
-// revealPositions input and calls the API. Positions should be entered as
-// 1-based indices separated by semicolons or commas. After updating,
-// refresh the state.
-document.getElementById("revealLetters").onclick = async () => {
-  try {
-    const positions = document.getElementById("revealPositions").value.trim();
-    if (!positions) return toast("Enter letter positions to reveal", false);
-    await api("/api/reveal-letters", { positions });
-    toast("Selected letters revealed.");
-    refreshState();
-  } catch (e) {
-    toast(String(e.message || e), false);
-  }
-};
-
 // Handle revealing the entire word. Invokes the reveal-word API. After
 // completing, refresh the state so that maskedWord is fully visible.
 document.getElementById("revealWord").onclick = async () => {
   try {
-    await api("/api/reveal-word");
+    await api(roomPath("/reveal-word"));
     toast("Word revealed.");
     refreshState();
   } catch (e) {
@@ -155,7 +638,7 @@ document.getElementById("revealWord").onclick = async () => {
 document.getElementById("setMode").onclick = async () => {
   try {
     const mode = document.getElementById("modeSelect").value;
-    await api("/api/mode", { mode });
+    await api(roomPath("/mode"), { mode });
     toast(`Mode set to ${mode}.`);
     refreshState();
   } catch (e) {
@@ -163,14 +646,21 @@ document.getElementById("setMode").onclick = async () => {
   }
 };
 
-// Start a vote between classic and rapid modes. Reads duration (in seconds)
-// from pollDuration. If invalid, defaults to 20 seconds. Starts a poll
-// using /api/poll/start. Refresh the state after starting.
+// Start a vote with the question, options, action and tie rule from the
+// poll fields. Reads duration (in seconds) from pollDuration. If invalid,
+// defaults to 20 seconds. Starts a poll using /api/poll/start. Refresh the
+// state after starting.
 document.getElementById("startPoll").onclick = async () => {
   try {
     let dur = parseInt(document.getElementById("pollDuration").value.trim(), 10);
     if (!dur || dur < 5) dur = 20;
-    await api("/api/poll/start", { question: "Choose game mode", options: ["classic", "rapid"], durationMs: dur * 1000 });
+    await api(roomPath("/poll/start"), {
+      question: document.getElementById("pollQuestion").value.trim(),
+      options: document.getElementById("pollOptions").value,
+      action: document.getElementById("pollAction").value,
+      tieBreak: document.getElementById("pollTieBreak").value,
+      durationMs: dur * 1000,
+    });
     toast(`Vote started for ${dur} seconds.`);
     refreshState();
   } catch (e) {
@@ -181,7 +671,7 @@ document.getElementById("startPoll").onclick = async () => {
 // Stop the current vote. Calls /api/poll/stop. Refreshes state afterward.
 document.getElementById("stopPoll").onclick = async () => {
   try {
-    await api("/api/poll/stop");
+    await api(roomPath("/poll/stop"));
     toast("Vote stopped.");
     refreshState();
   } catch (e) {
@@ -192,7 +682,7 @@ document.getElementById("stopPoll").onclick = async () => {
 // Reset all user tiers and scores. Calls /api/users/reset and refreshes state.
 document.getElementById("resetUsers").onclick = async () => {
   try {
-    await api("/api/users/reset");
+    await api(roomPath("/users/reset"));
     toast("All tiers and scores reset.");
     refreshState();
   } catch (e) {
@@ -206,7 +696,7 @@ document.getElementById("resetUsers").onclick = async () => {
 // Tiny Diny: add 10 seconds to the timer
 document.getElementById("boostTiny").onclick = async () => {
   try {
-    await api("/api/boost/prompt", { extraTimeMs: 10000 });
+    await api(roomPath("/boost/prompt"), { extraTimeMs: 10000 });
     toast("+10 seconds added (Tiny Diny)");
     refreshState();
   } catch (e) {
@@ -217,7 +707,7 @@ document.getElementById("boostTiny").onclick = async () => {
 // Donut: add 30 seconds to the timer
 document.getElementById("boostDonut").onclick = async () => {
   try {
-    await api("/api/boost/add-time", { ms: 30000 });
+    await api(roomPath("/boost/add-time"), { ms: 30000 });
     toast("+30 seconds added (Donut)");
     refreshState();
   } catch (e) {
@@ -228,7 +718,7 @@ document.getElementById("boostDonut").onclick = async () => {
 // Money Gun: reveal a random letter
 document.getElementById("boostMoney").onclick = async () => {
   try {
-    await api("/api/boost/reveal-letter");
+    await api(roomPath("/boost/reveal-letter"));
     toast("A letter revealed (Money Gun)");
     refreshState();
   } catch (e) {
@@ -239,7 +729,7 @@ document.getElementById("boostMoney").onclick = async () => {
 // Galaxy: reveal the entire word
 document.getElementById("boostGalaxy").onclick = async () => {
   try {
-    await api("/api/boost/reveal-word");
+    await api(roomPath("/boost/reveal-word"));
     toast("Word fully revealed (Galaxy)");
     refreshState();
   } catch (e) {
@@ -247,5 +737,776 @@ document.getElementById("boostGalaxy").onclick = async () => {
   }
 };
 
-refreshState();
-setInterval(refreshState, 3000);
+// ===================
+// Auto-run
+// ===================
+document.getElementById("autoStart").onclick = async () => {
+  try {
+    await api(roomPath("/autorun/start"), {
+      intermissionSeconds: document.getElementById("autoIntermission").value.trim(),
+      roundSeconds: document.getElementById("autoRoundSeconds").value.trim(),
+      pollEvery: document.getElementById("autoPollEvery").value.trim(),
+      pollSeconds: document.getElementById("autoPollSeconds").value.trim(),
+    });
+    toast("Auto-run started.");
+    refreshState();
+  } catch (e) {
+    toast(String(e.message || e), false);
+  }
+};
+
+document.getElementById("autoPause").onclick = async () => {
+  try {
+    await api(roomPath("/autorun/pause"));
+    toast("Auto-run paused.");
+    refreshState();
+  } catch (e) {
+    toast(String(e.message || e), false);
+  }
+};
+
+document.getElementById("autoSkip").onclick = async () => {
+  try {
+    await api(roomPath("/autorun/skip"));
+    toast("Skipped.");
+    refreshState();
+  } catch (e) {
+    toast(String(e.message || e), false);
+  }
+};
+
+// ===================
+// Word library
+// ===================
+// Convert between the list editor text (one "word,category,difficulty" per
+// line) and word entries.
+function wordsToText(words) {
+  return words
+    .map((w) => [w.word, w.category || "", w.difficulty || "", (w.alternates || []).join(";")].join(",").replace(/,+$/, ""))
+    .join("\n");
+}
+
+function textToWords(text) {
+  return text
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const [word, category, difficulty, alternates] = line.split(",").map((p) => p.trim());
+      return { word, category, difficulty, alternates };
+    });
+}
+
+// Reload the list pickers, keeping the current selections where possible.
+async function loadWordLists(selectName) {
+  const json = await apiGet(roomPath("/words"));
+  const listSelect = document.getElementById("wordListSelect");
+  const queueSelect = document.getElementById("queueLists");
+  const current = selectName || listSelect.value;
+  const queued = new Set([...queueSelect.selectedOptions].map((o) => o.value));
+  listSelect.innerHTML = "";
+  queueSelect.innerHTML = "";
+  json.lists.forEach((list) => {
+    const label = `${list.name} (${list.count})`;
+    listSelect.add(new Option(label, list.name, false, list.name === current));
+    queueSelect.add(new Option(label, list.name, false, queued.has(list.name)));
+  });
+  await showWordList();
+}
+
+// Show the words of the list selected in the editor
+async function showWordList() {
+  const name = document.getElementById("wordListSelect").value;
+  const textarea = document.getElementById("wordListWords");
+  if (!name) {
+    textarea.value = "";
+    return;
+  }
+  const json = await apiGet(`/api/words/lists/${encodeURIComponent(name)}`);
+  textarea.value = json.list ? wordsToText(json.list.words) : "";
+}
+
+document.getElementById("wordListSelect").onchange = () => showWordList();
+
+document.getElementById("createList").onclick = async () => {
+  try {
+    const name = document.getElementById("wordListName").value.trim();
+    if (!name) return toast("Enter a list name first", false);
+    await api("/api/words/lists", { name, words: [] });
+    document.getElementById("wordListName").value = "";
+    toast(`List '${name}' created.`);
+    loadWordLists(name);
+  } catch (e) {
+    toast(String(e.message || e), false);
+  }
+};
+
+document.getElementById("saveList").onclick = async () => {
+  try {
+    const name = document.getElementById("wordListSelect").value;
+    if (!name) return toast("Create or select a list first", false);
+    const words = textToWords(document.getElementById("wordListWords").value);
+    const json = await api("/api/words/lists", { name, words });
+    toast(`Saved ${json.list.count} word(s) to '${name}'.`);
+    loadWordLists(name);
+  } catch (e) {
+    toast(String(e.message || e), false);
+  }
+};
+
+document.getElementById("deleteList").onclick = async () => {
+  try {
+    const name = document.getElementById("wordListSelect").value;
+    if (!name) return toast("Select a list first", false);
+    if (!confirm(`Delete the word list '${name}'?`)) return;
+    await api(`/api/words/lists/${encodeURIComponent(name)}/delete`);
+    toast(`List '${name}' deleted.`);
+    loadWordLists();
+  } catch (e) {
+    toast(String(e.message || e), false);
+  }
+};
+
+// Import a file into the selected list (or a new list named after the file)
+document.getElementById("importWords").onclick = async () => {
+  try {
+    const file = document.getElementById("importFile").files[0];
+    if (!file) return toast("Choose a file to import", false);
+    const name = document.getElementById("wordListSelect").value || file.name.replace(/\.[^.]+$/, "");
+    const content = await file.text();
+    const replace = document.getElementById("importReplace").checked;
+    const json = await api("/api/words/import", { name, content, filename: file.name, replace });
+    toast(`Imported ${json.imported} word(s) into '${name}'.`);
+    loadWordLists(name);
+  } catch (e) {
+    toast(String(e.message || e), false);
+  }
+};
+
+document.getElementById("buildQueue").onclick = async () => {
+  try {
+    const lists = [...document.getElementById("queueLists").selectedOptions].map((o) => o.value);
+    if (lists.length === 0) return toast("Select one or more lists for the queue", false);
+    const json = await api(roomPath("/words/queue"), {
+      lists,
+      order: document.getElementById("queueOrder").value,
+      category: document.getElementById("queueCategory").value.trim() || undefined,
+      difficulty: document.getElementById("queueDifficulty").value.trim() || undefined,
+    });
+    toast(`Queue ready: ${json.queue.remaining} word(s).`);
+    refreshState();
+  } catch (e) {
+    toast(String(e.message || e), false);
+  }
+};
+
+// ===================
+// Gift → boost table
+// ===================
+// Load the current table into the editor as pretty-printed JSON
+async function loadGifts() {
+  const json = await apiGet(roomPath("/gifts"));
+  document.getElementById("giftTable").value = JSON.stringify(json.gifts, null, 2);
+}
+
+// Save the edited table. Invalid JSON or entries are reported as a toast.
+document.getElementById("saveGifts").onclick = async () => {
+  try {
+    const gifts = JSON.parse(document.getElementById("giftTable").value);
+    const json = await api(roomPath("/gifts"), { gifts });
+    document.getElementById("giftTable").value = JSON.stringify(json.gifts, null, 2);
+    toast("Gift table saved.");
+  } catch (e) {
+    toast(String(e.message || e), false);
+  }
+};
+
+// Scoring settings: form field id -> path in the scoring config
+const SCORING_FIELDS = {
+  scoreBase: ["base"],
+  scorePerLetter: ["perLetter"],
+  scoreTimeBonus: ["timeBonus"],
+  scoreHiddenBonus: ["hiddenBonus"],
+  scoreClassicMult: ["modeMultipliers", "classic"],
+  scoreRapidMult: ["modeMultipliers", "rapid"],
+  scoreStreakBonus: ["streakBonus"],
+  scoreMaxStreakBonus: ["maxStreakBonus"],
+};
+
+async function loadScoring() {
+  const { scoring } = await apiGet(roomPath("/scoring"));
+  document.getElementById("scoreRankBy").value = scoring.rankBy;
+  for (const [id, [key, sub]] of Object.entries(SCORING_FIELDS)) {
+    document.getElementById(id).value = sub ? scoring[key][sub] : scoring[key];
+  }
+}
+
+document.getElementById("saveScoring").onclick = async () => {
+  try {
+    const scoring = { rankBy: document.getElementById("scoreRankBy").value, modeMultipliers: {} };
+    for (const [id, [key, sub]] of Object.entries(SCORING_FIELDS)) {
+      const value = document.getElementById(id).value;
+      if (sub) scoring[key][sub] = value;
+      else scoring[key] = value;
+    }
+    await api(roomPath("/scoring"), { scoring });
+    toast("Scoring saved.");
+    loadScoring();
+  } catch (e) {
+    toast(String(e.message || e), false);
+  }
+};
+
+// Chat commands: one row per command with its switch, cooldowns (shown in
+// seconds) and, for !hint, the cost
+let commandNames = [];
+
+async function loadCommands() {
+  const { commands, settings } = await apiGet(roomPath("/commands"));
+  commandNames = commands.map((c) => c.name);
+  document.getElementById("commandPrefix").value = settings.prefix;
+  const container = document.getElementById("commandRows");
+  container.innerHTML = "";
+  for (const cmd of commands) {
+    const s = settings.commands[cmd.name];
+    const row = document.createElement("div");
+    row.className = "row";
+    row.style.marginTop = "12px";
+    const label = document.createElement("label");
+    label.style.width = "200px";
+    label.title = cmd.description;
+    const enabled = document.createElement("input");
+    enabled.type = "checkbox";
+    enabled.id = `cmd-${cmd.name}-enabled`;
+    enabled.checked = s.enabled;
+    label.append(enabled, ` ${settings.prefix}${cmd.name}${cmd.moderator ? " (mods)" : ""}`);
+    row.appendChild(label);
+    const fields = [
+      ["userCooldownMs", "Per viewer (s)", 1000],
+      ["globalCooldownMs", "Global (s)", 1000],
+      ["cost", "Cost (pts)", 1],
+    ];
+    for (const [key, title, scale] of fields) {
+      if (s[key] == null) continue;
+      const input = document.createElement("input");
+      input.type = "number";
+      input.min = "0";
+      input.id = `cmd-${cmd.name}-${key}`;
+      input.title = title;
+      input.placeholder = title;
+      input.style.width = "130px";
+      input.value = s[key] / scale;
+      row.appendChild(input);
+    }
+    container.appendChild(row);
+  }
+}
+
+document.getElementById("saveCommands").onclick = async () => {
+  try {
+    const commands = {};
+    for (const name of commandNames) {
+      const value = (key) => document.getElementById(`cmd-${name}-${key}`)?.value.trim();
+      const seconds = (key) => (value(key) ? Number(value(key)) * 1000 : undefined);
+      commands[name] = {
+        enabled: document.getElementById(`cmd-${name}-enabled`).checked,
+        userCooldownMs: seconds("userCooldownMs"),
+        globalCooldownMs: seconds("globalCooldownMs"),
+        cost: value("cost"),
+      };
+    }
+    await api(roomPath("/commands"), {
+      settings: { prefix: document.getElementById("commandPrefix").value.trim(), commands },
+    });
+    toast("Chat commands saved.");
+    loadCommands();
+  } catch (e) {
+    toast(String(e.message || e), false);
+  }
+};
+
+// Moderators and the last moderator actions
+let lastAuditCount = null;
+
+async function loadModerators() {
+  const { moderators } = await apiGet(roomPath("/moderators"));
+  document.getElementById("moderatorList").value = moderators.users.join("; ");
+  document.getElementById("trustTikTokMods").checked = moderators.trustTikTok;
+}
+
+async function loadAuditLog() {
+  const json = await apiGet(`${roomPath("/audit")}?limit=10`);
+  const el = document.getElementById("auditLog");
+  if (json.total === 0) {
+    el.textContent = "No moderator actions yet.";
+    return;
+  }
+  el.innerHTML = "";
+  for (const a of json.entries) {
+    const line = document.createElement("div");
+    const args = a.args.length ? ` ${a.args.join(" ")}` : "";
+    line.textContent = `${new Date(a.at).toLocaleTimeString()} ${a.nickname}: !${a.command}${args} – ${a.result || "no reply"}`;
+    el.appendChild(line);
+  }
+}
+
+document.getElementById("saveModerators").onclick = async () => {
+  try {
+    await api(roomPath("/moderators"), {
+      moderators: {
+        users: document.getElementById("moderatorList").value,
+        trustTikTok: document.getElementById("trustTikTokMods").checked,
+      },
+    });
+    toast("Moderators saved.");
+    loadModerators();
+  } catch (e) {
+    toast(String(e.message || e), false);
+  }
+};
+
+// Tier ladder, edited as JSON like the gift table
+async function loadTiers() {
+  const { tiers } = await apiGet(roomPath("/tiers"));
+  document.getElementById("tierMetric").value = tiers.metric;
+  document.getElementById("tierLadder").value = JSON.stringify(tiers.tiers, null, 2);
+}
+
+document.getElementById("saveTiers").onclick = async () => {
+  try {
+    const tiers = {
+      metric: document.getElementById("tierMetric").value,
+      tiers: JSON.parse(document.getElementById("tierLadder").value),
+    };
+    const json = await api(roomPath("/tiers"), { tiers });
+    toast(`Tier ladder saved (${json.changed} user(s) changed tier).`);
+    loadTiers();
+  } catch (e) {
+    toast(String(e.message || e), false);
+  }
+};
+
+// Typo tolerance settings for close guesses, one row of fields per mode
+const MATCH_MODES = ["classic", "rapid"];
+
+async function loadMatching() {
+  const json = await apiGet(roomPath("/matching"));
+  for (const mode of MATCH_MODES) {
+    const m = json.matching[mode];
+    document.getElementById(`${mode}CloseEnabled`).checked = m.enabled;
+    document.getElementById(`${mode}MaxDistance`).value = m.maxDistance;
+    document.getElementById(`${mode}MinSimilarity`).value = m.minSimilarity;
+    document.getElementById(`${mode}MinOverlap`).value = m.minOverlap;
+    document.getElementById(`${mode}Lenient`).checked = m.lenient;
+  }
+}
+
+document.getElementById("saveMatching").onclick = async () => {
+  try {
+    const matching = {};
+    for (const mode of MATCH_MODES) {
+      matching[mode] = {
+        enabled: document.getElementById(`${mode}CloseEnabled`).checked,
+        maxDistance: document.getElementById(`${mode}MaxDistance`).value,
+        minSimilarity: document.getElementById(`${mode}MinSimilarity`).value,
+        minOverlap: document.getElementById(`${mode}MinOverlap`).value,
+        lenient: document.getElementById(`${mode}Lenient`).checked,
+      };
+    }
+    await api(roomPath("/matching"), { matching });
+    toast("Close-guess settings saved.");
+    loadMatching();
+  } catch (e) {
+    toast(String(e.message || e), false);
+  }
+};
+
+// Last finished polls (newest first)
+let lastPollCount = null;
+
+function formatPoll(p) {
+  const counts = p.options.map((opt) => `${opt} ${p.tallies[opt] || 0}`).join(", ");
+  let result = p.winner ? `winner: ${p.winner}` : "no votes";
+  if (p.runoff) result = `tie between ${p.tied.join(", ")} → runoff`;
+  else if (p.tied) result += ` (tie broken: ${p.tieBreak})`;
+  return `#${p.id} ${p.question} – ${counts} | ${result}`;
+}
+
+async function loadPolls() {
+  const json = await apiGet(`${roomPath("/polls")}?limit=5`);
+  const el = document.getElementById("pollHistory");
+  el.innerHTML = "";
+  for (const p of json.polls) {
+    const line = document.createElement("div");
+    line.textContent = formatPoll(p);
+    el.appendChild(line);
+  }
+}
+
+// Round history, one page at a time (newest first)
+const ROUNDS_PAGE_SIZE = 10;
+let roundsOffset = 0;
+let lastRoundCount = null;
+
+function formatRound(r) {
+  const secs = (ms) => `${(ms / 1000).toFixed(1)}s`;
+  const result = r.winner ? `won by ${r.winner.nickname} in ${secs(r.timeToSolveMs)}` : r.endReason;
+  const boosts = r.boosts.length ? ` | ${r.boosts.length} boost(s)` : "";
+  return `#${r.id} ${r.word} (${r.mode}) – ${result} | ${r.guessCount} guess(es) from ${r.uniqueGuessers} viewer(s)${boosts}`;
+}
+
+async function loadRounds() {
+  const json = await apiGet(`${roomPath("/rounds")}?offset=${roundsOffset}&limit=${ROUNDS_PAGE_SIZE}`);
+  const el = document.getElementById("roundHistory");
+  if (json.total === 0) {
+    el.textContent = "No rounds yet.";
+    return;
+  }
+  const last = Math.min(json.total, roundsOffset + json.rounds.length);
+  el.innerHTML = "";
+  const header = document.createElement("div");
+  header.textContent = `Rounds ${roundsOffset + 1}–${last} of ${json.total}`;
+  el.appendChild(header);
+  for (const r of json.rounds) {
+    const line = document.createElement("div");
+    line.textContent = formatRound(r);
+    el.appendChild(line);
+  }
+  document.getElementById("roundsOlder").disabled = last >= json.total;
+  document.getElementById("roundsNewer").disabled = roundsOffset === 0;
+}
+
+document.getElementById("roundsNewer").onclick = () => {
+  roundsOffset = Math.max(0, roundsOffset - ROUNDS_PAGE_SIZE);
+  loadRounds().catch((e) => toast(String(e.message || e), false));
+};
+
+document.getElementById("roundsOlder").onclick = () => {
+  roundsOffset += ROUNDS_PAGE_SIZE;
+  loadRounds().catch((e) => toast(String(e.message || e), false));
+};
+
+// Download the export with the auth header, then hand it to the browser
+async function exportRounds(format) {
+  try {
+    const res = await fetch(`${roomPath("/rounds/export")}?format=${format}`, { headers: authHeaders() });
+    if (!res.ok) return handleResponse(res);
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(await res.blob());
+    link.download = `rounds-${roomId}.${format}`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  } catch (e) {
+    toast(String(e.message || e), false);
+  }
+}
+
+document.getElementById("exportRoundsCsv").onclick = () => exportRounds("csv");
+document.getElementById("exportRoundsJson").onclick = () => exportRounds("json");
+
+document.getElementById("clearRounds").onclick = async () => {
+  if (!confirm("Delete the round history of this room?")) return;
+  try {
+    await api(roomPath("/rounds/clear"));
+    roundsOffset = 0;
+    toast("Round history cleared.");
+    loadRounds();
+  } catch (e) {
+    toast(String(e.message || e), false);
+  }
+};
+
+// Overlay theme: the room's theme and hidden widgets, and the theme editor.
+// The editor shows the theme picked in the select.
+const OVERLAY_WIDGETS = {
+  title: "Title",
+  status: "Status",
+  mask: "Word",
+  timer: "Timer",
+  nextRound: "Next round",
+  poll: "Poll",
+  winner: "Winner",
+  hints: "Boost hints",
+  commands: "Command replies",
+  leaderboard: "Leaderboard",
+  chat: "Chat",
+};
+let themes = [];
+
+async function loadOverlay() {
+  const [{ themes: list }, { overlay }] = await Promise.all([apiGet("/api/themes"), apiGet(roomPath("/overlay"))]);
+  themes = list;
+  const select = document.getElementById("overlayTheme");
+  select.innerHTML = "";
+  for (const t of themes) {
+    const opt = document.createElement("option");
+    opt.value = t.name;
+    opt.textContent = t.builtin ? `${t.name} (built-in)` : t.name;
+    select.appendChild(opt);
+  }
+  select.value = overlay.theme;
+  const widgetsEl = document.getElementById("overlayWidgets");
+  widgetsEl.innerHTML = "";
+  for (const [widget, label] of Object.entries(OVERLAY_WIDGETS)) {
+    const labelEl = document.createElement("label");
+    const box = document.createElement("input");
+    box.type = "checkbox";
+    box.dataset.widget = widget;
+    box.checked = !overlay.hidden.includes(widget);
+    labelEl.append(box, ` ${label}`);
+    widgetsEl.appendChild(labelEl);
+  }
+  showTheme();
+}
+
+function showTheme() {
+  const theme = themes.find((t) => t.name === document.getElementById("overlayTheme").value);
+  if (!theme) return;
+  const { builtin, ...fields } = theme;
+  document.getElementById("themeEditor").value = JSON.stringify(fields, null, 2);
+  document.getElementById("deleteTheme").disabled = builtin;
+}
+
+document.getElementById("overlayTheme").onchange = showTheme;
+
+document.getElementById("saveOverlay").onclick = async () => {
+  try {
+    const hidden = [...document.querySelectorAll("#overlayWidgets input")]
+      .filter((box) => !box.checked)
+      .map((box) => box.dataset.widget);
+    const overlay = { theme: document.getElementById("overlayTheme").value, hidden };
+    await api(roomPath("/overlay"), { overlay });
+    toast("Overlay settings applied.");
+  } catch (e) {
+    toast(String(e.message || e), false);
+  }
+};
+
+document.getElementById("saveTheme").onclick = async () => {
+  try {
+    const theme = JSON.parse(document.getElementById("themeEditor").value);
+    const json = await api("/api/themes", { theme });
+    toast(`Theme ${json.theme.name} saved.`);
+    await loadOverlay();
+    document.getElementById("overlayTheme").value = json.theme.name;
+    showTheme();
+  } catch (e) {
+    toast(String(e.message || e), false);
+  }
+};
+
+document.getElementById("deleteTheme").onclick = async () => {
+  const name = document.getElementById("overlayTheme").value;
+  if (!confirm(`Delete theme ${name}?`)) return;
+  try {
+    await api(`/api/themes/${encodeURIComponent(name)}/delete`);
+    toast("Theme deleted.");
+    loadOverlay();
+  } catch (e) {
+    toast(String(e.message || e), false);
+  }
+};
+
+// Session recordings
+let lastRecording;
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+async function loadRecordings() {
+  const json = await apiGet(roomPath("/recordings"));
+  document.getElementById("recordSessions").checked = json.enabled;
+  const el = document.getElementById("recordingList");
+  if (!json.recordings.length) {
+    el.textContent = "No recordings yet.";
+    return;
+  }
+  el.innerHTML = "";
+  for (const r of json.recordings) {
+    const line = document.createElement("div");
+    const label = document.createElement("span");
+    const active = r.name === json.active ? " (recording)" : "";
+    label.textContent = `${new Date(r.startedAt).toLocaleString()} – ${r.name}, ${formatSize(r.size)}${active} `;
+    line.appendChild(label);
+    const download = document.createElement("button");
+    download.textContent = "Download";
+    download.onclick = () => downloadRecording(r.name);
+    line.appendChild(download);
+    if (!active) {
+      const del = document.createElement("button");
+      del.textContent = "Delete";
+      del.className = "danger";
+      del.onclick = () => deleteRecording(r.name);
+      line.appendChild(del);
+    }
+    el.appendChild(line);
+  }
+}
+
+// Download with the auth header, like the round export
+async function downloadRecording(name) {
+  try {
+    const res = await fetch(roomPath(`/recordings/${encodeURIComponent(name)}`), { headers: authHeaders() });
+    if (!res.ok) return handleResponse(res);
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(await res.blob());
+    link.download = name;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  } catch (e) {
+    toast(String(e.message || e), false);
+  }
+}
+
+async function deleteRecording(name) {
+  if (!confirm(`Delete recording ${name}?`)) return;
+  try {
+    await api(roomPath(`/recordings/${encodeURIComponent(name)}/delete`));
+    toast("Recording deleted.");
+    loadRecordings();
+  } catch (e) {
+    toast(String(e.message || e), false);
+  }
+}
+
+document.getElementById("recordSessions").onchange = async (e) => {
+  try {
+    await api(roomPath("/recordings/settings"), { enabled: e.target.checked });
+    toast(e.target.checked ? "Recording on." : "Recording off.");
+    loadRecordings();
+  } catch (err) {
+    toast(String(err.message || err), false);
+  }
+};
+
+// Users: search results and the record being edited
+let selectedUser = null;
+
+function formatUser(u) {
+  const id = u.uniqueId ? `@${u.uniqueId}` : u.userId;
+  const banned = u.banned ? " | banned" : "";
+  return `${u.display_name} (${id}) – ${u.wins_total} win(s), ${u.points_total || 0} pts, tier ${u.tier}${banned}`;
+}
+
+async function searchUsers() {
+  const q = document.getElementById("userQuery").value.trim();
+  const json = await apiGet(`${roomPath("/users")}?q=${encodeURIComponent(q)}&limit=20`);
+  const el = document.getElementById("userResults");
+  if (json.total === 0) {
+    el.textContent = "No users found.";
+    return;
+  }
+  el.innerHTML = "";
+  const header = document.createElement("div");
+  header.textContent = json.total > json.users.length ? `First ${json.users.length} of ${json.total} users` : `${json.total} user(s)`;
+  el.appendChild(header);
+  for (const u of json.users) {
+    const line = document.createElement("div");
+    line.textContent = formatUser(u);
+    line.style.cursor = "pointer";
+    line.onclick = () => selectUser(u.userId).catch((e) => toast(String(e.message || e), false));
+    el.appendChild(line);
+  }
+}
+
+async function selectUser(userId) {
+  const { user } = await apiGet(roomPath(`/users/${encodeURIComponent(userId)}`));
+  selectedUser = user;
+  const rank = user.rank ? `#${user.rank}` : "unranked";
+  const lastWin = user.lastWinAt ? new Date(user.lastWinAt).toLocaleString() : "never";
+  document.getElementById("userInfo").textContent =
+    `${formatUser(user)} | userId ${user.userId} | rank ${rank} | ${user.sessionWins} win(s) this session | last win ${lastWin}`;
+  document.getElementById("userName").value = user.display_name;
+  document.getElementById("userWins").value = user.wins_total;
+  document.getElementById("userPoints").value = user.points_total || 0;
+  document.getElementById("banUser").textContent = user.banned ? "Unban" : "Ban";
+  document.getElementById("mergeInto").value = "";
+  document.getElementById("userEditor").style.display = "";
+}
+
+document.getElementById("searchUsers").onclick = () => {
+  searchUsers().catch((e) => toast(String(e.message || e), false));
+};
+
+document.getElementById("userQuery").onkeydown = (e) => {
+  if (e.key === "Enter") document.getElementById("searchUsers").click();
+};
+
+document.getElementById("saveUser").onclick = async () => {
+  if (!selectedUser) return;
+  try {
+    await api(roomPath(`/users/${encodeURIComponent(selectedUser.userId)}/update`), {
+      display_name: document.getElementById("userName").value,
+      wins_total: document.getElementById("userWins").value,
+      points_total: document.getElementById("userPoints").value,
+    });
+    toast("User saved.");
+    await selectUser(selectedUser.userId);
+    searchUsers();
+  } catch (e) {
+    toast(String(e.message || e), false);
+  }
+};
+
+document.getElementById("banUser").onclick = async () => {
+  if (!selectedUser) return;
+  const banned = !selectedUser.banned;
+  if (banned && !confirm(`Ban ${selectedUser.display_name}? Their guesses and votes will be ignored.`)) return;
+  try {
+    await api(roomPath(`/users/${encodeURIComponent(selectedUser.userId)}/ban`), { banned });
+    toast(banned ? "User banned." : "User unbanned.");
+    await selectUser(selectedUser.userId);
+    searchUsers();
+  } catch (e) {
+    toast(String(e.message || e), false);
+  }
+};
+
+document.getElementById("mergeUser").onclick = async () => {
+  if (!selectedUser) return;
+  const into = document.getElementById("mergeInto").value.trim();
+  if (!into) return toast("Enter the userId to merge into.", false);
+  if (!confirm(`Merge ${selectedUser.display_name} into ${into}? This removes ${selectedUser.userId}.`)) return;
+  try {
+    await api(roomPath("/users/merge"), { from: selectedUser.userId, into });
+    toast("Users merged.");
+    await selectUser(into);
+    searchUsers();
+  } catch (e) {
+    toast(String(e.message || e), false);
+  }
+};
+
+// Load everything once the admin is authenticated (or auth is disabled).
+// The first request decides whether the login screen is needed; it also
+// creates the room when the page is opened with a new ?room= id.
+async function init() {
+  let state;
+  try {
+    await api("/api/rooms", { roomId });
+    state = await apiGet(roomPath("/state"));
+  } catch (e) {
+    return;
+  }
+  showAdmin();
+  document.getElementById("ignoreArticles").checked = state.answerOptions.ignoreArticles;
+  document.getElementById("ignoreSpaces").checked = state.answerOptions.ignoreSpaces;
+  document.getElementById("roomId").value = roomId;
+  connectSocket();
+  refreshState();
+  loadRooms();
+  loadGifts();
+  loadMatching();
+  loadScoring();
+  loadTiers();
+  loadOverlay();
+  loadCommands();
+  loadModerators();
+  loadWordLists();
+  loadRounds();
+}
+
+init();
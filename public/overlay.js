@@ -1,37 +1,17 @@
-// Helper to ensure an element with a given ID and optional class exists in
-// the overlay. If it does not exist, it is created and appended to the
-// card. This allows the overlay to function even when the HTML file is
-// outdated or missing certain elements.
-function ensureElement(id, className) {
-  let el = document.getElementById(id);
-  if (!el) {
-    el = document.createElement("div");
-    el.id = id;
-    if (className) el.className = className;
-    el.style.display = "none";
-    const card = document.querySelector(".card");
-    if (card) card.appendChild(el);
-  }
-  return el;
-}
-
-// Primary overlay elements. If the corresponding element is missing from
-// the DOM, ensureElement will create it. The appropriate class names are
-// provided to preserve styling defined in app.css.
-const chatEl = document.getElementById("chat") || ensureElement("chat", "chat");
-const statusEl = document.getElementById("overlay-status") || ensureElement("overlay-status", "status");
-const winnerEl = document.getElementById("winner") || ensureElement("winner", "winnerBanner");
-const pollEl = document.getElementById("poll") || ensureElement("poll", "");
-let maskedWordEl = document.getElementById("maskedWord");
-let timerTextEl = document.getElementById("timerText");
-let boostHintEl = document.getElementById("boostHint");
-let leaderboardEl = document.getElementById("leaderboard");
-
-// Ensure optional elements exist with their classes if they were missing
-maskedWordEl = maskedWordEl || ensureElement("maskedWord", "maskedWord");
-timerTextEl = timerTextEl || ensureElement("timerText", "timerText");
-boostHintEl = boostHintEl || ensureElement("boostHint", "boostHint");
-leaderboardEl = leaderboardEl || ensureElement("leaderboard", "leaderboard");
+// Overlay widgets, all declared in overlay.html. Each has a data-widget
+// name so the theme can move it and the room can hide it (see "Theme and
+// layout" below).
+const chatEl = document.getElementById("chat");
+const statusEl = document.getElementById("overlay-status");
+const winnerEl = document.getElementById("winner");
+const pollEl = document.getElementById("poll");
+const maskedWordEl = document.getElementById("maskedWord");
+const wordLengthsEl = document.getElementById("wordLengths");
+const timerTextEl = document.getElementById("timerText");
+const boostHintEl = document.getElementById("boostHint");
+const leaderboardEl = document.getElementById("leaderboard");
+const nextRoundEl = document.getElementById("nextRound");
+const commandToastsEl = document.getElementById("commandToasts");
 
 // Define the rotation of hint messages. These hints subtly remind viewers
 // of the available boosts and their effects. They will rotate every
@@ -98,19 +78,29 @@ let highlightUntil = 0;
 
 // Render poll tallies into the poll element. Expects an object with
 // properties: options (array of option names), tallies (map of option -> count),
-// endsAt (optional timestamp), ended (optional boolean) and winner (optional).
+// question (optional), endsAt (optional timestamp), ended (optional boolean),
+// winner (optional) and tied (optional array of tied options). Options are
+// numbered because viewers can vote with the number.
+let pollQuestion = "";
+let pollHideTimer = null;
+
 function renderPoll(info) {
   if (!info || !info.options) return;
-  const { options, tallies, endsAt, ended, winner } = info;
+  const { options, tallies, endsAt, ended, winner, tied } = info;
   const total = options.reduce((sum, opt) => sum + (tallies && tallies[opt] ? tallies[opt] : 0), 0);
   const lines = [];
-  options.forEach((opt) => {
+  if (pollQuestion) lines.push(pollQuestion);
+  options.forEach((opt, i) => {
     const count = tallies && tallies[opt] ? tallies[opt] : 0;
     const pct = total > 0 ? Math.round((count / total) * 100) : 0;
-    lines.push(`${opt}: ${count} (${pct}%)`);
+    lines.push(`${i + 1}. ${opt}: ${count} (${pct}%)`);
   });
-  if (ended && winner) {
+  if (ended && tied && !winner) {
+    lines.push(`Tie! Runoff: ${tied.join(" vs ")}`);
+  } else if (ended && winner) {
     lines.push(`Winner: ${winner}`);
+  } else if (ended) {
+    lines.push("No votes");
   } else if (endsAt) {
     const secsLeft = Math.max(0, Math.floor((endsAt - Date.now()) / 1000));
     lines.push(`Time left: ${secsLeft}s`);
@@ -118,42 +108,79 @@ function renderPoll(info) {
   pollEl.textContent = lines.join(" | ");
 }
 
-function addMessage({ nickname, text, isCorrect, tier }) {
+// Tier ladder sent by the server in bootstrap and "tiers" events, indexed
+// by tier id. Each tier has a name, color and optional badge or badgeUrl.
+let tiersById = {};
+
+function setTiers(ladder) {
+  tiersById = {};
+  for (const tier of ladder?.tiers || []) tiersById[tier.id] = tier;
+}
+
+// Fill el with a viewer name styled for their tier: the tier color plus
+// its badge (image or emoji) in front. Unknown tiers and "none" keep the
+// default styling.
+function fillTierName(el, name, tierId) {
+  const tier = tiersById[tierId];
+  if (tier) {
+    el.style.color = tier.color;
+    if (tier.badgeUrl) {
+      const img = document.createElement("img");
+      img.className = "tierBadge";
+      img.src = tier.badgeUrl;
+      img.alt = tier.name;
+      el.appendChild(img);
+    } else if (tier.badge) {
+      el.appendChild(document.createTextNode(tier.badge + " "));
+    }
+  }
+  el.appendChild(document.createTextNode(name));
+}
+
+function addMessage({ nickname, text, isCorrect, isClose, tier }) {
   const row = document.createElement("div");
   row.className = "msg";
   const nick = document.createElement("span");
   nick.className = "nick";
-  // Apply tier-based colour to the nickname. If tier is undefined or none,
-  // fall back to the accent color defined in CSS variables.
-  let colour = '';
-  if (tier === "red") colour = "var(--tier-red)";
-  else if (tier === "gold") colour = "var(--tier-gold)";
-  else if (tier === "platinum") colour = "var(--tier-platinum)";
-  if (colour) nick.style.color = colour;
-  nick.textContent = nickname + ":";
+  // Apply the tier colour and badge to the nickname. If tier is undefined
+  // or none, the accent color defined in CSS variables is used.
+  fillTierName(nick, nickname + ":", tier);
   const body = document.createElement("span");
   body.className = "text";
   body.textContent = " " + text;
   if (hasSecret) {
-    body.classList.add(isCorrect ? "right" : "wrong");
+    body.classList.add(isCorrect ? "right" : isClose ? "close" : "wrong");
   }
   row.appendChild(nick);
   row.appendChild(body);
+  // Near misses get a "close!" tag; the guess itself is not highlighted as
+  // right, so the answer is not given away.
+  if (hasSecret && isClose && !isCorrect) {
+    const tag = document.createElement("span");
+    tag.className = "closeTag";
+    tag.textContent = "close!";
+    row.appendChild(tag);
+  }
   chatEl.appendChild(row);
   chatEl.scrollTop = chatEl.scrollHeight;
 }
 
 // Display a small green winner popup for the specified duration.
 // Only the TikTok nickname is shown per user request.
-function showWinner({ nickname, guess, highlightMs }) {
+function showWinner({ nickname, guess, points, streak, highlightMs }) {
   const endAt = Date.now() + (highlightMs || 60000);
   highlightUntil = endAt;
   // Use winnerPopup styling for the popup appearance
   winnerEl.className = "winnerPopup";
   winnerEl.style.display = "block";
-  // Compose the popup text: WINNER: @nickname
-  winnerEl.
-        playWinnerSound();= `WINNER: ${nickname}`;
+  // Compose the popup text: WINNER: @nickname, plus the points earned
+  // (and the win streak from the second win in a row)
+  const pointsStr = points ? ` +${points} pts` : "";
+  const streakStr = streak > 1 ? ` (${streak} in a row!)` : "";
+  winnerEl.textContent = `WINNER: ${nickname}${pointsStr}${streakStr}`;
+  // With separate widget sources only the winner widget plays the sound,
+  // so it is not heard once per source
+  if (!standaloneEl || standaloneEl === winnerEl) playWinnerSound();
 }
 
 function clearWinnerBannerIfExpired() {
@@ -179,30 +206,194 @@ function playWinnerSound() {
 
 
 // Render the leaderboard. Accepts an array of entries sorted by
-// descending wins_total. Each entry should have display_name, wins_total,
-// tier and userId. If the array is empty, hide the leaderboard
+// descending score. Each entry should have display_name, score, tier and
+// userId; rankBy says whether the score is points or wins and the optional
+// title names the scope. If the array is empty, hide the leaderboard
 // entirely.
-function renderLeaderboard(data) {
+function renderLeaderboard(data, rankBy, title) {
+  leaderboardEl.innerHTML = "";
   if (!data || data.length === 0) {
     leaderboardEl.style.display = "none";
-    leaderboardEl.innerHTML = "";
     return;
   }
   leaderboardEl.style.display = "block";
-  // Build HTML lines for each leaderboard entry. Use ordinal numbers for
-  // ranks and apply tier colours to names consistent with chat.
-  const lines = data.map((entry, idx) => {
-    let colour = '';
-    if (entry.tier === 'red') colour = "var(--tier-red)";
-    else if (entry.tier === 'gold') colour = "var(--tier-gold)";
-    else if (entry.tier === 'platinum') colour = "var(--tier-platinum)";
-    const nameSpan = `<span style="color:${colour}">${entry.display_name}</span>`;
-    return `${idx + 1}. ${nameSpan} – ${entry.wins_total}`;
+  if (title) {
+    const titleEl = document.createElement("div");
+    titleEl.className = "leaderboardTitle";
+    titleEl.textContent = title;
+    leaderboardEl.appendChild(titleEl);
+  }
+  // Build one line per leaderboard entry. Use ordinal numbers for ranks
+  // and apply tier colours and badges to names consistent with chat.
+  data.forEach((entry, idx) => {
+    const line = document.createElement("div");
+    const name = document.createElement("span");
+    fillTierName(name, entry.display_name, entry.tier);
+    const score = entry.score ?? entry.wins_total;
+    line.append(`${idx + 1}. `, name, ` – ${score}${rankBy === "points" ? " pts" : ""}`);
+    leaderboardEl.appendChild(line);
   });
-  leaderboardEl.innerHTML = lines.join('<br>');
 }
 
-const socket = io();
+// When the server requires authentication, the overlay URL carries the
+// read-only overlay token: /overlay?token=... The game room to show is
+// picked with ?room=xyz (default: "default").
+const overlayParams = new URLSearchParams(location.search);
+const overlayToken = overlayParams.get("token") || "";
+const socket = io({ auth: { token: overlayToken, room: overlayParams.get("room") || "default" } });
+
+// ======================
+// Theme and layout
+// ======================
+
+// The room's theme and hidden widgets come with bootstrap and overlayConfig
+// events, so switching them in the admin page restyles the overlay live.
+// ?theme=<name> pins a theme whatever the room uses, and ?hide=chat,poll
+// hides widgets on top of the room's list.
+const pinnedTheme = overlayParams.get("theme") || "";
+let themePinned = Boolean(pinnedTheme);
+const urlHidden = (overlayParams.get("hide") || "")
+  .split(",")
+  .map((widget) => widget.trim())
+  .filter(Boolean);
+const widgetEls = [...document.querySelectorAll("[data-widget]")];
+const slotEls = {};
+for (const el of document.querySelectorAll("[data-slot]")) slotEls[el.dataset.slot] = el;
+let roomOverlayConfig = null;
+
+// Standalone widgets: /overlay/<widget> (e.g. /overlay/timer) shows just
+// that widget on a transparent background, so each one can be its own OBS
+// browser source. The room's hidden list does not apply, since hiding a
+// widget from the full overlay is how it moves to its own source. Sizing
+// options: ?width= and ?height= (px) fix the widget's box, ?fontSize= (px)
+// sets its text size, ?scale= overrides the theme's scale and
+// ?align=left|center|right aligns it.
+const standaloneWidget = decodeURIComponent(location.pathname.match(/^\/overlay\/([^/]+)/)?.[1] || "");
+const standaloneEl = widgetEls.find((el) => el.dataset.widget === standaloneWidget) || null;
+
+// A number option within [min, max], or null when missing or invalid
+function sizeParam(key, min, max) {
+  const n = Number(overlayParams.get(key));
+  return overlayParams.has(key) && n >= min && n <= max ? n : null;
+}
+
+const widgetScale = sizeParam("scale", 0.25, 4);
+
+if (standaloneEl) {
+  document.body.classList.add("standalone");
+  const width = sizeParam("width", 50, 4000);
+  const height = sizeParam("height", 20, 4000);
+  const fontSize = sizeParam("fontSize", 8, 200);
+  const align = overlayParams.get("align");
+  const bodyStyle = document.body.style;
+  if (width) bodyStyle.setProperty("--widget-width", `${width}px`);
+  if (height) bodyStyle.setProperty("--widget-height", `${height}px`);
+  if (fontSize) standaloneEl.style.fontSize = `${fontSize}px`;
+  if (["left", "center", "right"].includes(align)) document.body.dataset.align = align;
+}
+
+// Apply a theme: colors and the font scale go to CSS variables, the font
+// and tile style to body attributes (see app.css) and every widget is put
+// in its slot, in overlay.html order. Widgets the layout does not place
+// stay in the card. A standalone widget keeps its place.
+function applyTheme(theme) {
+  if (!theme) return;
+  const rootStyle = document.documentElement.style;
+  for (const [name, value] of Object.entries(theme.colors || {})) rootStyle.setProperty(`--${name}`, value);
+  rootStyle.setProperty("--scale", String(widgetScale ?? (theme.fontScale || 1)));
+  document.body.dataset.font = theme.font || "system";
+  document.body.dataset.tiles = theme.tiles || "text";
+  if (standaloneEl) return;
+  const layout = theme.layout || {};
+  for (const el of widgetEls) {
+    (slotEls[layout[el.dataset.widget]] || slotEls.center).appendChild(el);
+  }
+}
+
+function applyHidden(hidden) {
+  const off = new Set([...(hidden || []), ...urlHidden]);
+  for (const el of widgetEls) {
+    el.classList.toggle("widgetOff", standaloneEl ? el !== standaloneEl : off.has(el.dataset.widget));
+  }
+}
+
+function applyOverlayConfig(config) {
+  if (!config) return;
+  roomOverlayConfig = config;
+  applyHidden(config.hidden);
+  if (!themePinned) applyTheme(config.theme);
+}
+
+// Fetch the pinned theme. If it cannot be loaded the room's theme is used.
+async function loadPinnedTheme() {
+  try {
+    const res = await fetch(`/api/themes/${encodeURIComponent(pinnedTheme)}`, {
+      headers: overlayToken ? { Authorization: `Bearer ${overlayToken}` } : {},
+    });
+    if (!res.ok) throw new Error(`Theme '${pinnedTheme}' not found`);
+    applyTheme((await res.json()).theme);
+  } catch (e) {
+    console.warn(String(e.message || e));
+    themePinned = false;
+    if (roomOverlayConfig) applyTheme(roomOverlayConfig.theme);
+  }
+}
+
+if (themePinned) loadPinnedTheme();
+if (widgetScale) document.documentElement.style.setProperty("--scale", String(widgetScale));
+applyHidden([]);
+
+socket.on("overlayConfig", (config) => applyOverlayConfig(config));
+
+// A custom theme was saved. Rooms using it send overlayConfig; this only
+// matters to overlays pinned to it.
+socket.on("themeUpdated", (msg) => {
+  if (themePinned && msg?.theme?.name === pinnedTheme) applyTheme(msg.theme);
+});
+
+// Leaderboard scopes to show, from ?leaderboard=session,daily,weekly,all
+// (default: all time only, without a title). With more than one scope the
+// overlay rotates between them every ?rotate= seconds (default 15),
+// skipping scopes that have no winners yet.
+const LEADERBOARD_TITLES = { session: "This stream", daily: "Today", weekly: "This week", all: "All time" };
+const leaderboardScopes = (overlayParams.get("leaderboard") || "all")
+  .split(",")
+  .map((scope) => scope.trim())
+  .filter((scope) => scope in LEADERBOARD_TITLES);
+if (leaderboardScopes.length === 0) leaderboardScopes.push("all");
+const leaderboardRotateMs = Math.max(3, Number(overlayParams.get("rotate")) || 15) * 1000;
+let leaderboardBoards = {};
+let leaderboardRankBy = null;
+let leaderboardScopeIdx = 0;
+
+// Store the boards of every scope from the server and show the current one
+function showLeaderboards(boards, rankBy) {
+  leaderboardBoards = boards || {};
+  leaderboardRankBy = rankBy;
+  renderCurrentLeaderboard();
+}
+
+function renderCurrentLeaderboard() {
+  const scope = leaderboardScopes[leaderboardScopeIdx];
+  const title = overlayParams.has("leaderboard") ? LEADERBOARD_TITLES[scope] : "";
+  renderLeaderboard(leaderboardBoards[scope], leaderboardRankBy, title);
+}
+
+if (leaderboardScopes.length > 1) {
+  setInterval(() => {
+    for (let i = 0; i < leaderboardScopes.length; i++) {
+      leaderboardScopeIdx = (leaderboardScopeIdx + 1) % leaderboardScopes.length;
+      if (leaderboardBoards[leaderboardScopes[leaderboardScopeIdx]]?.length) break;
+    }
+    renderCurrentLeaderboard();
+  }, leaderboardRotateMs);
+}
+
+socket.on("connect_error", (err) => {
+  if (err && err.message === "unauthorized") {
+    statusEl.textContent = "Overlay token missing or invalid";
+  }
+});
 
 socket.on("bootstrap", (state) => {
   statusEl.textContent = state.connectedRoom
@@ -218,6 +409,7 @@ socket.on("bootstrap", (state) => {
   }
   // Show poll status if a poll is active
   if (state.poll) {
+    pollQuestion = state.poll.runoff ? `Runoff: ${state.poll.question}` : state.poll.question;
     pollEl.style.display = "block";
     renderPoll(state.poll);
   } else {
@@ -226,20 +418,27 @@ socket.on("bootstrap", (state) => {
   }
   // Initialize the masked word display and timer based on server state
   if (state.maskedWord) {
-    updateMask(state.maskedWord);
-    if (typeof state.timeLeftMs === "number" && state.timeLeftMs > 0) {
+    updateMask(state.tiles);
+    showWordLengths(state.wordLengths);
+    if (state.roundEnded === "expired") {
+      hasSecret = false;
+      showTimeUp();
+    } else if (typeof state.timeLeftMs === "number" && state.timeLeftMs > 0) {
       startTimer(state.timeLeftMs);
     }
   } else {
-    updateMask("");
+    updateMask([]);
     // Hide timer text when no round is active
-    timerTextEl.style.display = "none";
+    stopTimer();
   }
 
+  setTiers(state.tiers);
   // If leaderboard data is provided in the bootstrap payload, render it now
-  if (state.leaderboard) {
-    renderLeaderboard(state.leaderboard);
+  if (state.leaderboards) {
+    showLeaderboards(state.leaderboards, state.rankBy);
   }
+  renderAutoRun(state.autoRun);
+  applyOverlayConfig(state.overlay);
 });
 
 socket.on("system", (msg) => {
@@ -260,8 +459,11 @@ socket.on("round", (msg) => {
     hasSecret = true;
     winnerEl.style.display = "none";
     highlightUntil = 0;
+    nextRoundAt = 0;
+    updateNextRound();
     // Update the masked word and start the timer
-    if (msg.maskedWord) updateMask(msg.maskedWord);
+    if (msg.tiles) updateMask(msg.tiles);
+    showWordLengths(msg.wordLengths);
     if (typeof msg.timeLeftMs === "number" && msg.timeLeftMs > 0) {
       startTimer(msg.timeLeftMs);
     }
@@ -271,15 +473,26 @@ socket.on("round", (msg) => {
     winnerEl.style.display = "none";
     highlightUntil = 0;
     // Hide masked word and timer display
-    updateMask("");
-    timerTextEl.style.display = "none";
+    updateMask([]);
+    stopTimer();
   } else if (msg.status === "reading_started" || msg.status === "reading_stopped") {
     // When reading is toggled, hide any existing winner popup
     winnerEl.style.display = "none";
     highlightUntil = 0;
+  } else if (msg.status === "expired") {
+    // Time ran out on the server: show the answer and the time's up state.
+    // Chat lines are no longer judged, so stop marking them as wrong.
+    hasSecret = false;
+    if (msg.tiles) updateMask(msg.tiles);
+    showTimeUp();
+  } else if (msg.status === "skipped") {
+    // The round was skipped: show the answer without the time's up state
+    hasSecret = false;
+    if (msg.tiles) updateMask(msg.tiles);
+    stopTimer();
   } else if (msg.status === "timer_updated") {
     // Timer was adjusted: update mask and restart timer with new value
-    if (msg.maskedWord) updateMask(msg.maskedWord);
+    if (msg.tiles) updateMask(msg.tiles);
     if (typeof msg.timeLeftMs === "number") {
       startTimer(msg.timeLeftMs);
     }
@@ -287,7 +500,11 @@ socket.on("round", (msg) => {
 });
 
 socket.on("chat", (data) => addMessage(data));
-socket.on("winner", (data) => showWinner(data));
+socket.on("winner", (data) => {
+  // The round is over, so the countdown no longer applies
+  stopTimer();
+  showWinner(data);
+});
 
 // Listen for userUpdate events to optionally display tier-up notifications or
 // update any future leaderboard. Currently no UI is added for this but
@@ -299,11 +516,13 @@ socket.on("userUpdate", (data) => {
 
 // Poll events: show poll progress and results
 socket.on("pollStart", (info) => {
+  clearTimeout(pollHideTimer);
+  pollQuestion = info.runoff ? `Runoff: ${info.question}` : info.question;
   pollEl.style.display = "block";
   renderPoll({ options: info.options, tallies: {}, endsAt: info.endsAt });
   // When a poll starts, immediately show instructions on how to vote. Insert at
-  // the start of the poll element so viewers know to type the option names.
-  const instruct = `Vote: type ${info.options.map((opt) => `'${opt}'`).join(' or ')} in chat`;
+  // the start of the poll element so viewers know to type a number.
+  const instruct = `Vote: type ${info.options.map((opt, i) => i + 1).join(", ")} in chat`;
   pollEl.textContent = instruct + " | " + pollEl.textContent;
 });
 socket.on("pollUpdate", (msg) => {
@@ -312,20 +531,25 @@ socket.on("pollUpdate", (msg) => {
   }
 });
 socket.on("pollEnd", (msg) => {
-  renderPoll({ options: Object.keys(msg.tallies), tallies: msg.tallies, ended: true, winner: msg.winner });
+  renderPoll({ options: Object.keys(msg.tallies), tallies: msg.tallies, ended: true, winner: msg.winner, tied: msg.tied });
+  // A runoff poll starts right away and replaces this one
+  if (msg.runoff) return;
   // hide poll after a delay
-  setTimeout(() => {
+  pollHideTimer = setTimeout(() => {
     pollEl.style.display = "none";
     pollEl.textContent = "";
   }, 5000);
 });
 
+// The host changed the tier ladder. An updated leaderboard follows.
+socket.on("tiers", (msg) => setTiers(msg.tiers));
+
 // Listen for leaderboard events. When a leaderboard update arrives, render
 // the entries so viewers can see the top players. If the leaderboard is
 // empty, hide the container.
 socket.on("leaderboard", (msg) => {
-  if (msg && Array.isArray(msg.leaderboard)) {
-    renderLeaderboard(msg.leaderboard);
+  if (msg && msg.leaderboards) {
+    showLeaderboards(msg.leaderboards, msg.rankBy);
   }
 });
 
@@ -347,6 +571,10 @@ socket.on("boost", (data) => {
     const secs = Math.round((data.ms || 0) / 1000);
     msg = `+${secs}s bonus!`;
   }
+  // Boosts triggered by a TikTok gift carry the gifter's nickname
+  if (msg && data.nickname) {
+    msg += ` Thanks ${data.nickname}!`;
+  }
   if (msg) {
     boostHintEl.dataset.temp = "true";
     boostHintEl.style.display = "block";
@@ -364,24 +592,121 @@ socket.on("boost", (data) => {
   }
 });
 
+// Auto-run status. During an intermission the overlay counts down to the
+// next round.
+socket.on("autorun", (info) => renderAutoRun(info));
+
+// Replies to viewer chat commands (!rank, !top, ...) appear as toasts for a
+// few seconds. At most three are shown at once.
+const COMMAND_TOAST_MS = 6000;
+socket.on("commandReply", (msg) => {
+  const toastEl = document.createElement("div");
+  toastEl.className = "commandToast";
+  toastEl.textContent = msg.text;
+  commandToastsEl.appendChild(toastEl);
+  while (commandToastsEl.children.length > 3) commandToastsEl.firstChild.remove();
+  setTimeout(() => toastEl.remove(), COMMAND_TOAST_MS);
+});
+
 // When the server broadcasts a mask update, update the displayed word. This
-// event is emitted after specific letters or the entire word are revealed.
+// event is emitted after specific letters or the entire word are revealed,
+// with the indices that changed and why, so each reveal gets its own
+// animation.
 socket.on("mask", (msg) => {
-  if (msg && msg.maskedWord != null) {
-    updateMask(msg.maskedWord);
+  if (msg && msg.tiles) {
+    updateMask(msg.tiles, msg.revealed, msg.reason);
   }
 });
 
-// Update the masked word display. Adds spaces between characters for
-// readability on mobile. If the string is empty, hide the element.
-function updateMask(masked) {
-  if (!masked) {
+// Reveal animation per reason (see REVEAL_REASONS in game-room.js): rapid
+// mode locks flip, host picks pop, boosts glow, a solve flips letter by
+// letter with confetti and a time out or skip fades in.
+const REVEAL_ANIMATIONS = {
+  lock: "revealFlip",
+  admin: "revealPop",
+  boost: "revealGlow",
+  win: "revealFlip",
+  end: "revealFade",
+};
+const WIN_STAGGER_MS = 60;
+let maskTiles = [];
+
+function setTile(tile, ch) {
+  tile.className = ch === "_" ? "tile tileHidden" : ch === " " ? "tile tileSpace" : "tile";
+  tile.textContent = ch;
+}
+
+// Update the masked word display from the server's tiles (one per
+// character, "_" while hidden), styled by the theme's tile style. Tiles
+// are keyed by position: they are rebuilt when the word changes length;
+// otherwise only changed ones are updated and the ones in revealed are
+// animated for the reason. If there are no tiles, hide the element.
+function updateMask(tiles, revealed, reason) {
+  if (!tiles?.length) {
     maskedWordEl.style.display = "none";
-    maskedWordEl.textContent = "";
+    for (const tile of maskTiles) tile.remove();
+    maskTiles = [];
+    showWordLengths([]);
     return;
   }
   maskedWordEl.style.display = "flex";
-  maskedWordEl.textContent = masked.split("").join(" ");
+  if (tiles.length !== maskTiles.length) {
+    for (const tile of maskTiles) tile.remove();
+    maskTiles = tiles.map((ch, idx) => {
+      const tile = document.createElement("span");
+      tile.dataset.index = String(idx);
+      setTile(tile, ch);
+      maskedWordEl.insertBefore(tile, wordLengthsEl);
+      return tile;
+    });
+    return;
+  }
+  tiles.forEach((ch, idx) => {
+    if (maskTiles[idx].textContent !== ch) setTile(maskTiles[idx], ch);
+  });
+  const animation = REVEAL_ANIMATIONS[reason];
+  if (!animation || !revealed?.length) return;
+  revealed.forEach((idx, order) => {
+    const tile = maskTiles[idx];
+    if (!tile) return;
+    // Restart the animation if the tile is still running one
+    tile.classList.remove(...Object.values(REVEAL_ANIMATIONS));
+    void tile.offsetWidth;
+    tile.style.animationDelay = reason === "win" ? `${order * WIN_STAGGER_MS}ms` : "";
+    tile.classList.add(animation);
+  });
+  if (reason === "win") showConfetti(revealed.length * WIN_STAGGER_MS);
+}
+
+// Letters per word under the mask: "5 letters", or "4 · 1 · 4" for a
+// phrase
+function showWordLengths(lengths) {
+  if (!lengths?.length) {
+    wordLengthsEl.textContent = "";
+    return;
+  }
+  wordLengthsEl.textContent = lengths.length === 1 ? `${lengths[0]} letters` : lengths.join(" · ");
+}
+
+// Burst of confetti over the word when it is solved, after the flip
+const CONFETTI_PIECES = 40;
+const CONFETTI_COLORS = ["--accent", "--ok", "--warn", "--err"];
+
+function showConfetti(delayMs) {
+  const burst = document.createElement("div");
+  burst.className = "confetti";
+  for (let i = 0; i < CONFETTI_PIECES; i++) {
+    const piece = document.createElement("span");
+    piece.className = "confettiPiece";
+    piece.style.left = `${Math.random() * 100}%`;
+    piece.style.background = `var(${CONFETTI_COLORS[i % CONFETTI_COLORS.length]})`;
+    piece.style.animationDelay = `${delayMs + Math.random() * 300}ms`;
+    piece.style.setProperty("--drift", `${Math.round((Math.random() - 0.5) * 120)}px`);
+    piece.style.setProperty("--spin", `${Math.round(Math.random() * 720 - 360)}deg`);
+    burst.appendChild(piece);
+  }
+  maskedWordEl.appendChild(burst);
+  setTimeout(() => burst.remove(), delayMs + 2000);
 }
 
 // Start or restart the timer bar. Sets maxTimeLeftMs and roundEndAt
@@ -391,15 +716,36 @@ function startTimer(timeLeftMs) {
   maxTimeLeftMs = timeLeftMs;
   roundEndAt = Date.now() + timeLeftMs;
   // Show the timer text when a round starts
+  timerTextEl.classList.remove("timeUp");
   timerTextEl.style.display = "block";
   updateTimerText();
 }
 
+// Stop the countdown and hide the timer (e.g. when someone wins).
+function stopTimer() {
+  maxTimeLeftMs = 0;
+  roundEndAt = 0;
+  timerTextEl.classList.remove("timeUp");
+  timerTextEl.style.display = "none";
+}
+
+// Show the "time's up" state. The server ends the round when the clock
+// reaches zero, so the overlay keeps this state until the next round starts
+// or the round is reset.
+function showTimeUp() {
+  maxTimeLeftMs = 0;
+  roundEndAt = 0;
+  timerTextEl.textContent = "TIME'S UP!";
+  timerTextEl.classList.add("timeUp");
+  timerTextEl.style.display = "block";
+}
+
 // Update the timer text based on the remaining time. Formats the remaining
-// time as MM:SS and hides the element when the countdown finishes.
+// time as MM:SS and switches to the time's up state when the countdown
+// finishes.
 function updateTimerText() {
   if (!maxTimeLeftMs || maxTimeLeftMs <= 0) {
-    timerTextEl.style.display = "none";
+    if (!timerTextEl.classList.contains("timeUp")) timerTextEl.style.display = "none";
     return;
   }
   const remaining = roundEndAt - Date.now();
@@ -411,9 +757,31 @@ function updateTimerText() {
   const secStr = String(seconds).padStart(2, "0");
   timerTextEl.textContent = `${minutes}:${secStr}`;
   if (clamped <= 0) {
-    timerTextEl.style.display = "none";
+    showTimeUp();
   }
 }
 
 // Regularly update the timer text to reflect the countdown.
 setInterval(updateTimerText, 1000);
+
+// Local timestamp when the next auto-run round starts, or 0 when no
+// countdown is running.
+let nextRoundAt = 0;
+
+function renderAutoRun(info) {
+  nextRoundAt = info && info.phase === "intermission" && info.startsInMs > 0 ? Date.now() + info.startsInMs : 0;
+  updateNextRound();
+}
+
+// Show "Next round in N…" while the countdown runs and hide it otherwise.
+function updateNextRound() {
+  const secs = nextRoundAt ? Math.ceil((nextRoundAt - Date.now()) / 1000) : 0;
+  if (secs <= 0) {
+    nextRoundEl.style.display = "none";
+    return;
+  }
+  nextRoundEl.textContent = `Next round in ${secs}…`;
+  nextRoundEl.style.display = "block";
+}
+
+setInterval(updateNextRound, 250);
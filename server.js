@@ -2,29 +2,105 @@ import express from "express";
 import http from "http";
 import { Server as SocketIOServer } from "socket.io";
 import cors from "cors";
-import { WebcastPushConnection } from "tiktok-live-connector";
-import XRegExp from "xregexp";
-import fs from "fs";
-
-// Utility: normalize text (remove accents/punct, lowercase, trim)
-function normalize(txt) {
-  if (!txt) return "";
-  const stripped = txt
-    .normalize("NFD")
-    .replace(/\p{M}/gu, "") // diacritics
-    .replace(/[^\p{L}\p{N}\s]/gu, "") // punctuation (keep letters/numbers/spaces)
-    .toLowerCase()
-    .trim();
-  return stripped;
+import crypto from "crypto";
+import { GameRoom, GIFT_ACTION_TYPES } from "./src/game-room.js";
+import { LEADERBOARD_SCOPES } from "./src/leaderboards.js";
+import { DEFAULT_ROOM_ID } from "./src/config.js";
+import { initStorage, getStorage } from "./src/storage.js";
+import { parseAnswerList } from "./src/text.js";
+import { roundsToCsv } from "./src/round-history.js";
+import { listCommands } from "./src/commands.js";
+import { listRecordings, recordingFile, deleteRecording } from "./src/recorder.js";
+import {
+  loadWordLists,
+  listWordLists,
+  getWordList,
+  setWordList,
+  addWords,
+  removeWord,
+  deleteWordList,
+  parseWordFile,
+  detectWordFormat,
+  summarizeWordList,
+} from "./src/words.js";
+import {
+  loadThemes,
+  listThemes,
+  getTheme,
+  saveTheme,
+  deleteTheme,
+  isBuiltinTheme,
+  STANDALONE_WIDGETS,
+} from "./src/themes.js";
+
+// ==============
+// Authentication
+// ==============
+
+// When ADMIN_PASSWORD (or ADMIN_TOKEN) is set, every /api route and the
+// Socket.IO stream require credentials. The admin page logs in with the
+// password via /api/login and receives a session token, which it sends as
+// "Authorization: Bearer <token>"; scripts may send ADMIN_TOKEN directly.
+// OVERLAY_TOKEN is a separate read-only token for OBS browser sources
+// (/overlay?token=...): it may open the Socket.IO stream and read
+// /api/state, but cannot change anything. Without ADMIN_PASSWORD or
+// ADMIN_TOKEN the server stays open as before, which is only meant for
+// local use.
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || "";
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || "";
+const OVERLAY_TOKEN = process.env.OVERLAY_TOKEN || "";
+const AUTH_ENABLED = Boolean(ADMIN_PASSWORD || ADMIN_TOKEN);
+const SESSION_TTL_MS = 12 * 60 * 60_000; // 12 hours
+
+// Admin sessions created by /api/login: token -> expiry timestamp
+const sessions = new Map();
+
+// Cross-origin access. CORS_ORIGINS is a comma-separated allow-list. If it
+// is not set, any origin is allowed while auth is off and none once it is on.
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || "").split(",").map((o) => o.trim()).filter(Boolean);
+const corsOrigin = CORS_ORIGINS.length ? CORS_ORIGINS : AUTH_ENABLED ? false : "*";
+
+// Compare secrets in constant time. Both values are hashed first so that
+// their lengths do not leak either.
+function safeEqual(a, b) {
+  const ha = crypto.createHash("sha256").update(String(a)).digest();
+  const hb = crypto.createHash("sha256").update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+// Resolve a token to a role: "admin", "overlay" or null. Everyone is an
+// admin while auth is disabled.
+function getRole(token) {
+  if (!AUTH_ENABLED) return "admin";
+  if (!token) return null;
+  if (ADMIN_TOKEN && safeEqual(token, ADMIN_TOKEN)) return "admin";
+  const expiresAt = sessions.get(token);
+  if (expiresAt) {
+    if (expiresAt > Date.now()) return "admin";
+    sessions.delete(token);
+  }
+  if (OVERLAY_TOKEN && safeEqual(token, OVERLAY_TOKEN)) return "overlay";
+  return null;
+}
+
+// Extract a bearer token from the Authorization header.
+function tokenFromRequest(req) {
+  const header = req.get("authorization") || "";
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : "";
 }
 
 // App setup
 const app = express();
 const server = http.createServer(app);
-const io = new SocketIOServer(server, { cors: { origin: "*" } });
-
-app.use(cors());
-app.use(express.json());
+const io = new SocketIOServer(server, { cors: { origin: corsOrigin } });
+
+// Render (see render.yaml) runs the app behind a proxy; trust it so req.ip
+// is the client address used by the login rate limit.
+app.set("trust proxy", 1);
+app.use(cors({ origin: corsOrigin }));
+// Word list imports are sent as JSON text, so allow larger bodies
+app.use(express.json({ limit: "2mb" }));
 app.use(express.static("public"));
 
 // Serve admin and overlay HTML files from the public directory. These explicit
@@ -47,559 +123,474 @@ app.get(["/admin", "/admin.html"], (req, res) => {
 app.get(["/overlay", "/overlay.html"], (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'overlay.html'));
 });
+
+// A single overlay widget at /overlay/<widget> (e.g. /overlay/timer), so
+// each one can be its own OBS browser source. It is the same page;
+// overlay.js reads the widget from the path.
+app.get("/overlay/:widget", (req, res) => {
+  if (!STANDALONE_WIDGETS.includes(req.params.widget)) return res.status(404).send("Unknown overlay widget");
+  res.sendFile(path.join(__dirname, 'public', 'overlay.html'));
+});
 // Serve the winner sound file
 app.get('/sound.wav', (req, res) => {
   res.sendFile(path.join(__dirname, 'sound.wav'));
 });
 
+// API routes that the read-only overlay token may call (GET only): the
+// state and leaderboard of the default room or of a named room, and a
+// theme (for /overlay?theme=)
+const OVERLAY_API_ROUTES = /^\/((rooms\/[^/]+\/)?(state|leaderboard)|themes\/[^/]+)$/;
+
+// Guard every /api route except login. The resolved role is stored on the
+// request so routes can hide admin-only data.
+app.use("/api", (req, res, next) => {
+  if (req.path === "/login") return next();
+  const role = getRole(tokenFromRequest(req));
+  req.role = role;
+  if (role === "admin") return next();
+  if (role === "overlay" && req.method === "GET" && OVERLAY_API_ROUTES.test(req.path)) return next();
+  return res.status(401).json({ error: "Unauthorized" });
+});
 
-// Game state
-let ttConnection = null;
-let connectedRoom = null;
-let isRunning = false;
-let secretWordRaw = "";
-let secretWordNorm = "";
-let winner = null;
-let roundStartedAt = null;
-const winnerHighlightMs = 60_000; // 60 seconds
-let lastWinAt = 0;
-
-// Added state for masked word and timer
-// revealedPositions holds booleans for each character in secretWordRaw. true means
-// that character should be shown in the overlay. When a new word is set, all
-// positions are initialized to false. Admin actions or gifts can reveal
-// individual letters or the entire word by toggling these to true.
-let revealedPositions = [];
-
-// roundDurationMs stores the total duration of the current round in
-// milliseconds. When the secret word is set, it defaults to 20 seconds
-// (matching the rapid‑fire requirement). The admin can adjust the remaining
-// time via the update-timer endpoint. The current remaining time can be
-// computed as roundDurationMs - (Date.now() - roundStartedAt).
-let roundDurationMs = 20_000;
+// Failed login attempts per client IP, to slow down password guessing
+const loginFailures = new Map();
+const LOGIN_MAX_FAILURES = 5;
+const LOGIN_LOCKOUT_MS = 10 * 60_000;
+
+// Log in with the admin password. Accepts { password } and returns a session
+// token for the Authorization header. When auth is disabled, returns
+// authRequired: false and no token.
+app.post("/api/login", (req, res) => {
+  if (!AUTH_ENABLED) return res.json({ ok: true, authRequired: false, token: null });
+  if (!ADMIN_PASSWORD) return res.status(400).json({ error: "Password login is disabled" });
+  const now = Date.now();
+  const failures = loginFailures.get(req.ip);
+  if (failures && failures.until > now && failures.count >= LOGIN_MAX_FAILURES) {
+    return res.status(429).json({ error: "Too many attempts, try again later" });
+  }
+  const { password } = req.body || {};
+  if (!password || !safeEqual(password, ADMIN_PASSWORD)) {
+    const count = failures && failures.until > now ? failures.count + 1 : 1;
+    loginFailures.set(req.ip, { count, until: now + LOGIN_LOCKOUT_MS });
+    return res.status(401).json({ error: "Wrong password" });
+  }
+  loginFailures.delete(req.ip);
+  const token = crypto.randomBytes(32).toString("hex");
+  sessions.set(token, now + SESSION_TTL_MS);
+  return res.json({ ok: true, authRequired: true, token, expiresAt: now + SESSION_TTL_MS });
+});
+
+// End the current admin session.
+app.post("/api/logout", (req, res) => {
+  sessions.delete(tokenFromRequest(req));
+  return res.json({ ok: true });
+});
+
+// Socket.IO connections need the overlay token or an admin token (sent as
+// auth.token in the handshake) once auth is enabled.
+io.use((socket, next) => {
+  const role = getRole(socket.handshake.auth?.token);
+  if (!role) return next(new Error("unauthorized"));
+  socket.data.role = role;
+  next();
+});
 
 // ======================
-// Persistence and Tiers
+// Rooms
 // ======================
 
-// The users object stores per-user statistics such as display name, win count
-// and tier. Tiers are based on win totals: 'red' for 1 win, 'gold' for 2
-// wins, 'platinum' for 3 or more wins, and 'none' for no wins. This data
-// may be persisted to disk between server restarts when PERSIST_STATE is
-// enabled via the environment variable. The data file is stored in the
-// project root next to this script.
-
-const DATA_FILE = path.join(__dirname, "users.json");
-const PERSIST_STATE = process.env.PERSIST_STATE === "true";
-let users = {};
-
-// Load user data from disk if persistence is enabled. If the file is not
-// present or cannot be parsed, start with an empty object. This function
-// runs once at startup.
-function loadUsers() {
-  if (!PERSIST_STATE) {
-    users = {};
-    return;
-  }
-  try {
-    const data = fs.readFileSync(DATA_FILE, "utf8");
-    users = JSON.parse(data);
-  } catch (e) {
-    users = {};
-  }
-}
-
-// Save user data to disk if persistence is enabled. Writes the users object
-// in pretty JSON format. Errors are ignored to prevent crashes.
-function saveUsers() {
-  if (!PERSIST_STATE) return;
-  try {
-    fs.writeFileSync(DATA_FILE, JSON.stringify(users, null, 2));
-  } catch (e) {
-    // ignore write errors
-  }
+// Every game runs in a room keyed by a short id (e.g. the creator's name).
+// Rooms are created by the admin (POST /api/rooms or any admin POST to a
+// room's routes); reads, the overlay token and sockets only find existing
+// rooms, so arbitrary ids cannot use up MAX_ROOMS. Each one has its own
+// TikTok connection, round, leaderboard and stored data (see storage.js).
+// Overlays join the Socket.IO room "room:<id>" and only receive that
+// room's events. The "default" room always exists and backs the original
+// un-namespaced /api routes.
+const ROOM_ID_PATTERN = /^[a-z0-9_-]{1,32}$/i;
+const MAX_ROOMS = Number(process.env.MAX_ROOMS) || 20;
+const rooms = new Map();
+
+function socketRoomName(roomId) {
+  return `room:${roomId}`;
 }
 
-// Compute a tier string based on the total number of wins. This helper
-// centralises tier thresholds so that any future changes are easier to make.
-function computeTier(winsTotal) {
-  if (winsTotal >= 3) return "platinum";
-  if (winsTotal >= 2) return "gold";
-  if (winsTotal >= 1) return "red";
-  return "none";
+function roomKey(roomId) {
+  return String(roomId || DEFAULT_ROOM_ID).toLowerCase();
 }
 
-// Retrieve a user record by ID, creating a new record if necessary. The
-// display name is updated if provided and different from the stored name.
-function getUser(userId, nickname) {
-  let u = users[userId];
-  if (!u) {
-    u = { userId, display_name: nickname || userId, wins_total: 0, tier: "none" };
-    users[userId] = u;
-  } else {
-    if (nickname && u.display_name !== nickname) {
-      u.display_name = nickname;
-    }
-  }
-  return u;
+// An existing room by id, or null.
+function findRoom(roomId) {
+  return rooms.get(roomKey(roomId)) || null;
 }
 
-// Increment a user's win count and update their tier accordingly. Returns
-// true if the tier has changed, which clients can use to trigger tier-up
-// notifications. Persist changes to disk if enabled.
-function incrementUserWins(user) {
-  user.wins_total++;
-  const newTier = computeTier(user.wins_total);
-  const changed = newTier !== user.tier;
-  user.tier = newTier;
-  saveUsers();
-  return changed;
+// Get a room by id, creating it if needed. Returns null if the id is
+// invalid or the room limit has been reached.
+function getRoom(roomId) {
+  const id = roomKey(roomId);
+  if (rooms.has(id)) return rooms.get(id);
+  if (!ROOM_ID_PATTERN.test(id) || rooms.size >= MAX_ROOMS) return null;
+  const room = new GameRoom(id, {
+    emit: (event, payload) => io.to(socketRoomName(id)).emit(event, payload),
+  });
+  rooms.set(id, room);
+  return room;
 }
 
-// Reset all users to their default state (no wins and no tier) and
-// persist the cleared state. This can be exposed via an admin endpoint.
-function resetAllUsers() {
-  users = {};
-  saveUsers();
+// Recreate rooms that have stored data so they show up in /api/rooms
+// after a restart.
+function loadRooms() {
+  getRoom(DEFAULT_ROOM_ID);
+  for (const id of getStorage().listRooms()) getRoom(id);
 }
 
-// Immediately load any persisted user data on server startup.
-loadUsers();
-
-// ==================
-// Game Mode & Polls
-// ==================
-
-// Current game mode. "classic" requires exact matches for winners and does
-// not provide any hints. "rapid" uses position locks so that incorrect
-// guesses which match letters in the correct position reveal those letters
-// to all players. The default is classic.
-let gameMode = "classic";
-
-// Poll state for live voting. When a poll is active, pollState is an object
-// with the question, an array of options, a tallies map, a Set of userIds
-// that have voted (to enforce one vote per user), and the timestamp when
-// the poll ends. When no poll is active, pollState is null.
-let pollState = null;
-
-// End the active poll and apply the winning mode. If there is a tie, the
-// current game mode remains unchanged. Emits pollEnd and state events to
-// clients. Called automatically when the poll time expires.
-function endPoll() {
-  if (!pollState) return;
-  const { options, tallies } = pollState;
-  let winner = gameMode;
-  let maxVotes = -1;
-  for (const opt of options) {
-    const votes = tallies[opt] ?? 0;
-    if (votes > maxVotes) {
-      winner = opt;
-      maxVotes = votes;
-    } else if (votes === maxVotes) {
-      // tie: keep current winner
-    }
-  }
-  gameMode = winner;
-  io.emit("pollEnd", { winner, tallies });
-  // Broadcast the new mode to all clients
-  io.emit("state", { mode: gameMode });
-  pollState = null;
+// Open storage before anything is loaded. A data directory or database that
+// cannot be used stops the server here rather than losing data later.
+try {
+  await initStorage();
+} catch (e) {
+  console.error("Storage:", e.message);
+  process.exit(1);
 }
+loadThemes();
+loadRooms();
+loadWordLists();
+
+// List all rooms.
+app.get("/api/rooms", (req, res) => {
+  const list = [...rooms.values()].map((room) => ({
+    roomId: room.id,
+    connectedRoom: room.connectedRoom,
+    isRunning: room.isRunning,
+  }));
+  return res.json({ rooms: list });
+});
 
-// Basic per-user rate limit: 1 message per 700 ms
-const userLastMsgAt = new Map();
+// Create a room, or do nothing if it exists. Accepts { roomId }. The admin
+// page calls this when it opens a room.
+app.post("/api/rooms", (req, res) => {
+  const room = getRoom(String(req.body?.roomId || "").trim());
+  if (!room) return res.status(400).json({ error: "Invalid room id or too many rooms" });
+  return res.json({ ok: true, roomId: room.id });
+});
 
-// TikTok handlers
-async function connectTikTok(uniqueId) {
-  if (ttConnection) {
-    try {
-      ttConnection.disconnect();
-    } catch {}
+// Per-room admin API. Mounted at /api/rooms/:roomId and, for the default
+// room, at /api so existing clients keep working.
+const roomApi = express.Router({ mergeParams: true });
+
+// Reads need an existing room; admin POSTs create it. Deleting a room
+// that does not exist is a 404 rather than a create and delete.
+roomApi.use((req, res, next) => {
+  const create = req.method === "POST" && req.path !== "/delete";
+  const room = create ? getRoom(req.params.roomId) : findRoom(req.params.roomId);
+  if (room) {
+    req.room = room;
+    return next();
   }
-  ttConnection = new WebcastPushConnection(uniqueId);
-  const state = await ttConnection.connect();
-  connectedRoom = uniqueId;
-
-  io.emit("system", { type: "connected", room: uniqueId, viewerCount: state.roomInfo?.viewerCount ?? null });
-
-  ttConnection.on("chat", (data) => {
-    const nickname = data?.nickname || data?.uniqueId || "Unknown";
-    const uniqueId = data?.uniqueId || "";
-    const userId = String(data?.userId || uniqueId || nickname);
-    const text = String(data?.comment || "");
-
-    // Simple per-user rate-limit
-    const now = Date.now();
-    const last = userLastMsgAt.get(userId) || 0;
-    if (now - last < 700) return; // drop message
-    userLastMsgAt.set(userId, now);
-
-    // Normalize message for case-insensitive comparison
-    const normalizedMsg = normalize(text);
-    let isCorrect = false;
-    const highlightActive = winner && now - lastWinAt < winnerHighlightMs;
-    // Only judge guesses when reading is enabled, a secret is set and the
-    // winner popup is not currently active
-    if (isRunning && secretWordNorm && !highlightActive) {
-      // Match rule: exact match only (no partial matches) for both modes. In
-      // rapid mode incorrect guesses may reveal letters but only exact match
-      // declares a winner.
-      isCorrect = normalizedMsg === secretWordNorm;
-    }
-
-    // Voting: if a poll is active and the message exactly matches one of
-    // the options, count it as a vote. Users may vote only once per poll.
-    if (pollState) {
-      const opt = normalizedMsg.trim();
-      if (!pollState.voters.has(userId) && pollState.options.includes(opt)) {
-        pollState.voters.add(userId);
-        pollState.tallies[opt] = (pollState.tallies[opt] || 0) + 1;
-        io.emit("pollUpdate", { tallies: pollState.tallies });
-      }
-    }
-
-    // Rapid mode: apply position locks on incorrect guesses. When the game
-    // mode is rapid and the guess is not correct, reveal letters that are
-    // correctly positioned in the guess. Use the normalized secret and
-    // normalized guess for comparison but reveal letters from the raw word.
-    if (gameMode === "rapid" && isRunning && secretWordNorm && !isCorrect) {
-      const guessNorm = normalizedMsg;
-      const secretNorm = secretWordNorm;
-      const maxLen = Math.min(secretNorm.length, guessNorm.length);
-      for (let i = 0; i < maxLen; i++) {
-        if (guessNorm[i] === secretNorm[i]) {
-          revealedPositions[i] = true;
-        }
-      }
-      const maskedWord = getMaskedWord();
-      io.emit("mask", { maskedWord });
-    }
-
-    // Retrieve the user record (creating it if needed) and send the chat
-    // message with tier information. The tier is looked up before
-    // incrementing wins for a correct guess.
-    const userRecord = getUser(userId, nickname);
-
-    io.emit("chat", {
-      userId,
-      uniqueId,
-      nickname,
-      text,
-      ts: now,
-      isCorrect,
-      tier: userRecord.tier,
-    });
-
-    // On correct guess, record the winner, update the user's stats and
-    // broadcast both winner and userUpdate events. The winner popup
-    // highlights for a fixed duration. Also reveal the entire word when
-    // someone guesses correctly so that any hidden letters appear.
-    if (isCorrect) {
-      winner = { userId, uniqueId, nickname, at: now, guess: text };
-      lastWinAt = now;
-      // Reveal entire word on correct guess
-      revealedPositions = new Array(secretWordRaw.length).fill(true);
-      const maskedWord = getMaskedWord();
-      io.emit("mask", { maskedWord });
-      // Update user wins and tier
-      const tierChanged = incrementUserWins(userRecord);
-      io.emit("winner", {
-        nickname,
-        uniqueId,
-        userId,
-        guess: text,
-        highlightMs: winnerHighlightMs,
-      });
-      // Emit userUpdate with wins and tier (for leaderboards or tier-up toast)
-      io.emit("userUpdate", {
-        userId,
-        nickname,
-        wins_total: userRecord.wins_total,
-        tier: userRecord.tier,
-        tierChanged,
-      });
-
-      // Broadcast updated leaderboard so overlays can display top players
-      broadcastLeaderboard();
-    }
-  });
-
-  // Connection closed/errors
-  ttConnection.on("disconnected", () => {
-    io.emit("system", { type: "disconnected" });
-    connectedRoom = null;
-  });
-  ttConnection.on("streamEnd", () => {
-    io.emit("system", { type: "stream_end" });
-  });
-  ttConnection.on("error", (err) => {
-    io.emit("system", { type: "error", message: String(err?.message || err) });
-  });
-}
-
-function disconnectTikTok() {
-  try {
-    ttConnection?.disconnect();
-  } catch {}
-  ttConnection = null;
-  connectedRoom = null;
-}
+  if (!ROOM_ID_PATTERN.test(roomKey(req.params.roomId))) return res.status(400).json({ error: "Invalid room id" });
+  if (!create) return res.status(404).json({ error: "Room not found" });
+  return res.status(400).json({ error: `At most ${MAX_ROOMS} rooms are allowed` });
+});
 
-// Utility: build a masked representation of the secret word. For each
-// character in secretWordRaw, return the character itself if the
-// corresponding index in revealedPositions is true, otherwise return
-// an underscore. If no secret has been set, return an empty string.
-function getMaskedWord() {
-  if (!secretWordRaw) return "";
-  return secretWordRaw.split("").map((ch, idx) => (revealedPositions[idx] ? ch : "_" )).join("");
-}
+// Delete a room: disconnect it and stop its timers. Its stored data is
+// kept. The default room cannot be deleted.
+roomApi.post("/delete", (req, res) => {
+  if (req.room.id === DEFAULT_ROOM_ID) {
+    return res.status(400).json({ error: "The default room cannot be deleted" });
+  }
+  req.room.destroy();
+  rooms.delete(req.room.id);
+  return res.json({ ok: true });
+});
 
 // Admin API
-app.post("/api/start", async (req, res) => {
+
+// Connect the room to a live. "room" is a TikTok uniqueId, or a simulator
+// for offline testing: "sim:<file>.jsonl" replays a recording from
+// REPLAY_DIR and "sim:bots" generates guessing viewers (see
+// event-sources.js).
+roomApi.post("/start", async (req, res) => {
   const { room } = req.body || {};
-  if (!room) return res.status(400).json({ error: "Missing 'room' (TikTok username/uniqueId)" });
+  if (!room) return res.status(400).json({ error: "Missing 'room' (TikTok username/uniqueId or sim:...)" });
   try {
-    await connectTikTok(room);
+    await req.room.connectTikTok(room);
     return res.json({ ok: true, room });
   } catch (e) {
     return res.status(500).json({ error: String(e?.message || e) });
   }
 });
 
-// Compute a leaderboard from the users object. Sorts by wins_total in
-// descending order and returns an array of entries with userId,
-// display_name, wins_total and tier. Limits the result to the top
-// 10 players. If no users have any wins yet, returns an empty array.
-function computeLeaderboard() {
-  const arr = Object.values(users).map((u) => ({
-    userId: u.userId,
-    display_name: u.display_name,
-    wins_total: u.wins_total,
-    tier: u.tier,
-  }));
-  arr.sort((a, b) => b.wins_total - a.wins_total);
-  return arr.filter((x) => x.wins_total > 0).slice(0, 10);
-}
-
-// Broadcast the current leaderboard to all connected overlays. The
-// leaderboard event contains an array of entries sorted by wins.
-function broadcastLeaderboard() {
-  const leaderboard = computeLeaderboard();
-  io.emit("leaderboard", { leaderboard });
-}
-
-app.post("/api/stop", (req, res) => {
-  disconnectTikTok();
-  isRunning = false;
+roomApi.post("/stop", (req, res) => {
+  req.room.disconnectTikTok();
+  req.room.isRunning = false;
   return res.json({ ok: true });
 });
 
 // Change the current game mode. Accepts { mode: "classic" | "rapid" }
 // and optional settings (currently unused). Changing the mode does not
 // affect rounds in progress; it influences how future guesses are handled.
-app.post("/api/mode", (req, res) => {
+roomApi.post("/mode", (req, res) => {
   const { mode } = req.body || {};
   if (!mode || (mode !== "classic" && mode !== "rapid")) {
     return res.status(400).json({ error: "Invalid or missing 'mode'" });
   }
-  gameMode = mode;
-  io.emit("state", { mode: gameMode });
-  return res.json({ ok: true, mode: gameMode });
+  req.room.setMode(mode);
+  return res.json({ ok: true, mode });
 });
 
 // Start a live poll to allow viewers to vote between two or more options.
-// Accepts { question, options, durationMs }. Only one poll can be active
-// at a time; attempts to start another will return an error. Each
-// participant may vote only once. When the duration elapses, the poll
-// automatically ends and applies the winning mode (if the options are
-// modes). Clients are notified via pollStart, pollUpdate and pollEnd
-// events.
-app.post("/api/poll/start", (req, res) => {
-  const { question, options, durationMs } = req.body || {};
-  if (pollState) {
-    return res.status(400).json({ error: "A poll is already running" });
-  }
-  if (!Array.isArray(options) || options.length < 2) {
-    return res.status(400).json({ error: "Poll must have at least two options" });
-  }
-  const durMs = Number(durationMs) || 20_000;
-  const tallies = {};
-  options.forEach((opt) => { tallies[opt] = 0; });
-  pollState = {
-    question: question || "Choose a mode",
-    options,
-    tallies,
-    voters: new Set(),
-    endsAt: Date.now() + durMs,
-  };
-  io.emit("pollStart", { question: pollState.question, options: pollState.options, endsAt: pollState.endsAt });
-  // Schedule automatic poll end
-  setTimeout(() => {
-    endPoll();
-  }, durMs);
-  return res.json({ ok: true, poll: { question: pollState.question, options: pollState.options, endsAt: pollState.endsAt } });
+// Accepts { question, options, durationMs, action, tieBreak } (see
+// polls.js). Only one poll can be active at a time; attempts to start
+// another will return an error. Viewers vote by typing an option's number
+// or text, once per poll. When the duration elapses, the poll
+// automatically ends and applies its action to the winner. Clients are
+// notified via pollStart, pollUpdate and pollEnd events.
+roomApi.post("/poll/start", (req, res) => {
+  const { question, options, durationMs, action, tieBreak } = req.body || {};
+  const poll = req.room.startPoll({ question, options, durationMs, action, tieBreak });
+  if (poll.error) return res.status(400).json({ error: poll.error });
+  return res.json({ ok: true, poll });
 });
 
 // Stop the current poll early. If no poll is active, return an error.
-app.post("/api/poll/stop", (req, res) => {
-  if (!pollState) {
+roomApi.post("/poll/stop", (req, res) => {
+  if (!req.room.pollState) {
     return res.status(400).json({ error: "No poll is currently running" });
   }
-  endPoll();
+  req.room.endPoll();
   return res.json({ ok: true });
 });
 
+// Finished polls, newest first: ?offset=&limit= (limit defaults to 20,
+// max 200).
+roomApi.get("/polls", (req, res) => {
+  const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+  const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 20));
+  return res.json(req.room.pollHistoryPage(offset, limit));
+});
+
 // Reset all user tiers and win counts. Useful for clearing the scoreboard.
-app.post("/api/users/reset", (req, res) => {
-  resetAllUsers();
-  io.emit("state", { users });
-  broadcastLeaderboard();
+roomApi.post("/users/reset", (req, res) => {
+  req.room.resetAllUsers();
   return res.json({ ok: true });
 });
 
-//
+// Search users by nickname, uniqueId or userId: ?q=&offset=&limit=
+// (limit defaults to 20, max 100). An empty query lists everyone.
+roomApi.get("/users", (req, res) => {
+  const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+  return res.json(req.room.searchUsers(req.query.q, offset, limit));
+});
+
+// Merge two user records: { from, into }. The "from" record is removed.
+roomApi.post("/users/merge", (req, res) => {
+  const { from, into } = req.body || {};
+  if (!from || !into) return res.status(400).json({ error: "Missing 'from' or 'into'" });
+  const result = req.room.mergeUsers(String(from), String(into));
+  if (result.error) return res.status(400).json({ error: result.error });
+  return res.json({ ok: true, user: result.user });
+});
+
+// One user's record and stats.
+roomApi.get("/users/:userId", (req, res) => {
+  const user = req.room.getUserDetails(req.params.userId);
+  if (!user) return res.status(404).json({ error: "Unknown user" });
+  return res.json({ user });
+});
+
+// Correct a user's display name, wins or points:
+// { display_name?, wins_total?, points_total? }
+roomApi.post("/users/:userId/update", (req, res) => {
+  const result = req.room.updateUser(req.params.userId, req.body);
+  if (result.error) return res.status(400).json({ error: result.error });
+  return res.json({ ok: true, user: result.user });
+});
+
+// Ban or unban a user: { banned: true|false }.
+roomApi.post("/users/:userId/ban", (req, res) => {
+  const result = req.room.setUserBanned(req.params.userId, req.body?.banned !== false);
+  if (result.error) return res.status(400).json({ error: result.error });
+  return res.json({ ok: true, user: result.user });
+});
+
 // ====================
 // Monetization / Boosts
 // ====================
 
 // Add extra time to the current round. This endpoint is used by the
-// Donut gift/button. It accepts { ms } in the body (number of
-// milliseconds to add) and increases the round duration accordingly. If
-// there is no active round or no secret word, it returns an error. A
-// boost event is emitted so the overlay can show a toast and update
-// the countdown.
-app.post("/api/boost/add-time", (req, res) => {
-  if (!secretWordNorm || !roundStartedAt) {
-    return res.status(400).json({ error: "No active round" });
-  }
-  let { ms } = req.body || {};
-  ms = Number(ms) || 0;
-  if (ms <= 0) {
-    return res.status(400).json({ error: "Invalid 'ms'" });
-  }
-  // Increase total round duration by the requested amount
-  roundDurationMs += ms;
-  const timeLeftMs = Math.max(0, roundDurationMs - (Date.now() - roundStartedAt));
-  io.emit("boost", { type: "add-time", ms });
-  // Broadcast updated timer so the overlay resets the countdown
-  io.emit("round", { status: "timer_updated", maskedWord: getMaskedWord(), timeLeftMs });
-  return res.json({ ok: true, timeLeftMs });
+// Donut button. It accepts { ms } in the body (number of milliseconds to
+// add). If there is no active round or no secret word, it returns an error.
+roomApi.post("/boost/add-time", (req, res) => {
+  const { ms } = req.body || {};
+  const result = req.room.applyBoost("add-time", { ms });
+  if (result.error) return res.status(400).json({ error: result.error });
+  return res.json({ ok: true, ...result });
 });
 
 // Reveal a random unrevealed letter. This endpoint implements the Money
-// Gun gift/button. It picks one of the unrevealed positions at random and
-// marks it as revealed. If all letters are already revealed or no
-// secret is set, returns an error. Emits a boost event and a mask
-// update. Use update-timer if you want to extend time separately.
-app.post("/api/boost/reveal-letter", (req, res) => {
-  if (!secretWordNorm) {
-    return res.status(400).json({ error: "No secret word set" });
-  }
-  // Build a list of indices that are currently unrevealed
-  const unrevealed = [];
-  for (let i = 0; i < revealedPositions.length; i++) {
-    if (!revealedPositions[i]) unrevealed.push(i);
-  }
-  if (unrevealed.length === 0) {
-    return res.status(400).json({ error: "All letters are already revealed" });
-  }
-  const idx = unrevealed[Math.floor(Math.random() * unrevealed.length)];
-  revealedPositions[idx] = true;
-  const maskedWord = getMaskedWord();
-  io.emit("boost", { type: "reveal-letter", index: idx });
-  io.emit("mask", { maskedWord });
-  return res.json({ ok: true, index: idx, maskedWord });
-});
-
-// Reveal the entire word via the Galaxy gift/button. This simply calls
-// the existing reveal-word logic. It emits a boost event and returns
-// the fully revealed word. The existing /api/reveal-word endpoint can
-// also be used directly by the admin, but this separates the concept
-// of a monetization trigger from manual admin control.
-app.post("/api/boost/reveal-word", (req, res) => {
-  if (!secretWordNorm) {
-    return res.status(400).json({ error: "No secret word set" });
-  }
-  // Reuse the existing reveal-word logic
-  revealedPositions = new Array(secretWordRaw.length).fill(true);
-  const maskedWord = getMaskedWord();
-  io.emit("boost", { type: "reveal-word" });
-  io.emit("mask", { maskedWord });
-  return res.json({ ok: true, maskedWord });
+// Gun button. If all letters are already revealed or no secret is set,
+// returns an error. Use update-timer if you want to extend time separately.
+roomApi.post("/boost/reveal-letter", (req, res) => {
+  const result = req.room.applyBoost("reveal-letter");
+  if (result.error) return res.status(400).json({ error: result.error });
+  return res.json({ ok: true, ...result });
+});
+
+// Reveal the entire word via the Galaxy button. The existing
+// /reveal-word endpoint can also be used directly by the admin, but this
+// separates the concept of a monetization trigger from manual admin
+// control (only this one emits a boost event).
+roomApi.post("/boost/reveal-word", (req, res) => {
+  const result = req.room.applyBoost("reveal-word");
+  if (result.error) return res.status(400).json({ error: result.error });
+  return res.json({ ok: true, ...result });
 });
 
 // Tiny Diny: prompt plus add time. Accepts { text, extraTimeMs }. The
 // text could be used to ask a question in chat or overlay; for now
-// we'll ignore it and simply add the extra time (default 10000 ms). A
-// boost event is emitted. The overlay may show a custom animation.
-app.post("/api/boost/prompt", (req, res) => {
-  if (!secretWordNorm || !roundStartedAt) {
-    return res.status(400).json({ error: "No active round" });
-  }
-  let { extraTimeMs } = req.body || {};
-  extraTimeMs = Number(extraTimeMs) || 10000;
-  roundDurationMs += extraTimeMs;
-  const timeLeftMs = Math.max(0, roundDurationMs - (Date.now() - roundStartedAt));
-  io.emit("boost", { type: "prompt", ms: extraTimeMs });
-  io.emit("round", { status: "timer_updated", maskedWord: getMaskedWord(), timeLeftMs });
-  return res.json({ ok: true, timeLeftMs });
+// we'll ignore it and simply add the extra time (default 10000 ms).
+roomApi.post("/boost/prompt", (req, res) => {
+  const { extraTimeMs } = req.body || {};
+  const result = req.room.applyBoost("prompt", { ms: extraTimeMs });
+  if (result.error) return res.status(400).json({ error: result.error });
+  return res.json({ ok: true, ...result });
 });
 
-app.post("/api/set-word", (req, res) => {
-  const { word } = req.body || {};
+// Get the room's gift → boost table.
+roomApi.get("/gifts", (req, res) => {
+  return res.json({ gifts: req.room.giftActions, actions: GIFT_ACTION_TYPES });
+});
+
+// Replace the room's gift → boost table. Accepts { gifts: [...] }.
+roomApi.post("/gifts", (req, res) => {
+  const { gifts } = req.body || {};
+  const error = req.room.setGiftActions(gifts);
+  if (error) return res.status(400).json({ error });
+  return res.json({ ok: true, gifts: req.room.giftActions });
+});
+
+// Get the room's typo tolerance settings for close guesses, per mode.
+roomApi.get("/matching", (req, res) => {
+  return res.json({ matching: req.room.matchSettings });
+});
+
+// Update the typo tolerance settings. Accepts { matching: { classic?,
+// rapid? } } where each mode may set enabled, maxDistance, minSimilarity,
+// minOverlap and lenient; missing fields keep their current values.
+roomApi.post("/matching", (req, res) => {
+  const { matching } = req.body || {};
+  const error = req.room.setMatchSettings(matching);
+  if (error) return res.status(400).json({ error });
+  return res.json({ ok: true, matching: req.room.matchSettings });
+});
+
+// Get the room's scoring settings.
+roomApi.get("/scoring", (req, res) => {
+  return res.json({ scoring: req.room.scoring });
+});
+
+// Update the scoring settings. Accepts { scoring } with any of rankBy
+// ("points" or "wins"), base, perLetter, timeBonus, hiddenBonus,
+// streakBonus, maxStreakBonus and modeMultipliers { classic, rapid };
+// missing fields keep their values.
+roomApi.post("/scoring", (req, res) => {
+  const { scoring } = req.body || {};
+  const error = req.room.setScoring(scoring);
+  if (error) return res.status(400).json({ error });
+  return res.json({ ok: true, scoring: req.room.scoring });
+});
+
+// Get the chat commands with their descriptions and the room's settings.
+roomApi.get("/commands", (req, res) => {
+  return res.json({ commands: listCommands(), settings: req.room.commandSettings });
+});
+
+// Update the chat command settings. Accepts { settings: { prefix?,
+// commands?: { <name>: { enabled?, userCooldownMs?, globalCooldownMs?,
+// cost? } } } }; missing fields keep their values.
+roomApi.post("/commands", (req, res) => {
+  const { settings } = req.body || {};
+  const error = req.room.setCommandSettings(settings);
+  if (error) return res.status(400).json({ error });
+  return res.json({ ok: true, settings: req.room.commandSettings });
+});
+
+// Get the moderator settings: { trustTikTok, users }.
+roomApi.get("/moderators", (req, res) => {
+  return res.json({ moderators: req.room.moderatorSettings });
+});
+
+// Update the moderator settings. Accepts { moderators: { trustTikTok?,
+// users? } } where users lists uniqueIds or userIds (an array or a
+// ";"-separated string) and trustTikTok treats TikTok's own moderators as
+// moderators too.
+roomApi.post("/moderators", (req, res) => {
+  const { moderators } = req.body || {};
+  const error = req.room.setModeratorSettings(moderators);
+  if (error) return res.status(400).json({ error });
+  return res.json({ ok: true, moderators: req.room.moderatorSettings });
+});
+
+// Moderator actions, newest first: ?offset=&limit= (limit defaults to 50,
+// max 200).
+roomApi.get("/audit", (req, res) => {
+  const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+  const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+  return res.json(req.room.auditLogPage(offset, limit));
+});
+
+// Get the room's tier ladder.
+roomApi.get("/tiers", (req, res) => {
+  return res.json({ tiers: req.room.tierLadder });
+});
+
+// Replace the tier ladder. Accepts { tiers: { metric, tiers: [...] } } where
+// metric is "points" or "wins" and each tier has a name, threshold and
+// color (hex or named) plus an optional id, badge (emoji/text) and badgeUrl.
+// Every user's tier is recomputed; changed is how many moved.
+roomApi.post("/tiers", (req, res) => {
+  const { tiers } = req.body || {};
+  const result = req.room.setTierLadder(tiers);
+  if (result.error) return res.status(400).json({ error: result.error });
+  return res.json({ ok: true, tiers: req.room.tierLadder, changed: result.changed });
+});
+
+// ======================
+// Rounds
+// ======================
+
+// Start a round with a secret word. Accepts { word, alternates?,
+// ignoreArticles?, ignoreSpaces? }. alternates are other answers that also
+// win (an array, or a string separated by ";"). The ignore flags change how
+// answers are compared for this and later rounds; they are left as they
+// are when omitted.
+roomApi.post("/set-word", (req, res) => {
+  const { word, alternates } = req.body || {};
   if (!word) return res.status(400).json({ error: "Missing 'word'" });
-  secretWordRaw = String(word);
-  secretWordNorm = normalize(secretWordRaw);
-  // Initialize revealedPositions to all false so no letters are shown at the start.
-  revealedPositions = new Array(secretWordRaw.length).fill(false);
-  // Reset round duration and start time. Default duration for each round is
-  // 20 seconds, but this can be adjusted via the update‑timer API.
-  roundDurationMs = 20_000;
-  roundStartedAt = Date.now();
-  isRunning = true;
-  winner = null;
-  lastWinAt = 0;
-  // Broadcast that a new round has started. Include the masked word and
-  // current time left so clients can display hints and countdowns.
-  io.emit("round", {
-    status: "started",
-    secretLen: secretWordNorm.length,
-    maskedWord: getMaskedWord(),
-    timeLeftMs: roundDurationMs,
-  });
-  return res.json({ ok: true, secretLen: secretWordNorm.length });
-});
-
-app.post("/api/reset-round", (req, res) => {
-  winner = null;
-  lastWinAt = 0;
-  isRunning = false;
-  secretWordRaw = "";
-  secretWordNorm = "";
-  revealedPositions = [];
-  roundDurationMs = 20_000;
-  roundStartedAt = null;
-  io.emit("round", { status: "reset", maskedWord: "", timeLeftMs: 0 });
+  req.room.setAnswerOptions(req.body);
+  const secretLen = req.room.startRound(word, undefined, parseAnswerList(alternates));
+  return res.json({ ok: true, secretLen, answers: req.room.answers.map((a) => a.raw) });
+});
+
+roomApi.post("/reset-round", (req, res) => {
+  req.room.resetRound();
   return res.json({ ok: true });
 });
 
-// Start reading guesses (only if a secret word is set). This sets the
-// running flag so that chat messages are judged. If no secret word is set,
-// return an error.
-app.post("/api/start-reading", (req, res) => {
-  if (!secretWordNorm) {
-    return res.status(400).json({ error: "No secret word set" });
-  }
-  isRunning = true;
-  io.emit("round", { status: "reading_started" });
+// Start reading guesses (only if a secret word is set and the round has not
+// ended). This sets the running flag so that chat messages are judged. If no
+// secret word is set or the round is over, return an error.
+roomApi.post("/start-reading", (req, res) => {
+  const result = req.room.startReading();
+  if (result.error) return res.status(400).json({ error: result.error });
   return res.json({ ok: true });
 });
 
 // Stop reading guesses. This disables judging until start-reading or set-word
 // is invoked again. The secret word remains stored.
-app.post("/api/stop-reading", (req, res) => {
-  isRunning = false;
-  io.emit("round", { status: "reading_stopped" });
+roomApi.post("/stop-reading", (req, res) => {
+  req.room.stopReading();
   return res.json({ ok: true });
 });
 
@@ -610,10 +601,7 @@ app.post("/api/stop-reading", (req, res) => {
 // 5 seconds have already elapsed and the admin requests 30 seconds of
 // remaining time, the total duration becomes 35 seconds. The server then
 // broadcasts an update so the overlay can refresh the countdown.
-app.post("/api/update-timer", (req, res) => {
-  if (!secretWordNorm || !roundStartedAt) {
-    return res.status(400).json({ error: "No active round to update timer" });
-  }
+roomApi.post("/update-timer", (req, res) => {
   let { ms, seconds } = req.body || {};
   if (seconds != null && ms == null) {
     ms = Number(seconds) * 1000;
@@ -621,38 +609,27 @@ app.post("/api/update-timer", (req, res) => {
   if (typeof ms !== "number" || isNaN(ms) || ms < 0) {
     return res.status(400).json({ error: "Invalid 'ms' or 'seconds' provided" });
   }
-  // Compute elapsed time and set new roundDurationMs
-  const elapsed = Date.now() - roundStartedAt;
-  roundDurationMs = elapsed + ms;
-  // Immediately compute new remaining time (should equal ms)
-  const timeLeftMs = Math.max(0, roundDurationMs - (Date.now() - roundStartedAt));
-  io.emit("round", {
-    status: "timer_updated",
-    maskedWord: getMaskedWord(),
-    timeLeftMs,
-  });
-  return res.json({ ok: true, timeLeftMs });
+  const result = req.room.updateTimer(ms);
+  if (result.error) return res.status(400).json({ error: result.error });
+  return res.json({ ok: true, ...result });
 });
 
-// Reveal the entire word. This sets all positions in revealedPositions to true.
-// If no secret is set, return an error. After updating the mask, broadcast
-// the updated masked word to clients.
-app.post("/api/reveal-word", (req, res) => {
-  if (!secretWordNorm) {
-    return res.status(400).json({ error: "No secret word set" });
-  }
-  revealedPositions = new Array(secretWordRaw.length).fill(true);
-  const maskedWord = getMaskedWord();
-  io.emit("mask", { maskedWord });
-  return res.json({ ok: true, maskedWord });
+// Reveal the entire word. If no secret is set, return an error. After
+// updating the mask, broadcast the updated masked word to clients.
+roomApi.post("/reveal-word", (req, res) => {
+  const result = req.room.revealWord();
+  if (result.error) return res.status(400).json({ error: result.error });
+  return res.json({ ok: true, ...result });
 });
 
 // Reveal specific letter positions. Accepts 'positions' in the body as a
 // semicolon- or comma-separated list of 1-based indices (e.g. "1;3" or
-// "2,4"). Invalid indices are ignored. If no secret is set, return an
-// error. After updating the mask, broadcast it to clients.
-app.post("/api/reveal-letters", (req, res) => {
-  if (!secretWordNorm) {
+// "2,4") into the mask's tiles, where spaces and punctuation count as
+// tiles but are always shown. Invalid indices are ignored. If no secret
+// is set, return an error. After updating the mask, broadcast it to
+// clients.
+roomApi.post("/reveal-letters", (req, res) => {
+  if (!req.room.secretWordNorm) {
     return res.status(400).json({ error: "No secret word set" });
   }
   const { positions } = req.body || {};
@@ -660,66 +637,368 @@ app.post("/api/reveal-letters", (req, res) => {
     return res.status(400).json({ error: "Missing or invalid 'positions'" });
   }
   // Split by semicolon or comma and convert to zero-based indices
-  const parts = positions.split(/[;,\s]+/);
-  parts.forEach((p) => {
-    const idx = parseInt(p, 10);
-    if (!isNaN(idx) && idx >= 1 && idx <= revealedPositions.length) {
-      revealedPositions[idx - 1] = true;
+  const indices = positions
+    .split(/[;,\s]+/)
+    .map((p) => parseInt(p, 10) - 1)
+    .filter((idx) => !isNaN(idx));
+  const result = req.room.revealLetters(indices);
+  return res.json({ ok: true, ...result });
+});
+
+// ======================
+// Word queue
+// ======================
+
+// List all library word lists (summaries only) and this room's queue.
+roomApi.get("/words", (req, res) => {
+  return res.json({ lists: listWordLists(), queue: req.room.getWordQueueInfo() });
+});
+
+// Build the word queue. Accepts { lists, order: "ordered" | "shuffle",
+// category?, difficulty? }.
+roomApi.post("/words/queue", (req, res) => {
+  const { lists, order, category, difficulty } = req.body || {};
+  if (!Array.isArray(lists) || lists.length === 0) {
+    return res.status(400).json({ error: "Select at least one word list" });
+  }
+  const missing = lists.find((name) => !getWordList(name));
+  if (missing) return res.status(404).json({ error: `Word list '${missing}' not found` });
+  req.room.buildWordQueue({ lists, order: order === "shuffle" ? "shuffle" : "ordered", category, difficulty });
+  return res.json({ ok: true, queue: req.room.getWordQueueInfo() });
+});
+
+// Start the next round with the next word from the queue, accepting its
+// alternates. Takes the same optional ignore flags as /set-word.
+roomApi.post("/words/next", (req, res) => {
+  const entry = req.room.takeNextWord();
+  if (!entry) return res.status(400).json({ error: "The word queue is empty" });
+  req.room.setAnswerOptions(req.body);
+  const secretLen = req.room.startRound(entry.word, undefined, entry.alternates);
+  return res.json({ ok: true, secretLen, queue: req.room.getWordQueueInfo() });
+});
+
+// Forget which words were used this session so they can be queued again.
+roomApi.post("/words/reset-used", (req, res) => {
+  req.room.usedWords.clear();
+  return res.json({ ok: true });
+});
+
+// ================
+// Auto-run mode
+// ================
+
+// Start (or resume) auto-run. Accepts optional settings in seconds or
+// counts: { intermissionSeconds, roundSeconds, pollEvery, pollSeconds }.
+// If a round is in progress it is played out first; otherwise the
+// countdown to the first round starts immediately.
+roomApi.post("/autorun/start", (req, res) => {
+  const { intermissionSeconds, roundSeconds, pollEvery, pollSeconds } = req.body || {};
+  const settings = {};
+  for (const [key, value, min] of [
+    ["intermissionMs", intermissionSeconds, 0],
+    ["roundDurationMs", roundSeconds, 1],
+    ["pollDurationMs", pollSeconds, 5],
+  ]) {
+    if (value == null || value === "") continue;
+    const secs = Number(value);
+    if (isNaN(secs) || secs < min) {
+      return res.status(400).json({ error: `Invalid value for '${key.replace("Ms", "")}'` });
     }
-  });
-  const maskedWord = getMaskedWord();
-  io.emit("mask", { maskedWord });
-  return res.json({ ok: true, maskedWord });
+    settings[key] = secs * 1000;
+  }
+  if (pollEvery != null && pollEvery !== "") {
+    const n = Number(pollEvery);
+    if (!Number.isInteger(n) || n < 0) return res.status(400).json({ error: "Invalid 'pollEvery'" });
+    settings.pollEvery = n;
+  }
+  const result = req.room.startAutoRun(settings);
+  if (result.error) return res.status(400).json({ error: result.error });
+  return res.json({ ok: true, autoRun: req.room.getAutoRunInfo() });
 });
 
-app.get("/api/state", (req, res) => {
-  const now = Date.now();
-  const highlightActive = winner && now - lastWinAt < winnerHighlightMs;
-  // Compute time left if a round is active; otherwise 0
-  let timeLeftMs = 0;
-  if (roundStartedAt && roundDurationMs) {
-    const elapsed = Date.now() - roundStartedAt;
-    timeLeftMs = Math.max(0, roundDurationMs - elapsed);
+// Pause auto-run. The current round (if any) continues, but no new round
+// starts automatically afterwards.
+roomApi.post("/autorun/pause", (req, res) => {
+  req.room.pauseAutoRun();
+  return res.json({ ok: true, autoRun: req.room.getAutoRunInfo() });
+});
+
+// Skip ahead: ends the current round without a winner, cuts the
+// intermission countdown short or ends the running mode poll.
+roomApi.post("/autorun/skip", (req, res) => {
+  const result = req.room.skipAutoRun();
+  if (result.error) return res.status(400).json({ error: result.error });
+  return res.json({ ok: true, autoRun: req.room.getAutoRunInfo() });
+});
+
+// Leaderboard for one scope: ?scope=session|daily|weekly|all (default all)
+// and ?limit= (default 10, at most 100).
+roomApi.get("/leaderboard", (req, res) => {
+  const scope = req.query.scope || "all";
+  if (!LEADERBOARD_SCOPES.includes(scope)) {
+    return res.status(400).json({ error: `'scope' must be one of ${LEADERBOARD_SCOPES.join(", ")}` });
   }
-  res.json({
-    connectedRoom,
-    isRunning,
-    secretSet: Boolean(secretWordNorm),
-    winner: winner ? { ...winner, highlightActive } : null,
-    maskedWord: getMaskedWord(),
-    timeLeftMs,
-    mode: gameMode,
-    users,
-    poll: pollState ? { question: pollState.question, options: pollState.options, tallies: pollState.tallies, endsAt: pollState.endsAt } : null,
-    leaderboard: computeLeaderboard(),
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 10));
+  return res.json({ scope, rankBy: req.room.scoring.rankBy, leaderboard: req.room.computeLeaderboard(scope, limit) });
+});
+
+// ======================
+// Round history
+// ======================
+
+// Finished rounds, newest first. Accepts ?offset= and ?limit= (default 20,
+// at most 200) for pagination.
+roomApi.get("/rounds", (req, res) => {
+  const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+  const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 20));
+  return res.json(req.room.roundHistory.page(offset, limit));
+});
+
+// Download the whole round history as ?format=csv (default) or json.
+roomApi.get("/rounds/export", (req, res) => {
+  const format = req.query.format === "json" ? "json" : "csv";
+  const { rounds } = req.room.roundHistory;
+  res.attachment(`rounds-${req.room.id}.${format}`);
+  if (format === "json") return res.json(rounds);
+  res.type("text/csv");
+  return res.send(roundsToCsv(rounds));
+});
+
+// Delete the round history of this room.
+roomApi.post("/rounds/clear", (req, res) => {
+  req.room.roundHistory.clear();
+  return res.json({ ok: true });
+});
+
+// Get the room's overlay settings ({ theme, hidden }) and the resolved
+// theme its overlays use.
+roomApi.get("/overlay", (req, res) => {
+  return res.json({ overlay: req.room.overlaySettings, ...req.room.getOverlayConfig() });
+});
+
+// Change the overlay settings. Accepts { overlay: { theme?, hidden? } }
+// where theme is a theme name and hidden lists the widgets to hide (an
+// array or a comma-separated string, see OVERLAY_WIDGETS in themes.js).
+// The room's overlays switch at once.
+roomApi.post("/overlay", (req, res) => {
+  const { overlay } = req.body || {};
+  const error = req.room.setOverlaySettings(overlay);
+  if (error) return res.status(400).json({ error });
+  return res.json({ ok: true, overlay: req.room.overlaySettings });
+});
+
+// ======================
+// Session recordings
+// ======================
+
+// The room's recorded sessions, newest first, whether recording is on and
+// the name of the recording in progress (null if none).
+roomApi.get("/recordings", (req, res) => {
+  return res.json({
+    enabled: req.room.recording.enabled,
+    active: req.room.recorder?.name || null,
+    recordings: listRecordings(req.room.id),
   });
 });
 
+// Turn session recording on or off: { enabled }.
+roomApi.post("/recordings/settings", (req, res) => {
+  const { enabled } = req.body || {};
+  const error = req.room.setRecordingEnabled(enabled);
+  if (error) return res.status(400).json({ error });
+  return res.json({ ok: true, enabled: req.room.recording.enabled, active: req.room.recorder?.name || null });
+});
+
+// Download a recording (JSONL). It can be replayed with /start
+// { room: "sim:<name>" }.
+roomApi.get("/recordings/:name", (req, res) => {
+  const file = recordingFile(req.room.id, req.params.name);
+  if (!file) return res.status(404).json({ error: "Recording not found" });
+  return res.download(file, req.params.name);
+});
+
+// Delete a recording. The one in progress cannot be deleted.
+roomApi.post("/recordings/:name/delete", (req, res) => {
+  if (req.params.name === req.room.recorder?.name) {
+    return res.status(400).json({ error: "Stop recording before deleting the current session" });
+  }
+  if (!deleteRecording(req.room.id, req.params.name)) return res.status(404).json({ error: "Recording not found" });
+  return res.json({ ok: true });
+});
+
+roomApi.get("/state", (req, res) => {
+  res.json(req.room.getState(req.role));
+});
+
+// ======================
+// Word library
+// ======================
+
+// The library is shared by all rooms, so these routes are not namespaced.
+
+// Get a single list including its words.
+app.get("/api/words/lists/:name", (req, res) => {
+  const list = getWordList(req.params.name);
+  if (!list) return res.status(404).json({ error: "Word list not found" });
+  return res.json({ list });
+});
+
+// Create or replace a list. Accepts { name, words } where words is an array
+// of strings or { word, category, difficulty } objects.
+app.post("/api/words/lists", (req, res) => {
+  const { name, words } = req.body || {};
+  const listName = String(name || "").trim();
+  if (!listName) return res.status(400).json({ error: "Missing 'name'" });
+  if (words != null && !Array.isArray(words)) {
+    return res.status(400).json({ error: "'words' must be an array" });
+  }
+  const list = setWordList(listName, words || []);
+  return res.json({ ok: true, list: summarizeWordList(list) });
+});
+
+// Append words to an existing list. Accepts { words }.
+app.post("/api/words/lists/:name/add", (req, res) => {
+  if (!getWordList(req.params.name)) return res.status(404).json({ error: "Word list not found" });
+  const { words } = req.body || {};
+  if (!Array.isArray(words)) return res.status(400).json({ error: "'words' must be an array" });
+  const list = addWords(req.params.name, words);
+  return res.json({ ok: true, list: summarizeWordList(list) });
+});
+
+// Remove a word from a list. Accepts { word }; matching uses normalize.
+app.post("/api/words/lists/:name/remove", (req, res) => {
+  if (!getWordList(req.params.name)) return res.status(404).json({ error: "Word list not found" });
+  const { word } = req.body || {};
+  if (!word) return res.status(400).json({ error: "Missing 'word'" });
+  const list = removeWord(req.params.name, String(word));
+  return res.json({ ok: true, list: summarizeWordList(list) });
+});
+
+// Delete a list entirely.
+app.post("/api/words/lists/:name/delete", (req, res) => {
+  if (!getWordList(req.params.name)) return res.status(404).json({ error: "Word list not found" });
+  deleteWordList(req.params.name);
+  return res.json({ ok: true });
+});
+
+// Import words from a file. Accepts { name, content, format?, filename?,
+// replace? }. The admin page reads the file in the browser and sends its
+// text content. The format is taken from 'format' or the file extension
+// (.txt, .csv, .json). Words are appended to the list (created if missing)
+// unless replace is true.
+app.post("/api/words/import", (req, res) => {
+  const { name, content, format, filename, replace } = req.body || {};
+  const listName = String(name || "").trim();
+  if (!listName) return res.status(400).json({ error: "Missing 'name'" });
+  if (!content) return res.status(400).json({ error: "Missing 'content'" });
+  let words;
+  try {
+    words = parseWordFile(content, detectWordFormat(format, filename));
+  } catch (e) {
+    return res.status(400).json({ error: String(e?.message || e) });
+  }
+  if (words.length === 0) return res.status(400).json({ error: "No words found in file" });
+  const list = replace ? setWordList(listName, words) : addWords(listName, words);
+  return res.json({ ok: true, imported: words.length, list: summarizeWordList(list) });
+});
+
+// ======================
+// Overlay themes
+// ======================
+
+// Themes are shared by all rooms, so these routes are not namespaced.
+
+// Every theme, built-in ones first.
+app.get("/api/themes", (req, res) => {
+  return res.json({ themes: listThemes() });
+});
+
+// Get a single theme. Overlays pinned to a theme (/overlay?theme=) fetch
+// it here, so the overlay token may call this route.
+app.get("/api/themes/:name", (req, res) => {
+  const theme = getTheme(req.params.name);
+  if (!theme) return res.status(404).json({ error: "Theme not found" });
+  return res.json({ theme });
+});
+
+// Send a changed theme to every overlay: rooms using it get a new
+// overlayConfig and overlays pinned to it pick up themeUpdated.
+function broadcastTheme(theme) {
+  for (const room of rooms.values()) {
+    if (room.overlaySettings.theme === theme.name) room.emitOverlayConfig();
+  }
+  io.emit("themeUpdated", { theme });
+}
+
+// Create or replace a custom theme. Accepts { theme: { name, colors?,
+// font?, fontScale?, tiles?, layout? } }; see themes.js for the fields.
+// Built-in themes cannot be replaced.
+app.post("/api/themes", (req, res) => {
+  const { theme } = req.body || {};
+  const result = saveTheme(theme);
+  if (result.error) return res.status(400).json({ error: result.error });
+  broadcastTheme(result.theme);
+  return res.json({ ok: true, theme: result.theme });
+});
+
+// Delete a custom theme. Rooms using it go back to the default theme.
+app.post("/api/themes/:name/delete", (req, res) => {
+  const { name } = req.params;
+  if (isBuiltinTheme(name)) return res.status(400).json({ error: "Built-in themes cannot be deleted" });
+  if (!deleteTheme(name)) return res.status(404).json({ error: "Theme not found" });
+  for (const room of rooms.values()) {
+    if (room.overlaySettings.theme === name) room.setOverlaySettings({ theme: "default" });
+  }
+  return res.json({ ok: true });
+});
+
+// The room API is mounted after the library and theme routes so that
+// /api/words/... and /api/themes/... paths are not mistaken for
+// default-room routes.
+app.use("/api/rooms/:roomId", roomApi);
+app.use("/api", roomApi);
+
+// Overlays pick their room with auth.room in the handshake
+// (/overlay?room=xyz); without one they join the default room. Sockets
+// never create rooms: unknown ids are refused. The admin dashboard uses
+// the same stream and asks for a fresh snapshot with "state" (it includes
+// the secret for admins) and measures latency with "health"; both answer
+// through the acknowledgement callback.
 io.on("connection", (socket) => {
-  const now = Date.now();
-  const highlightActive = winner && now - lastWinAt < winnerHighlightMs;
-  // Compute remaining time for bootstrap payload
-  let timeLeftMs = 0;
-  if (roundStartedAt && roundDurationMs) {
-    const elapsed = Date.now() - roundStartedAt;
-    timeLeftMs = Math.max(0, roundDurationMs - elapsed);
+  const room = findRoom(socket.handshake.auth?.room);
+  if (!room) {
+    socket.emit("system", { type: "error", message: "Invalid room" });
+    socket.disconnect(true);
+    return;
   }
-  socket.emit("bootstrap", {
-    connectedRoom,
-    isRunning,
-    secretSet: Boolean(secretWordNorm),
-    winner: winner ? { ...winner, highlightActive } : null,
-    maskedWord: getMaskedWord(),
-    timeLeftMs,
-    mode: gameMode,
-    users,
-    poll: pollState ? { question: pollState.question, options: pollState.options, tallies: pollState.tallies, endsAt: pollState.endsAt } : null,
-    leaderboard: computeLeaderboard(),
+  socket.join(socketRoomName(room.id));
+  socket.emit("bootstrap", room.getState(socket.data.role));
+  socket.on("state", (ack) => {
+    if (typeof ack === "function") ack(room.getState(socket.data.role));
+  });
+  socket.on("health", (ack) => {
+    if (typeof ack === "function") ack({ now: Date.now(), connectedRoom: room.connectedRoom });
   });
 });
 
-// Start server
-const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
-  console.log("Server listening on http://localhost:" + PORT);
-});
+// Write pending data before exiting so the last wins are not lost.
+async function shutdown() {
+  // Session recordings are buffered; let them reach the disk first
+  await Promise.all([...rooms.values()].map((room) => room.stopRecording()));
+  for (const room of rooms.values()) room.destroy();
+  await getStorage().close();
+  process.exit(0);
+}
+
+// Start the server when run directly (node server.js). Tests import this
+// module instead and listen on a port of their own.
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  const PORT = process.env.PORT || 3000;
+  server.listen(PORT, () => {
+    console.log("Server listening on http://localhost:" + PORT);
+  });
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
+
+export { app, server, io, rooms };
@@ -0,0 +1,12 @@
+// ======================
+// Clock
+// ======================
+
+// Rooms read the time and schedule their round, poll and auto-run timers
+// through a clock object instead of the globals, so tests can pass in a
+// clock they advance by hand. systemClock is the real one.
+export const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (timer) => clearTimeout(timer),
+};
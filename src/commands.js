@@ -0,0 +1,159 @@
+import { LEADERBOARD_SCOPES } from "./leaderboards.js";
+
+// ======================
+// Chat commands
+// ======================
+
+// Chat messages starting with the command prefix ("!" by default) are
+// routed to a registered command instead of being judged as guesses or
+// votes. A command's run(room, user, args, settings) gets the viewer's user
+// record, the words after the command and its settings for the room, and
+// returns the reply text, which overlays show as a toast since nothing can
+// be posted back to TikTok chat, or null to stay silent. Each room can turn
+// commands on and off and set their cooldowns: userCooldownMs between uses
+// by the same viewer and globalCooldownMs between uses by anyone. Commands
+// used during a cooldown are ignored.
+const COMMANDS = new Map();
+
+// Register a command. defaults holds its settings (enabled, cooldowns and
+// any command-specific numbers such as the hint cost). Moderator commands
+// only answer moderators (see moderation.js); redactArgs keeps their
+// arguments out of the audit log.
+export function registerCommand(name, { description, defaults, moderator = false, redactArgs = false, run }) {
+  COMMANDS.set(name, {
+    name,
+    description,
+    defaults: { enabled: true, userCooldownMs: 30_000, globalCooldownMs: 3_000, ...defaults },
+    moderator,
+    redactArgs,
+    run,
+  });
+}
+
+export function getCommand(name) {
+  return COMMANDS.get(name) || null;
+}
+
+// Name and description of every command, for the admin page
+export function listCommands() {
+  return [...COMMANDS.values()].map(({ name, description, defaults, moderator }) => ({
+    name,
+    description,
+    defaults,
+    moderator,
+  }));
+}
+
+// Settings of every registered command at their defaults
+export function defaultCommandSettings() {
+  const commands = {};
+  for (const cmd of COMMANDS.values()) commands[cmd.name] = { ...cmd.defaults };
+  return { prefix: "!", commands };
+}
+
+const PREFIX_PATTERN = /^[^\sa-z0-9]{1,3}$/i;
+
+// Validate partial command settings ({ prefix?, commands?: { name: {...} } })
+// and merge them over the current ones. Only numbers a command has in its
+// defaults can be set. Returns { settings } or { error }.
+export function parseCommandSettings(input, current) {
+  if (!input || typeof input !== "object") return { error: "Command settings must be an object" };
+  const settings = { prefix: current.prefix, commands: {} };
+  for (const [name, cmd] of Object.entries(current.commands)) settings.commands[name] = { ...cmd };
+  if (input.prefix != null && input.prefix !== "") {
+    const prefix = String(input.prefix).trim();
+    if (!PREFIX_PATTERN.test(prefix)) return { error: "'prefix' must be 1 to 3 symbols" };
+    settings.prefix = prefix;
+  }
+  if (input.commands != null) {
+    if (typeof input.commands !== "object") return { error: "'commands' must be an object" };
+    for (const [name, given] of Object.entries(input.commands)) {
+      const cmd = COMMANDS.get(name);
+      if (!cmd) return { error: `Unknown command '${name}'` };
+      if (!given || typeof given !== "object") return { error: `Invalid settings for '${name}'` };
+      const target = { ...cmd.defaults, ...settings.commands[name] };
+      if (given.enabled != null) target.enabled = Boolean(given.enabled);
+      for (const key of Object.keys(cmd.defaults)) {
+        if (key === "enabled" || given[key] == null || given[key] === "") continue;
+        const n = Number(given[key]);
+        if (isNaN(n) || n < 0) return { error: `Invalid '${name}.${key}'` };
+        target[key] = n;
+      }
+      settings.commands[name] = target;
+    }
+  }
+  return { settings };
+}
+
+// Split a chat message into a command name and its arguments, or return
+// null if it does not start with the prefix.
+export function parseCommand(text, prefix) {
+  const trimmed = String(text || "").trim();
+  if (!trimmed.startsWith(prefix)) return null;
+  const [name, ...args] = trimmed.slice(prefix.length).trim().split(/\s+/);
+  return { name: (name || "").toLowerCase(), args };
+}
+
+// Scope named in a command's arguments ("!top daily"), or the fallback
+function scopeArg(args, fallback) {
+  const scope = (args[0] || "").toLowerCase();
+  return LEADERBOARD_SCOPES.includes(scope) ? scope : fallback;
+}
+
+// Score label for a leaderboard entry, in the room's ranking stat
+function formatScore(room, entry) {
+  return room.scoring.rankBy === "points" ? `${entry.points_total} pts` : `${entry.wins_total} win(s)`;
+}
+
+registerCommand("score", {
+  description: "Your wins, points and tier",
+  defaults: {},
+  run(room, user) {
+    const tier = room.tierLadder.tiers.find((t) => t.id === user.tier);
+    const tierText = tier ? ` (${tier.name})` : "";
+    return `${user.display_name}: ${user.wins_total} win(s), ${user.points_total || 0} pts${tierText}`;
+  },
+});
+
+registerCommand("rank", {
+  description: "Your leaderboard position (optionally: session, daily, weekly)",
+  defaults: {},
+  run(room, user, args) {
+    const scope = scopeArg(args, "all");
+    const board = room.computeLeaderboard(scope, Infinity);
+    const index = board.findIndex((e) => e.userId === user.userId);
+    const label = scope === "all" ? "" : ` (${scope})`;
+    if (index < 0) return `${user.display_name} is not ranked yet${label}`;
+    return `${user.display_name} is #${index + 1} of ${board.length}${label} with ${formatScore(room, board[index])}`;
+  },
+});
+
+registerCommand("top", {
+  description: "The top 3 players (optionally: session, daily, weekly)",
+  defaults: { globalCooldownMs: 15_000 },
+  run(room, user, args) {
+    const scope = scopeArg(args, "all");
+    const board = room.computeLeaderboard(scope, 3);
+    const label = scope === "all" ? "Top" : `Top (${scope})`;
+    if (!board.length) return `${label}: no winners yet`;
+    return `${label}: ${board.map((e, i) => `${i + 1}. ${e.display_name} ${formatScore(room, e)}`).join(" · ")}`;
+  },
+});
+
+// Reveals a random hidden letter of the current word for `cost` of the
+// viewer's points (0 makes it free). Off by default since it changes the
+// game.
+registerCommand("hint", {
+  description: "Reveal a letter for a cost in points",
+  defaults: { enabled: false, userCooldownMs: 60_000, globalCooldownMs: 20_000, cost: 50 },
+  run(room, user, args, settings) {
+    if (!room.secretWordNorm || room.roundEndReason) return null;
+    const cost = settings.cost;
+    if ((user.points_total || 0) < cost) return `${user.display_name} needs ${cost} pts for a hint`;
+    const buyer = { userId: user.userId, uniqueId: user.uniqueId, nickname: user.display_name };
+    const result = room.applyBoost("reveal-letter", {}, buyer);
+    if (result.error) return null;
+    if (cost > 0) room.updateUser(user.userId, { points_total: (user.points_total || 0) - cost });
+    return cost > 0 ? `${user.display_name} bought a hint (-${cost} pts)` : `${user.display_name} revealed a hint`;
+  },
+});
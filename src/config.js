@@ -0,0 +1,34 @@
+import path from "path";
+import { fileURLToPath } from "url";
+
+// Project root (the directory holding server.js).
+export const ROOT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+// Data is only written to disk when PERSIST_STATE=true. Otherwise all state
+// lives in memory and is lost on restart.
+export const PERSIST_STATE = process.env.PERSIST_STATE === "true";
+
+// Where data is stored (see storage.js). STORAGE_BACKEND is "file" (JSON
+// files under DATA_DIR) or "sqlite" (a database at SQLITE_FILE). DATA_DIR
+// defaults to the project root; point it at a persistent disk on hosts that
+// wipe the app directory on redeploy.
+export const STORAGE_BACKEND = process.env.STORAGE_BACKEND || "file";
+export const DATA_DIR = process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : ROOT_DIR;
+export const SQLITE_FILE = process.env.SQLITE_FILE
+  ? path.resolve(process.env.SQLITE_FILE)
+  : path.join(DATA_DIR, "guesser.db");
+
+// Recorded sessions that can be replayed with /api/start { room:
+// "sim:<file>.jsonl" } (see event-sources.js).
+export const REPLAY_DIR = process.env.REPLAY_DIR
+  ? path.resolve(process.env.REPLAY_DIR)
+  : path.join(DATA_DIR, "replays");
+
+// Whether rooms record their live sessions to REPLAY_DIR (see recorder.js)
+// until the host changes it on the admin page.
+export const RECORD_SESSIONS = process.env.RECORD_SESSIONS === "true";
+
+// The room used by the un-namespaced /api routes and by overlays that do
+// not ask for a room. Its files stay directly in the data directory
+// (users.json, gifts.json) as they were before rooms existed.
+export const DEFAULT_ROOM_ID = "default";
@@ -0,0 +1,104 @@
+import { normalize } from "./text.js";
+
+// ======================
+// Round rules
+// ======================
+
+// The rules of a round as plain functions of their inputs: the alignment
+// of a word's characters, masking, rapid-mode position locks, the letters
+// counted for scoring and the round clock. GameRoom (game-room.js) holds
+// the state and calls these; keeping them free of timers and sockets lets
+// them be tested on their own. Answer comparison lives in text.js, close
+// guesses in similarity.js, polls in polls.js and tiers in tiers.js.
+
+// A word is split into cells, one per user-perceived character (grapheme
+// cluster, so "é", "स्" or an emoji is a single cell). Each cell is a
+// "letter" (it holds a letter or digit), a "space" or a "symbol"
+// (punctuation, emoji, ...). Only letters are ever hidden: spaces and
+// symbols are always shown, so "rock 'n' roll" masks as "____ '_' ____".
+// A letter's norm is its normalize()d form ("É" -> "e"), which is what
+// guesses are compared with. Words are the runs of cells between spaces;
+// words lists the letter cells of each word that has letters. Reveals,
+// position locks and scoring all use cell indices.
+const graphemes = new Intl.Segmenter(undefined, { granularity: "grapheme" });
+
+export function alignWord(raw) {
+  const cells = [];
+  const words = [];
+  let current = null;
+  for (const { segment } of graphemes.segment(String(raw || ""))) {
+    if (/^\s+$/u.test(segment)) {
+      cells.push({ text: segment, kind: "space", norm: "" });
+      current = null;
+      continue;
+    }
+    const letter = /[\p{L}\p{N}]/u.test(segment);
+    const norm = letter ? normalize(segment).replace(/\s+/gu, "") : "";
+    cells.push({ text: segment, kind: letter && norm ? "letter" : "symbol", norm });
+    if (letter && norm) {
+      if (!current) words.push((current = []));
+      current.push(cells.length - 1);
+    } else if (!current) {
+      // Symbols start a word too, so "'n'" is one word
+      words.push((current = []));
+    }
+  }
+  return { cells, words: words.filter((w) => w.length) };
+}
+
+// The reveal state of a new round: every cell but the letters is shown.
+export function initialReveal(alignment) {
+  return alignment.cells.map((cell) => cell.kind !== "letter");
+}
+
+// The mask as one tile per cell: revealed cells as they are, hidden ones
+// as "_".
+export function maskTiles(alignment, revealedPositions) {
+  return alignment.cells.map((cell, idx) => (revealedPositions[idx] ? cell.text : "_"));
+}
+
+// Mask a word: the tiles joined into a string.
+export function maskWord(alignment, revealedPositions) {
+  return maskTiles(alignment, revealedPositions).join("");
+}
+
+// Number of letters in each word, for the overlay ("4 · 1 · 4").
+export function wordLengths(alignment) {
+  return alignment.words.map((w) => w.length);
+}
+
+// Rapid-mode position locks: the secret's letter cells that the guess has
+// in the same place, comparing word by word and letter by letter so
+// punctuation, accents and spacing cannot shift the positions. Both are
+// alignments (see alignWord).
+export function positionLocks(secret, guess) {
+  const locks = [];
+  const wordCount = Math.min(secret.words.length, guess.words.length);
+  for (let w = 0; w < wordCount; w++) {
+    const secretWord = secret.words[w];
+    const guessWord = guess.words[w];
+    for (let i = 0; i < Math.min(secretWord.length, guessWord.length); i++) {
+      if (secret.cells[secretWord[i]].norm === guess.cells[guessWord[i]].norm) locks.push(secretWord[i]);
+    }
+  }
+  return locks;
+}
+
+// Letters of a word, and how many of them are still hidden, for the
+// scoring letter and hidden-letter bonuses.
+export function countLetters(alignment, revealedPositions) {
+  let letters = 0;
+  let hiddenLetters = 0;
+  alignment.cells.forEach((cell, idx) => {
+    if (cell.kind !== "letter") return;
+    letters++;
+    if (!revealedPositions[idx]) hiddenLetters++;
+  });
+  return { letters, hiddenLetters };
+}
+
+// Time left in a round that started at startedAt and lasts durationMs.
+export function timeLeftMs(startedAt, durationMs, now) {
+  if (!startedAt || !durationMs) return 0;
+  return Math.max(0, durationMs - (now - startedAt));
+}
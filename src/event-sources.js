@@ -0,0 +1,272 @@
+import fs from "fs";
+import path from "path";
+import { EventEmitter } from "events";
+import { REPLAY_DIR } from "./config.js";
+
+// ======================
+// Event sources
+// ======================
+
+// A room gets its live events from an event source: an EventEmitter with
+//   connect()     resolves to { viewerCount } once events start flowing
+//   disconnect()  stops it
+// that emits TikTok-style events: "chat" ({ userId?, uniqueId, nickname,
+// comment, isModerator? }), "gift" ({ uniqueId, nickname, giftId?,
+// giftName, giftType, repeatCount, repeatEnd }), "like", "streamEnd",
+// "disconnected" and "error". The room's /api/start "room" value picks
+// the source:
+//   <uniqueId>                     a real TikTok live (tiktok-live-connector)
+//   sim:<file>.jsonl[?speed=&loop] replay a recorded session from REPLAY_DIR
+//   sim:bots[?viewers=&rate=&accuracy=&gifts=]
+//                                  synthetic viewers guessing the word
+// The simulators let rounds, polls and boosts be tested without going live.
+
+export const SIM_PREFIX = "sim:";
+
+// Create the source for a "room" value. context gives simulated viewers a
+// look at the game ({ answer(), pollOptions(), giftNames() }). Throws if
+// the value is invalid.
+export function createEventSource(spec, context) {
+  const value = String(spec || "").trim();
+  if (!value.toLowerCase().startsWith(SIM_PREFIX)) return new TikTokSource(value.replace(/^@/, ""));
+  const [name, query = ""] = value.slice(SIM_PREFIX.length).split("?");
+  const params = new URLSearchParams(query);
+  if (name === "bots") return new BotSource(params, context);
+  return new ReplaySource(name, params);
+}
+
+// Read a number parameter within [min, max], or the fallback when missing
+function numberParam(params, key, fallback, min, max) {
+  if (!params.has(key) || params.get(key) === "") return fallback;
+  const n = Number(params.get(key));
+  if (isNaN(n) || n < min || n > max) throw new Error(`'${key}' must be between ${min} and ${max}`);
+  return n;
+}
+
+// ----------------------
+// TikTok
+// ----------------------
+
+// The legacy WebcastPushConnection API of tiktok-live-connector, which
+// emits the simple event objects above. 1.x exports it from the package
+// root, 2.x from "tiktok-live-connector/legacy". Loaded on first use so
+// the server (and the simulators) run even if the package cannot load.
+async function loadConnector() {
+  const mod = await import("tiktok-live-connector");
+  if (mod.WebcastPushConnection) return mod.WebcastPushConnection;
+  return (await import("tiktok-live-connector/legacy")).WebcastPushConnection;
+}
+
+class TikTokSource extends EventEmitter {
+  constructor(uniqueId) {
+    super();
+    if (!uniqueId) throw new Error("Missing TikTok uniqueId");
+    this.uniqueId = uniqueId;
+    this.connection = null;
+  }
+
+  async connect() {
+    const WebcastPushConnection = await loadConnector();
+    this.connection = new WebcastPushConnection(this.uniqueId);
+    for (const event of ["chat", "gift", "like", "streamEnd", "disconnected", "error"]) {
+      this.connection.on(event, (data) => this.emit(event, data));
+    }
+    const state = await this.connection.connect();
+    return { viewerCount: state?.roomInfo?.viewerCount ?? null };
+  }
+
+  disconnect() {
+    this.connection?.disconnect();
+    this.connection = null;
+  }
+}
+
+// ----------------------
+// Replay
+// ----------------------
+
+// Replays a JSONL file from REPLAY_DIR, one event per line:
+//   { "t": 1250, "type": "chat", "data": { "uniqueId": "...", "comment": "..." } }
+// t is milliseconds since the start of the recording (lines with an
+// absolute "at" timestamp are timed relative to the first one). Events are
+// replayed with their original spacing divided by ?speed= (default 1);
+// ?loop=1 starts over at the end, otherwise the source ends with
+// streamEnd. Lines that cannot be parsed are skipped. Session recordings
+// (see recorder.js) can be replayed as they are: their "session" and
+// "emit" lines are ignored.
+const REPLAY_TYPES = ["chat", "gift", "like"];
+const RECORDING_TYPES = ["session", "emit"];
+
+export function resolveReplayFile(name) {
+  const file = path.basename(String(name || ""));
+  if (!file || file !== name || !file.endsWith(".jsonl")) {
+    throw new Error("Replay must be a .jsonl file name, e.g. sim:replay.jsonl");
+  }
+  return path.join(REPLAY_DIR, file);
+}
+
+// Parse the lines of a replay into [{ t, type, data }] sorted by time.
+export function parseReplay(text) {
+  const events = [];
+  let skipped = 0;
+  for (const line of text.split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    try {
+      const entry = JSON.parse(line);
+      if (RECORDING_TYPES.includes(entry?.type)) continue;
+      if (!REPLAY_TYPES.includes(entry?.type) || !entry.data || typeof entry.data !== "object") {
+        skipped++;
+        continue;
+      }
+      const t = Number(entry.t ?? entry.at);
+      if (isNaN(t)) {
+        skipped++;
+        continue;
+      }
+      events.push({ t, type: entry.type, data: entry.data });
+    } catch (e) {
+      skipped++;
+    }
+  }
+  events.sort((a, b) => a.t - b.t);
+  const start = events.length ? events[0].t : 0;
+  // Recordings that use "t" start near 0; absolute timestamps are shifted
+  if (start > 0) for (const e of events) e.t -= start;
+  return { events, skipped };
+}
+
+class ReplaySource extends EventEmitter {
+  constructor(name, params) {
+    super();
+    this.file = resolveReplayFile(name);
+    this.speed = numberParam(params, "speed", 1, 0.1, 100);
+    this.loop = params.get("loop") === "1" || params.get("loop") === "true";
+    this.events = [];
+    this.index = 0;
+    this.startedAt = 0;
+    this.timer = null;
+  }
+
+  async connect() {
+    let text;
+    try {
+      text = await fs.promises.readFile(this.file, "utf8");
+    } catch (e) {
+      throw new Error(`Replay file ${path.basename(this.file)} not found in ${REPLAY_DIR}`);
+    }
+    const { events, skipped } = parseReplay(text);
+    if (!events.length) throw new Error("Replay file has no chat, gift or like events");
+    if (skipped) console.warn(`Replay ${path.basename(this.file)}: skipped ${skipped} invalid line(s)`);
+    this.events = events;
+    this.restart();
+    return { viewerCount: new Set(events.map((e) => e.data.uniqueId || e.data.nickname)).size };
+  }
+
+  restart() {
+    this.index = 0;
+    this.startedAt = Date.now();
+    this.scheduleNext();
+  }
+
+  // Emit every event that is due, then wait for the next one.
+  scheduleNext() {
+    const elapsed = (Date.now() - this.startedAt) * this.speed;
+    while (this.index < this.events.length && this.events[this.index].t <= elapsed) {
+      const { type, data } = this.events[this.index++];
+      this.emit(type, { ...data });
+    }
+    if (this.index >= this.events.length) {
+      if (this.loop) {
+        this.timer = setTimeout(() => this.restart(), 1000);
+      } else {
+        this.timer = null;
+        this.emit("streamEnd");
+      }
+      return;
+    }
+    const wait = (this.events[this.index].t - elapsed) / this.speed;
+    this.timer = setTimeout(() => this.scheduleNext(), Math.max(0, wait));
+  }
+
+  disconnect() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
+
+// ----------------------
+// Bots
+// ----------------------
+
+// Synthetic viewers. ?viewers= bots (default 10) send ?rate= messages per
+// second in total (default 1). While a round runs, a message is the right
+// answer with probability ?accuracy= (default 0.1), otherwise a near miss
+// or a random wrong word; during a poll bots vote with an option number.
+// ?gifts= sends that many gifts per minute from the room's gift table
+// (default 0).
+const BOT_WORDS = ["apple", "house", "banana", "pizza", "guitar", "rocket", "tiger", "ocean", "castle", "pencil"];
+
+// Change one letter of a word to make a near miss
+function typo(word) {
+  if (word.length < 2) return word + "x";
+  const i = Math.floor(Math.random() * word.length);
+  const letter = String.fromCharCode(97 + Math.floor(Math.random() * 26));
+  return word.slice(0, i) + letter + word.slice(i + 1);
+}
+
+function pick(list) {
+  return list[Math.floor(Math.random() * list.length)];
+}
+
+class BotSource extends EventEmitter {
+  constructor(params, context) {
+    super();
+    this.context = context;
+    this.viewers = numberParam(params, "viewers", 10, 1, 1000);
+    this.rate = numberParam(params, "rate", 1, 0.1, 50);
+    this.accuracy = numberParam(params, "accuracy", 0.1, 0, 1);
+    this.giftsPerMinute = numberParam(params, "gifts", 0, 0, 600);
+    this.chatTimer = null;
+    this.giftTimer = null;
+  }
+
+  async connect() {
+    this.chatTimer = setInterval(() => this.sendChat(), 1000 / this.rate);
+    if (this.giftsPerMinute > 0) this.giftTimer = setInterval(() => this.sendGift(), 60_000 / this.giftsPerMinute);
+    return { viewerCount: this.viewers };
+  }
+
+  randomBot() {
+    const n = String(1 + Math.floor(Math.random() * this.viewers)).padStart(3, "0");
+    return { userId: `bot${n}`, uniqueId: `bot${n}`, nickname: `Bot ${n}` };
+  }
+
+  sendChat() {
+    const options = this.context?.pollOptions?.() || null;
+    const answer = this.context?.answer?.() || "";
+    let comment;
+    if (options?.length && Math.random() < 0.5) {
+      comment = String(1 + Math.floor(Math.random() * options.length));
+    } else if (answer && Math.random() < this.accuracy) {
+      comment = answer;
+    } else if (answer && Math.random() < 0.3) {
+      comment = typo(answer.toLowerCase());
+    } else {
+      comment = pick(BOT_WORDS);
+    }
+    this.emit("chat", { ...this.randomBot(), comment });
+  }
+
+  sendGift() {
+    const names = this.context?.giftNames?.() || [];
+    if (!names.length) return;
+    this.emit("gift", { ...this.randomBot(), giftName: pick(names), giftType: 2, repeatCount: 1, repeatEnd: true });
+  }
+
+  disconnect() {
+    clearInterval(this.chatTimer);
+    clearInterval(this.giftTimer);
+    this.chatTimer = null;
+    this.giftTimer = null;
+  }
+}
@@ -0,0 +1,1870 @@
+import { normalize, answerKey } from "./text.js";
+import { getStorage } from "./storage.js";
+import { createEventSource } from "./event-sources.js";
+import { getWordList } from "./words.js";
+import { isCloseGuess, isLenientMatch } from "./similarity.js";
+import { RoundHistory } from "./round-history.js";
+import { DEFAULT_SCORING, cloneScoring, parseScoring, computePoints } from "./scoring.js";
+import { DEFAULT_TIER_LADDER, parseTierLadder, computeTier } from "./tiers.js";
+import { parsePoll, matchVote, leadingOptions } from "./polls.js";
+import { defaultCommandSettings, parseCommandSettings, parseCommand, getCommand } from "./commands.js";
+import {
+  DEFAULT_MODERATOR_SETTINGS,
+  parseModeratorSettings,
+  isModerator,
+  registerModerationCommands,
+} from "./moderation.js";
+import { SessionRecorder } from "./recorder.js";
+import { LEADERBOARD_SCOPES, scopeStart } from "./leaderboards.js";
+import { systemClock } from "./clock.js";
+import {
+  alignWord,
+  initialReveal,
+  maskWord,
+  maskTiles,
+  wordLengths,
+  positionLocks,
+  countLetters,
+  timeLeftMs,
+} from "./engine.js";
+import { RECORD_SESSIONS } from "./config.js";
+import { DEFAULT_THEME_NAME, getTheme, parseWidgetList } from "./themes.js";
+
+// A GameRoom holds everything for one game: its TikTok connection, the
+// current round, mask and timer, polls, the word queue, auto-run and its own
+// leaderboard. The server keeps one instance per room id, so several
+// creators' streams can run side by side on one deployment. Events are sent
+// through the emit(event, payload) function passed in by the server, which
+// delivers them to the overlays of this room only. Time comes from the
+// clock option (see clock.js), so tests can drive a room with a fake clock
+// and collect its events with their own emit.
+
+const winnerHighlightMs = 60_000; // 60 seconds
+
+// Moderator commands join the chat commands (see moderation.js)
+registerModerationCommands();
+
+// ==================
+// Gift → Boost mapping
+// ==================
+
+// Table mapping TikTok gifts to boost actions. Each entry matches a gift by
+// giftId and/or giftName (compared with normalize, so case and accents do
+// not matter) and names one of the applyBoost types. Time-based actions take
+// an "ms" amount. When perRepeat is true a combo of N gifts applies the
+// action N times (N × ms for time boosts); otherwise a whole streak counts
+// as a single trigger. Each room has its own table, persisted with its
+// users when PERSIST_STATE is enabled.
+const DEFAULT_GIFT_ACTIONS = [
+  { giftName: "Tiny Diny", action: "prompt", ms: 10_000, perRepeat: true },
+  { giftName: "Donut", action: "add-time", ms: 30_000, perRepeat: true },
+  { giftName: "Money Gun", action: "reveal-letter", perRepeat: true },
+  { giftName: "Galaxy", action: "reveal-word", perRepeat: false },
+];
+export const GIFT_ACTION_TYPES = ["add-time", "prompt", "reveal-letter", "reveal-word"];
+
+// Validate a gift table. Returns an error message, or null if the table is
+// usable.
+function validateGiftActions(list) {
+  if (!Array.isArray(list)) return "Gift table must be an array";
+  for (const entry of list) {
+    if (!entry || typeof entry !== "object") return "Invalid gift entry";
+    if (entry.giftId == null && !entry.giftName) return "Each gift needs a 'giftId' or 'giftName'";
+    if (!GIFT_ACTION_TYPES.includes(entry.action)) return `Unknown action '${entry.action}'`;
+  }
+  return null;
+}
+
+// ==================
+// Close guesses
+// ==================
+
+// Typo tolerance per game mode. A wrong guess within maxDistance edits of
+// the secret and at least minSimilarity similar (or whose letters overlap
+// the secret's by minOverlap) is a "close" guess: the overlay tags it
+// without revealing anything. When lenient is turned on, guesses within
+// the edit limits also win the round; overlap alone never does. Set
+// enabled to false to turn detection off for a mode. See similarity.js for the measures.
+const DEFAULT_MATCH_SETTINGS = {
+  classic: { enabled: true, maxDistance: 2, minSimilarity: 0.7, minOverlap: 0.9, lenient: false },
+  rapid: { enabled: true, maxDistance: 1, minSimilarity: 0.8, minOverlap: 0, lenient: false },
+};
+export const GAME_MODES = Object.keys(DEFAULT_MATCH_SETTINGS);
+
+// Validate and normalise typo tolerance settings for one mode, filling in
+// missing fields from the current values. Returns { settings } or
+// { error }.
+function parseMatchSettings(input, current) {
+  if (!input || typeof input !== "object") return { error: "Settings must be an object" };
+  const settings = { ...current };
+  for (const key of ["enabled", "lenient"]) {
+    if (input[key] != null) settings[key] = Boolean(input[key]);
+  }
+  const given = (key) => input[key] != null && input[key] !== "";
+  if (given("maxDistance")) {
+    const n = Number(input.maxDistance);
+    if (!Number.isInteger(n) || n < 0) return { error: "Invalid 'maxDistance'" };
+    settings.maxDistance = n;
+  }
+  for (const key of ["minSimilarity", "minOverlap"]) {
+    if (!given(key)) continue;
+    const n = Number(input[key]);
+    if (isNaN(n) || n < 0 || n > 1) return { error: `Invalid '${key}' (expected 0 to 1)` };
+    settings[key] = n;
+  }
+  return { settings };
+}
+
+// ==================
+// Leaderboards
+// ==================
+
+// Wins kept in the win log behind the windowed leaderboards (see
+// leaderboards.js)
+const MAX_WIN_LOG = 50_000;
+
+// Finished polls kept per room
+const MAX_POLL_HISTORY = 500;
+
+// Moderator actions kept in each room's audit log
+const MAX_AUDIT_LOG = 2000;
+
+// Why letters were revealed, sent with "mask" events so overlays can
+// animate each kind differently: a rapid-mode position lock, the host or a
+// moderator picking letters, a boost (gift, !hint or a random !reveal), a
+// correct guess, or the round ending without a winner (time out or skip).
+export const REVEAL_REASONS = ["lock", "admin", "boost", "win", "end"];
+
+// Validation for stored documents that must be plain objects
+function isPlainObject(data) {
+  return data !== null && typeof data === "object" && !Array.isArray(data);
+}
+
+export class GameRoom {
+  constructor(id, { emit, clock = systemClock }) {
+    this.id = id;
+    this.clock = clock;
+    // Everything sent to the overlays also goes to the session recording
+    this.emit = (event, payload) => {
+      this.recorder?.recordEmit(event, payload);
+      emit(event, payload);
+    };
+
+    // Event source (TikTok or a simulator) and the live it is connected to
+    this.eventSource = null;
+    this.connectedRoom = null;
+    // Whether live sessions are recorded (see recorder.js) and the recorder
+    // of the current one
+    this.recording = { enabled: RECORD_SESSIONS };
+    this.recorder = null;
+
+    // Round state
+    this.isRunning = false;
+    this.secretWordRaw = "";
+    this.secretWordNorm = "";
+    this.winner = null;
+    this.roundStartedAt = null;
+    this.lastWinAt = 0;
+
+    // Accepted answers for the current round: the secret word plus any
+    // alternates ("NYC" for "New York City", "color" for "colour"). Each is
+    // { raw, key } where key is the answerKey used for matching. The
+    // answerOptions apply to every round until the host changes them.
+    this.answers = [];
+    this.answerOptions = { ignoreArticles: false, ignoreSpaces: false };
+
+    // secretAlignment splits secretWordRaw into cells (see alignWord in
+    // engine.js) and revealedPositions holds a boolean for each cell: true
+    // means it is shown in the overlay. When a new word is set, only the
+    // spaces and punctuation are shown. Position locks, admin actions and
+    // gifts reveal letters by cell index.
+    this.secretAlignment = alignWord("");
+    this.revealedPositions = [];
+
+    // roundDurationMs stores the total duration of the current round in
+    // milliseconds. When the secret word is set, it defaults to 20 seconds
+    // (matching the rapid‑fire requirement). The admin can adjust the
+    // remaining time via the update-timer endpoint.
+    this.roundDurationMs = 20_000;
+
+    // Server-side round clock. roundTimer is the pending timeout that ends
+    // the round when its time runs out; it is rescheduled whenever the
+    // duration changes. roundEndReason is null while a round is in progress
+    // and becomes "won", "expired" or "skipped" once it is over, after which
+    // no more guesses are judged and time boosts are rejected.
+    this.roundTimer = null;
+    this.roundEndReason = null;
+
+    // Record of the round in progress for the round history: counters and
+    // boosts are added as the round goes on, and it is moved into
+    // roundHistory once the round ends or is replaced. null when no round
+    // has been started since the last one was recorded.
+    this.currentRound = null;
+    this.roundHistory = new RoundHistory(id);
+
+    // Current game mode. "classic" requires exact matches for winners and
+    // does not provide any hints. "rapid" uses position locks so that
+    // incorrect guesses which match letters in the correct position reveal
+    // those letters to all players. The default is classic.
+    this.gameMode = "classic";
+
+    // Poll state for live voting. When a poll is active, pollState is an
+    // object with the question, an array of options, the on-end action and
+    // tie-break rule, a tallies map, a Set of userIds that have voted (to
+    // enforce one vote per user), and the timestamp when the poll ends.
+    // When no poll is active, pollState is null. Finished polls are kept in
+    // pollHistory, newest last.
+    this.pollState = null;
+    this.pollHistory = [];
+
+    // Basic per-user rate limit: 1 message per 700 ms
+    this.userLastMsgAt = new Map();
+
+    // Chat command settings (see commands.js) and when each command was
+    // last used, keyed by name (global cooldown) and "name:userId"
+    this.commandSettings = defaultCommandSettings();
+    this.commandUsedAt = new Map();
+    // Who counts as a moderator (see moderation.js) and the log of their
+    // commands, newest last
+    this.moderatorSettings = { ...DEFAULT_MODERATOR_SETTINGS, users: [] };
+    this.auditLog = [];
+    // How this room's overlays look: a theme name (see themes.js) and the
+    // widgets to hide
+    this.overlaySettings = { theme: DEFAULT_THEME_NAME, hidden: [] };
+
+    // The users object stores per-user statistics such as display name, win
+    // count and tier for this room's leaderboard.
+    this.users = {};
+    this.winLog = [];
+    this.sessionStartedAt = this.clock.now();
+    this.scoring = cloneScoring(DEFAULT_SCORING);
+    this.tierLadder = parseTierLadder(DEFAULT_TIER_LADDER).ladder;
+    // The viewer who won the last round(s) in a row and how many in a row,
+    // for the scoring streak bonus
+    this.winStreak = { userId: null, count: 0 };
+    this.giftActions = DEFAULT_GIFT_ACTIONS.map((g) => ({ ...g }));
+    this.matchSettings = {
+      classic: { ...DEFAULT_MATCH_SETTINGS.classic },
+      rapid: { ...DEFAULT_MATCH_SETTINGS.rapid },
+    };
+
+    // The word queue is built from one or more library lists, optionally
+    // filtered by category and difficulty, in list order or shuffled.
+    // usedWords remembers every secret used in this room since the server
+    // started so the queue never repeats a word within a session, even if
+    // it was also typed in by hand.
+    this.wordQueue = { lists: [], order: "ordered", category: null, difficulty: null, items: [] };
+    this.usedWords = new Set();
+
+    // Auto-run chains rounds without the host touching anything. When a
+    // round ends (winner, timeout or skip) the result is held on screen for
+    // the intermission, then the next word is taken from the word queue and
+    // a new round starts. If pollEvery is set, a classic vs rapid mode poll
+    // runs before every Nth following round. phase is "idle" while auto-run
+    // is off or paused, "round" while a round is in progress,
+    // "intermission" during the countdown to the next round and "poll"
+    // while the mode poll runs.
+    this.autoRun = {
+      enabled: false,
+      phase: "idle",
+      intermissionMs: 10_000,
+      roundDurationMs: 20_000,
+      pollEvery: 0,
+      pollDurationMs: 20_000,
+      roundsPlayed: 0,
+      nextRoundAt: null,
+      timer: null,
+    };
+
+    this.loadUsers();
+    this.loadWinLog();
+    this.loadGiftActions();
+    this.loadMatchSettings();
+    this.loadScoring();
+    this.loadTierLadder();
+    this.loadPollHistory();
+    this.loadCommandSettings();
+    this.loadModeratorSettings();
+    this.loadAuditLog();
+    this.loadRecordingSettings();
+    this.loadOverlaySettings();
+  }
+
+  // Stop everything this room has running (used when a room is deleted).
+  destroy() {
+    this.disconnectTikTok();
+    this.clearRoundTimer();
+    this.cancelAutoRunTimer();
+    if (this.pollState) this.clock.clearTimeout(this.pollState.timer);
+    this.pollState = null;
+  }
+
+  // ======================
+  // Persistence
+  // ======================
+
+  // Room data goes through the configured storage backend (see
+  // storage.js), which does nothing when persistence is off. Loads fall back
+  // to the defaults when a document is missing or invalid.
+  loadUsers() {
+    this.users = getStorage().load(this.id, "users", isPlainObject) || {};
+  }
+
+  saveUsers() {
+    getStorage().save(this.id, "users", this.users);
+  }
+
+  loadWinLog() {
+    const data = getStorage().load(this.id, "wins", Array.isArray);
+    if (data) this.winLog = data;
+  }
+
+  saveWinLog() {
+    getStorage().save(this.id, "wins", this.winLog);
+  }
+
+  loadGiftActions() {
+    const data = getStorage().load(this.id, "gifts", (d) => validateGiftActions(d) === null);
+    if (data) this.giftActions = data;
+  }
+
+  saveGiftActions() {
+    getStorage().save(this.id, "gifts", this.giftActions);
+  }
+
+  loadMatchSettings() {
+    const data = getStorage().load(this.id, "matching", isPlainObject);
+    if (!data) return;
+    for (const mode of GAME_MODES) {
+      const parsed = parseMatchSettings(data[mode], this.matchSettings[mode]);
+      if (parsed.settings) this.matchSettings[mode] = parsed.settings;
+    }
+  }
+
+  saveMatchSettings() {
+    getStorage().save(this.id, "matching", this.matchSettings);
+  }
+
+  loadScoring() {
+    const data = getStorage().load(this.id, "scoring", (d) => !parseScoring(d, this.scoring).error);
+    if (data) this.scoring = parseScoring(data, this.scoring).scoring;
+  }
+
+  saveScoring() {
+    getStorage().save(this.id, "scoring", this.scoring);
+  }
+
+  // Load the tier ladder and bring stored tiers in line with it, in case
+  // the data was edited while the server was down.
+  loadTierLadder() {
+    const data = getStorage().load(this.id, "tiers", (d) => !parseTierLadder(d).error);
+    if (data) this.tierLadder = parseTierLadder(data).ladder;
+    this.recomputeTiers();
+  }
+
+  saveTierLadder() {
+    getStorage().save(this.id, "tiers", this.tierLadder);
+  }
+
+  loadPollHistory() {
+    this.pollHistory = getStorage().load(this.id, "polls", Array.isArray) || [];
+  }
+
+  savePollHistory() {
+    getStorage().save(this.id, "polls", this.pollHistory);
+  }
+
+  loadCommandSettings() {
+    const data = getStorage().load(this.id, "commands", isPlainObject);
+    const parsed = data && parseCommandSettings(data, this.commandSettings);
+    if (parsed?.settings) this.commandSettings = parsed.settings;
+  }
+
+  saveCommandSettings() {
+    getStorage().save(this.id, "commands", this.commandSettings);
+  }
+
+  loadModeratorSettings() {
+    const data = getStorage().load(this.id, "moderators", isPlainObject);
+    const parsed = data && parseModeratorSettings(data, this.moderatorSettings);
+    if (parsed?.settings) this.moderatorSettings = parsed.settings;
+  }
+
+  saveModeratorSettings() {
+    getStorage().save(this.id, "moderators", this.moderatorSettings);
+  }
+
+  loadAuditLog() {
+    this.auditLog = getStorage().load(this.id, "audit", Array.isArray) || [];
+  }
+
+  saveAuditLog() {
+    getStorage().save(this.id, "audit", this.auditLog);
+  }
+
+  loadRecordingSettings() {
+    const data = getStorage().load(this.id, "recording", isPlainObject);
+    if (typeof data?.enabled === "boolean") this.recording.enabled = data.enabled;
+  }
+
+  saveRecordingSettings() {
+    getStorage().save(this.id, "recording", this.recording);
+  }
+
+  // The theme is not checked here: custom themes may not be loaded yet,
+  // and an unknown theme falls back to the default one anyway.
+  loadOverlaySettings() {
+    const data = getStorage().load(this.id, "overlay", isPlainObject);
+    if (typeof data?.theme === "string") this.overlaySettings.theme = data.theme;
+    const parsed = data && parseWidgetList(data.hidden);
+    if (parsed?.widgets) this.overlaySettings.hidden = parsed.widgets;
+  }
+
+  saveOverlaySettings() {
+    getStorage().save(this.id, "overlay", this.overlaySettings);
+  }
+
+  // ======================
+  // Users and leaderboard
+  // ======================
+
+  // Retrieve a user record by ID, creating a new record if necessary. The
+  // display name and TikTok uniqueId are updated if provided and different
+  // from the stored ones.
+  getUser(userId, nickname, uniqueId) {
+    let u = this.users[userId];
+    if (!u) {
+      u = { userId, display_name: nickname || userId, wins_total: 0, points_total: 0, tier: "none" };
+      if (uniqueId) u.uniqueId = uniqueId;
+      u.tier = computeTier(u, this.tierLadder);
+      this.users[userId] = u;
+    } else {
+      if (nickname && u.display_name !== nickname) {
+        u.display_name = nickname;
+      }
+      if (uniqueId && u.uniqueId !== uniqueId) {
+        u.uniqueId = uniqueId;
+      }
+    }
+    return u;
+  }
+
+  // Increment a user's win count, add the points for the win and update
+  // their tier accordingly. Returns true if the tier has changed, which
+  // clients can use to trigger tier-up notifications. Persist changes to
+  // disk if enabled.
+  incrementUserWins(user, points = 0) {
+    user.wins_total++;
+    user.points_total = (user.points_total || 0) + points;
+    this.logWin({ userId: user.userId, at: this.clock.now(), points });
+    const newTier = computeTier(user, this.tierLadder);
+    const changed = newTier !== user.tier;
+    user.tier = newTier;
+    this.saveUsers();
+    return changed;
+  }
+
+  // Append an entry to the win log used by the windowed leaderboards and
+  // persist it. Manual corrections are logged as { wins, points } deltas.
+  logWin(entry) {
+    this.winLog.push(entry);
+    if (this.winLog.length > MAX_WIN_LOG) this.winLog.splice(0, this.winLog.length - MAX_WIN_LOG);
+    this.saveWinLog();
+  }
+
+  // Reset all users to their default state (no wins and no tier) and
+  // persist the cleared state.
+  resetAllUsers() {
+    this.users = {};
+    this.winLog = [];
+    this.saveWinLog();
+    this.winStreak = { userId: null, count: 0 };
+    this.saveUsers();
+    this.emit("state", { users: this.users });
+    this.broadcastLeaderboard();
+  }
+
+  // Compute a leaderboard for a scope (see LEADERBOARD_SCOPES). Sorts by
+  // the ranking stat (points_total or wins_total, see scoring.rankBy) in
+  // descending order and returns an array of entries with userId,
+  // display_name, wins_total, points_total, score (the ranking stat) and
+  // tier; for windowed scopes the totals only count wins in the window.
+  // Limits the result to the top `limit` players. Banned users are left
+  // out. If no users have any wins yet, returns an empty array.
+  computeLeaderboard(scope = "all", limit = 10) {
+    let totals;
+    if (scope === "all") {
+      totals = Object.values(this.users).map((u) => ({ userId: u.userId, wins: u.wins_total, points: u.points_total || 0 }));
+    } else {
+      const since = scopeStart(scope, this.sessionStartedAt, new Date(this.clock.now()));
+      const byUser = new Map();
+      for (const win of this.winLog) {
+        if (win.at < since) continue;
+        const t = byUser.get(win.userId) || { userId: win.userId, wins: 0, points: 0 };
+        t.wins += win.wins ?? 1;
+        t.points += win.points || 0;
+        byUser.set(win.userId, t);
+      }
+      totals = [...byUser.values()];
+    }
+    const byPoints = this.scoring.rankBy === "points";
+    const arr = totals
+      .filter((t) => t.wins > 0 && this.users[t.userId] && !this.users[t.userId].banned)
+      .map((t) => ({
+        userId: t.userId,
+        display_name: this.users[t.userId].display_name,
+        wins_total: t.wins,
+        points_total: t.points,
+        score: byPoints ? t.points : t.wins,
+        tier: this.users[t.userId].tier,
+      }));
+    arr.sort((a, b) => b.score - a.score || b.wins_total - a.wins_total);
+    return arr.slice(0, limit);
+  }
+
+  // Top 10 of every scope, keyed by scope.
+  computeLeaderboards() {
+    const boards = {};
+    for (const scope of LEADERBOARD_SCOPES) boards[scope] = this.computeLeaderboard(scope);
+    return boards;
+  }
+
+  // Broadcast the current leaderboards to the room's overlays. The
+  // leaderboard event contains the all-time entries sorted by score, the
+  // boards of every scope and rankBy, so overlays know whether the score
+  // is points or wins.
+  broadcastLeaderboard() {
+    this.emit("leaderboard", {
+      leaderboard: this.computeLeaderboard(),
+      leaderboards: this.computeLeaderboards(),
+      rankBy: this.scoring.rankBy,
+    });
+  }
+
+  // ======================
+  // User management
+  // ======================
+
+  // Search users by display name, uniqueId or userId (case and accents are
+  // ignored). Matches are sorted by points, then wins, and returned one
+  // page at a time: { total, offset, limit, users }. An empty query lists
+  // everyone.
+  searchUsers(query, offset = 0, limit = 20) {
+    const q = normalize(String(query || "")).trim();
+    const matches = Object.values(this.users).filter(
+      (u) =>
+        !q ||
+        normalize(u.display_name || "").includes(q) ||
+        normalize(u.uniqueId || "").includes(q) ||
+        normalize(u.userId).includes(q),
+    );
+    matches.sort((a, b) => (b.points_total || 0) - (a.points_total || 0) || b.wins_total - a.wins_total);
+    return { total: matches.length, offset, limit, users: matches.slice(offset, offset + limit) };
+  }
+
+  // A user's record with their all-time rank (null when unranked), the time
+  // of their last win and their wins this session.
+  getUserDetails(userId) {
+    const user = this.users[userId];
+    if (!user) return null;
+    const board = this.computeLeaderboard("all", Infinity);
+    const rank = board.findIndex((e) => e.userId === userId);
+    let lastWinAt = null;
+    let sessionWins = 0;
+    for (const win of this.winLog) {
+      if (win.userId !== userId) continue;
+      if (win.wins == null) lastWinAt = win.at;
+      if (win.at >= this.sessionStartedAt) sessionWins += win.wins ?? 1;
+    }
+    return { ...user, rank: rank >= 0 ? rank + 1 : null, lastWinAt, sessionWins };
+  }
+
+  // Send a user's new totals to overlays and refresh the leaderboards.
+  broadcastUser(user, tierChanged) {
+    this.emit("userUpdate", {
+      userId: user.userId,
+      nickname: user.display_name,
+      wins_total: user.wins_total,
+      points_total: user.points_total,
+      pointsAwarded: 0,
+      tier: user.tier,
+      tierChanged,
+    });
+    this.broadcastLeaderboard();
+  }
+
+  // Edit a user: { display_name?, wins_total?, points_total? }. Changed
+  // totals are also logged as a correction so the session, daily and
+  // weekly boards follow. Returns { user } or { error }.
+  updateUser(userId, input) {
+    const user = this.users[userId];
+    if (!user) return { error: "Unknown user" };
+    if (!input || typeof input !== "object") return { error: "Invalid user data" };
+    const given = (v) => v != null && v !== "";
+    const changes = {};
+    if (given(input.display_name)) {
+      const name = String(input.display_name).trim();
+      if (!name) return { error: "'display_name' must not be empty" };
+      changes.display_name = name.slice(0, 64);
+    }
+    for (const key of ["wins_total", "points_total"]) {
+      if (!given(input[key])) continue;
+      const n = Number(input[key]);
+      if (!Number.isInteger(n) || n < 0) return { error: `'${key}' must be a whole number of at least 0` };
+      changes[key] = n;
+    }
+    const winsDelta = (changes.wins_total ?? user.wins_total) - user.wins_total;
+    const pointsDelta = (changes.points_total ?? user.points_total ?? 0) - (user.points_total || 0);
+    Object.assign(user, changes);
+    if (winsDelta || pointsDelta) {
+      this.logWin({ userId, at: this.clock.now(), wins: winsDelta, points: pointsDelta });
+    }
+    const newTier = computeTier(user, this.tierLadder);
+    const tierChanged = newTier !== user.tier;
+    user.tier = newTier;
+    this.saveUsers();
+    this.broadcastUser(user, tierChanged);
+    return { user };
+  }
+
+  // Ban or unban a user. Banned users' chat messages are ignored (no
+  // guesses, votes or chat on the overlay) and they are left off the
+  // leaderboards; their record is kept. Returns { user } or { error }.
+  setUserBanned(userId, banned) {
+    const user = this.users[userId];
+    if (!user) return { error: "Unknown user" };
+    if (banned) {
+      user.banned = true;
+      user.bannedAt = this.clock.now();
+    } else {
+      delete user.banned;
+      delete user.bannedAt;
+    }
+    if (banned && this.winStreak.userId === userId) this.winStreak = { userId: null, count: 0 };
+    this.saveUsers();
+    this.broadcastLeaderboard();
+    return { user };
+  }
+
+  // Merge the record fromId into intoId, e.g. when the uniqueId/nickname
+  // fallback created two records for one viewer. Wins and points are
+  // added up, the win log, win streak and current poll/round are moved
+  // over and the fromId record is deleted. The target keeps its display
+  // name and is banned if either record was. Returns { user } or { error }.
+  mergeUsers(fromId, intoId) {
+    if (fromId === intoId) return { error: "Cannot merge a user into itself" };
+    const from = this.users[fromId];
+    const into = this.users[intoId];
+    if (!from || !into) return { error: "Unknown user" };
+    into.wins_total += from.wins_total;
+    into.points_total = (into.points_total || 0) + (from.points_total || 0);
+    if (!into.uniqueId && from.uniqueId) into.uniqueId = from.uniqueId;
+    if (from.banned && !into.banned) {
+      into.banned = true;
+      into.bannedAt = from.bannedAt;
+    }
+    delete this.users[fromId];
+    for (const win of this.winLog) {
+      if (win.userId === fromId) win.userId = intoId;
+    }
+    this.saveWinLog();
+    if (this.winStreak.userId === fromId) this.winStreak.userId = intoId;
+    if (this.pollState?.voters.delete(fromId)) this.pollState.voters.add(intoId);
+    if (this.currentRound?.guessers.delete(fromId)) this.currentRound.guessers.add(intoId);
+    const newTier = computeTier(into, this.tierLadder);
+    const tierChanged = newTier !== into.tier;
+    into.tier = newTier;
+    this.saveUsers();
+    this.broadcastUser(into, tierChanged);
+    return { user: into };
+  }
+
+  // Replace the scoring settings (partial updates allowed). Returns an
+  // error string, or null on success.
+  setScoring(input) {
+    const parsed = parseScoring(input, this.scoring);
+    if (parsed.error) return parsed.error;
+    this.scoring = parsed.scoring;
+    this.saveScoring();
+    this.broadcastLeaderboard();
+    return null;
+  }
+
+  // Replace the chat command settings (partial updates allowed). Returns an
+  // error string, or null on success.
+  setCommandSettings(input) {
+    const parsed = parseCommandSettings(input, this.commandSettings);
+    if (parsed.error) return parsed.error;
+    this.commandSettings = parsed.settings;
+    this.saveCommandSettings();
+    return null;
+  }
+
+  // Replace the moderator settings ({ trustTikTok?, users? }). Returns an
+  // error string, or null on success.
+  setModeratorSettings(input) {
+    const parsed = parseModeratorSettings(input, this.moderatorSettings);
+    if (parsed.error) return parsed.error;
+    this.moderatorSettings = parsed.settings;
+    this.saveModeratorSettings();
+    return null;
+  }
+
+  // Change the overlay settings ({ theme?, hidden? }) and push them to the
+  // room's overlays. hidden replaces the list of hidden widgets. Returns an
+  // error string, or null on success.
+  setOverlaySettings(input) {
+    if (!input || typeof input !== "object") return "Overlay settings must be an object";
+    const next = { ...this.overlaySettings };
+    if (input.theme != null && input.theme !== "") {
+      if (!getTheme(input.theme)) return `Unknown theme '${input.theme}'`;
+      next.theme = input.theme;
+    }
+    if (input.hidden != null) {
+      const parsed = parseWidgetList(input.hidden);
+      if (parsed.error) return parsed.error;
+      next.hidden = parsed.widgets;
+    }
+    this.overlaySettings = next;
+    this.saveOverlaySettings();
+    this.emitOverlayConfig();
+    return null;
+  }
+
+  // What overlays need to draw themselves: the resolved theme (the default
+  // one if the room's theme was deleted) and the hidden widgets.
+  getOverlayConfig() {
+    const theme = getTheme(this.overlaySettings.theme) || getTheme(DEFAULT_THEME_NAME);
+    return { theme, hidden: this.overlaySettings.hidden };
+  }
+
+  emitOverlayConfig() {
+    this.emit("overlayConfig", this.getOverlayConfig());
+  }
+
+  // Record a moderator action in the audit log.
+  audit(entry) {
+    this.auditLog.push({ at: this.clock.now(), ...entry });
+    if (this.auditLog.length > MAX_AUDIT_LOG) this.auditLog.splice(0, this.auditLog.length - MAX_AUDIT_LOG);
+    this.saveAuditLog();
+  }
+
+  // One page of the audit log, newest first.
+  auditLogPage(offset, limit) {
+    const newestFirst = this.auditLog.slice().reverse();
+    return { total: newestFirst.length, offset, limit, entries: newestFirst.slice(offset, offset + limit) };
+  }
+
+  // Recompute every user's tier from the current ladder. Returns the number
+  // of users whose tier changed; the users file is only rewritten then.
+  recomputeTiers() {
+    let changed = 0;
+    for (const user of Object.values(this.users)) {
+      const tier = computeTier(user, this.tierLadder);
+      if (tier !== user.tier) {
+        user.tier = tier;
+        changed++;
+      }
+    }
+    if (changed) this.saveUsers();
+    return changed;
+  }
+
+  // Replace the tier ladder, move every user to their tier on the new
+  // ladder and send the ladder to overlays. Returns { error } or
+  // { changed } with the number of users whose tier changed.
+  setTierLadder(input) {
+    const parsed = parseTierLadder(input);
+    if (parsed.error) return { error: parsed.error };
+    this.tierLadder = parsed.ladder;
+    this.saveTierLadder();
+    const changed = this.recomputeTiers();
+    this.emit("tiers", { tiers: this.tierLadder });
+    this.broadcastLeaderboard();
+    return { changed };
+  }
+
+  // Work out the points for a win by userId in the current round, before
+  // the word is revealed, and advance the win streak.
+  scoreWin(userId) {
+    const { letters, hiddenLetters } = countLetters(this.secretAlignment, this.revealedPositions);
+    if (this.winStreak.userId === userId) this.winStreak.count++;
+    else this.winStreak = { userId, count: 1 };
+    return computePoints(this.scoring, {
+      letters,
+      hiddenLetters,
+      timeLeftMs: this.getTimeLeftMs(),
+      durationMs: this.roundDurationMs,
+      mode: this.gameMode,
+      streak: this.winStreak.count,
+    });
+  }
+
+  // ======================
+  // Round clock
+  // ======================
+
+  // Remaining time of the current round in milliseconds, or 0 if no round
+  // is in progress.
+  getTimeLeftMs() {
+    if (this.roundEndReason) return 0;
+    return timeLeftMs(this.roundStartedAt, this.roundDurationMs, this.clock.now());
+  }
+
+  // (Re)schedule the round expiry based on the current duration. Called
+  // after a new round starts and whenever the timer is adjusted or boosted.
+  scheduleRoundEnd() {
+    this.clearRoundTimer();
+    if (!this.roundStartedAt || this.roundEndReason) return;
+    this.roundTimer = this.clock.setTimeout(() => this.expireRound(), this.getTimeLeftMs());
+  }
+
+  clearRoundTimer() {
+    if (this.roundTimer) this.clock.clearTimeout(this.roundTimer);
+    this.roundTimer = null;
+  }
+
+  // The secret word with unrevealed characters as "_", or "" if no secret
+  // has been set.
+  getMaskedWord() {
+    return maskWord(this.secretAlignment, this.revealedPositions);
+  }
+
+  // The mask as one tile per cell, for overlays to draw: maskedWord.split("")
+  // would cut accented letters and emoji apart.
+  getMaskTiles() {
+    return maskTiles(this.secretAlignment, this.revealedPositions);
+  }
+
+  // Reveal characters by index and broadcast the mask with the indices that
+  // changed (revealed) and why (one of REVEAL_REASONS). Invalid and already
+  // revealed indices are skipped. Returns the masked word.
+  revealPositions(indices, reason) {
+    const revealed = [];
+    for (const idx of indices) {
+      if (idx >= 0 && idx < this.revealedPositions.length && !this.revealedPositions[idx]) {
+        this.revealedPositions[idx] = true;
+        revealed.push(idx);
+      }
+    }
+    const maskedWord = this.getMaskedWord();
+    this.emit("mask", { maskedWord, tiles: this.getMaskTiles(), revealed, reason });
+    return maskedWord;
+  }
+
+  // Reveal every letter and broadcast the mask. Returns the masked word.
+  revealAll(reason) {
+    return this.revealPositions(this.revealedPositions.map((shown, idx) => idx), reason);
+  }
+
+  // ======================
+  // Round lifecycle
+  // ======================
+
+  // Start a new round with the given secret word. Shared by /set-word, the
+  // word queue and auto-run mode. Resets the mask, timer and winner,
+  // schedules the round clock and broadcasts the new round. Returns the
+  // normalized secret length.
+  startRound(word, durationMs = 20_000, alternates = []) {
+    this.recordRound("replaced");
+    this.secretWordRaw = String(word);
+    this.secretWordNorm = normalize(this.secretWordRaw);
+    this.setAnswers([this.secretWordRaw, ...alternates]);
+    this.usedWords.add(this.secretWordNorm);
+    // No letters are shown at the start; spaces and punctuation always are
+    this.secretAlignment = alignWord(this.secretWordRaw);
+    this.revealedPositions = initialReveal(this.secretAlignment);
+    // Reset round duration and start time. Default duration for each round
+    // is 20 seconds, but this can be adjusted via the update‑timer API.
+    this.roundDurationMs = durationMs;
+    this.roundStartedAt = this.clock.now();
+    this.roundEndReason = null;
+    // A round started by hand during an intermission replaces the countdown
+    this.cancelAutoRunTimer();
+    if (this.autoRun.enabled) this.autoRun.phase = "round";
+    this.isRunning = true;
+    this.winner = null;
+    this.lastWinAt = 0;
+    this.scheduleRoundEnd();
+    this.currentRound = {
+      id: this.roundHistory.nextId(),
+      word: this.secretWordRaw,
+      alternates: this.answers.slice(1).map((a) => a.raw),
+      mode: this.gameMode,
+      startedAt: this.roundStartedAt,
+      guessCount: 0,
+      guessers: new Set(),
+      boosts: [],
+    };
+    // Broadcast that a new round has started. Include the masked word and
+    // current time left so clients can display hints and countdowns.
+    this.emit("round", {
+      status: "started",
+      secretLen: this.secretWordNorm.length,
+      maskedWord: this.getMaskedWord(),
+      tiles: this.getMaskTiles(),
+      wordLengths: wordLengths(this.secretAlignment),
+      timeLeftMs: this.roundDurationMs,
+    });
+    return this.secretWordNorm.length;
+  }
+
+  // Move the current round's record into the round history with the
+  // reason it ended. Does nothing if it was already recorded.
+  recordRound(endReason) {
+    const round = this.currentRound;
+    if (!round) return;
+    this.currentRound = null;
+    const won = endReason === "won" && this.winner;
+    // A round without a winner ends any win streak
+    if (!won) this.winStreak = { userId: null, count: 0 };
+    this.roundHistory.add({
+      id: round.id,
+      word: round.word,
+      alternates: round.alternates,
+      mode: round.mode,
+      startedAt: round.startedAt,
+      endedAt: this.clock.now(),
+      endReason,
+      winner: won
+        ? {
+            userId: this.winner.userId,
+            nickname: this.winner.nickname,
+            guess: this.winner.guess,
+            matched: this.winner.matched,
+            points: this.winner.points,
+          }
+        : null,
+      timeToSolveMs: won ? this.winner.at - round.startedAt : null,
+      guessCount: round.guessCount,
+      uniqueGuessers: round.guessers.size,
+      boosts: round.boosts,
+    });
+  }
+
+  // Set the accepted answers of the current round. Variants that match the
+  // same way as an earlier one are dropped.
+  setAnswers(list) {
+    const seen = new Set();
+    this.answers = [];
+    for (const raw of list) {
+      const key = answerKey(raw, this.answerOptions);
+      if (!key || seen.has(key)) continue;
+      seen.add(key);
+      this.answers.push({ raw: String(raw), key });
+    }
+  }
+
+  // Change how answers are compared ({ ignoreArticles, ignoreSpaces }).
+  // Takes effect immediately, including for the round in progress.
+  setAnswerOptions(options) {
+    for (const key of ["ignoreArticles", "ignoreSpaces"]) {
+      if (options?.[key] != null) this.answerOptions[key] = Boolean(options[key]);
+    }
+    this.setAnswers(this.answers.map((a) => a.raw));
+  }
+
+  // The accepted answer a guess matches, or null.
+  matchAnswer(guess) {
+    const key = answerKey(guess, this.answerOptions);
+    return this.answers.find((a) => a.key === key) || null;
+  }
+
+  // Clear the round entirely. The host took over, so auto-run stops
+  // chaining rounds.
+  resetRound() {
+    this.recordRound("reset");
+    this.winner = null;
+    this.lastWinAt = 0;
+    this.isRunning = false;
+    this.secretWordRaw = "";
+    this.secretWordNorm = "";
+    this.answers = [];
+    this.secretAlignment = alignWord("");
+    this.revealedPositions = [];
+    this.roundDurationMs = 20_000;
+    this.roundStartedAt = null;
+    this.roundEndReason = null;
+    this.clearRoundTimer();
+    this.pauseAutoRun();
+    this.emit("round", { status: "reset", maskedWord: "", tiles: [], timeLeftMs: 0 });
+  }
+
+  // End the round because time ran out: stop judging, reveal the word and
+  // tell clients the answer.
+  expireRound() {
+    this.roundTimer = null;
+    if (!this.secretWordNorm || this.roundEndReason) return;
+    this.roundEndReason = "expired";
+    this.isRunning = false;
+    const maskedWord = this.revealAll("end");
+    this.emit("round", {
+      status: "expired",
+      answer: this.secretWordRaw,
+      maskedWord,
+      tiles: this.getMaskTiles(),
+      timeLeftMs: 0,
+    });
+    this.onRoundEnded();
+  }
+
+  // End the current round without a winner and reveal the answer.
+  skipRound() {
+    this.roundEndReason = "skipped";
+    this.isRunning = false;
+    this.clearRoundTimer();
+    const maskedWord = this.revealAll("end");
+    this.emit("round", {
+      status: "skipped",
+      answer: this.secretWordRaw,
+      maskedWord,
+      tiles: this.getMaskTiles(),
+      timeLeftMs: 0,
+    });
+    this.onRoundEnded();
+  }
+
+  // Resume judging guesses. Returns { error } if there is no secret or the
+  // round has already ended.
+  startReading() {
+    if (!this.secretWordNorm) return { error: "No secret word set" };
+    if (this.roundEndReason) return { error: "The round has ended" };
+    this.isRunning = true;
+    this.emit("round", { status: "reading_started" });
+    return {};
+  }
+
+  stopReading() {
+    this.isRunning = false;
+    this.emit("round", { status: "reading_stopped" });
+  }
+
+  // Set the remaining time of the current round to ms. The new duration is
+  // the elapsed time plus the requested remaining time.
+  updateTimer(ms) {
+    if (!this.secretWordNorm || !this.roundStartedAt || this.roundEndReason) {
+      return { error: "No active round to update timer" };
+    }
+    const elapsed = this.clock.now() - this.roundStartedAt;
+    this.roundDurationMs = elapsed + ms;
+    this.scheduleRoundEnd();
+    // Immediately compute new remaining time (should equal ms)
+    const timeLeftMs = this.getTimeLeftMs();
+    this.emit("round", {
+      status: "timer_updated",
+      maskedWord: this.getMaskedWord(),
+      tiles: this.getMaskTiles(),
+      timeLeftMs,
+    });
+    return { timeLeftMs };
+  }
+
+  // Reveal specific letters given as zero-based indices (by the host or a
+  // moderator). Invalid indices are ignored.
+  revealLetters(indices) {
+    if (!this.secretWordNorm) return { error: "No secret word set" };
+    return { maskedWord: this.revealPositions(indices, "admin") };
+  }
+
+  revealWord() {
+    if (!this.secretWordNorm) return { error: "No secret word set" };
+    return { maskedWord: this.revealAll("admin") };
+  }
+
+  setMode(mode) {
+    this.gameMode = mode;
+    this.emit("state", { mode: this.gameMode });
+  }
+
+  // ==================
+  // Polls
+  // ==================
+
+  // End the active poll (reason is "timer" or "stopped"). The option with
+  // the most votes wins; ties are settled by the poll's tieBreak (see
+  // polls.js). A runoff replaces the poll with a new one between the tied
+  // options. Otherwise the poll's action is applied to the winner, clients
+  // get a pollEnd event, the poll is logged and the optional onEnd callback
+  // runs with the winner (null when nobody voted).
+  endPoll(reason = "stopped") {
+    const poll = this.pollState;
+    if (!poll) return;
+    this.clock.clearTimeout(poll.timer);
+    this.pollState = null;
+    const leaders = leadingOptions(poll.options, poll.tallies);
+    const tied = leaders.length > 1 ? leaders : null;
+    if (tied && poll.tieBreak === "runoff") {
+      this.recordPoll(poll, { reason, winner: null, tied, runoff: true });
+      this.emit("pollEnd", { id: poll.id, question: poll.question, winner: null, tallies: poll.tallies, tied, runoff: true });
+      const runoff = { ...poll, options: tied, tieBreak: "random" };
+      this.openPoll(runoff, poll.onEnd, poll.id);
+      return;
+    }
+    let winner = leaders[0] ?? null;
+    if (tied && poll.tieBreak === "random") winner = tied[Math.floor(Math.random() * tied.length)];
+    if (winner) this.applyPollAction(poll.action, winner);
+    this.recordPoll(poll, { reason, winner, tied, runoff: false });
+    this.emit("pollEnd", {
+      id: poll.id,
+      question: poll.question,
+      winner,
+      tallies: poll.tallies,
+      tied,
+      action: poll.action,
+      runoff: false,
+    });
+    if (poll.onEnd) poll.onEnd(winner);
+  }
+
+  // Apply a poll's on-end action to the winning option.
+  applyPollAction(action, winner) {
+    if (action === "mode") {
+      this.setMode(winner);
+    } else if (action === "category") {
+      this.buildWordQueue({ ...this.wordQueue, category: winner });
+    }
+  }
+
+  // Start a poll (see parsePoll for the input). Returns { error } if a poll
+  // is already running or the input is invalid, otherwise the public poll
+  // info. The poll ends automatically after durationMs; the optional onEnd
+  // callback runs with the winning option once it has ended (used by
+  // auto-run mode).
+  startPoll(input, onEnd = null) {
+    if (this.pollState) return { error: "A poll is already running" };
+    const parsed = parsePoll(input, GAME_MODES);
+    if (parsed.error) return { error: parsed.error };
+    if (parsed.poll.action === "category" && this.wordQueue.lists.length === 0) {
+      return { error: "Build a word queue before polling for a category" };
+    }
+    return this.openPoll(parsed.poll, onEnd, null);
+  }
+
+  // Open a validated poll and announce it. runoffOf is the id of the poll
+  // whose tie this one settles.
+  openPoll(poll, onEnd, runoffOf) {
+    const tallies = {};
+    poll.options.forEach((opt) => { tallies[opt] = 0; });
+    this.pollState = {
+      id: this.nextPollId(),
+      question: poll.question,
+      options: poll.options,
+      action: poll.action,
+      tieBreak: poll.tieBreak,
+      durationMs: poll.durationMs,
+      runoffOf,
+      tallies,
+      voters: new Set(),
+      startedAt: this.clock.now(),
+      endsAt: this.clock.now() + poll.durationMs,
+      // Schedule automatic poll end
+      timer: this.clock.setTimeout(() => this.endPoll("timer"), poll.durationMs),
+      onEnd,
+    };
+    const info = this.pollInfo();
+    this.emit("pollStart", info);
+    return info;
+  }
+
+  // Public view of the running poll, or null.
+  pollInfo() {
+    const p = this.pollState;
+    if (!p) return null;
+    return {
+      id: p.id,
+      question: p.question,
+      options: p.options,
+      tallies: p.tallies,
+      action: p.action,
+      tieBreak: p.tieBreak,
+      runoff: p.runoffOf != null,
+      endsAt: p.endsAt,
+    };
+  }
+
+  nextPollId() {
+    const last = this.pollHistory[this.pollHistory.length - 1];
+    return Math.max(last ? last.id : 0, this.pollState?.id ?? 0) + 1;
+  }
+
+  // Log a finished poll. result is { reason, winner, tied, runoff } where
+  // runoff is true when the poll ended in a tie that went to a runoff.
+  recordPoll(poll, { reason, winner, tied, runoff }) {
+    const votes = poll.options.reduce((sum, opt) => sum + (poll.tallies[opt] || 0), 0);
+    this.pollHistory.push({
+      id: poll.id,
+      question: poll.question,
+      options: poll.options,
+      tallies: poll.tallies,
+      votes,
+      action: poll.action,
+      tieBreak: poll.tieBreak,
+      winner,
+      tied,
+      runoff,
+      runoffOf: poll.runoffOf,
+      startedAt: poll.startedAt,
+      endedAt: this.clock.now(),
+      endReason: reason,
+    });
+    if (this.pollHistory.length > MAX_POLL_HISTORY) {
+      this.pollHistory.splice(0, this.pollHistory.length - MAX_POLL_HISTORY);
+    }
+    this.savePollHistory();
+  }
+
+  // One page of finished polls, newest first.
+  pollHistoryPage(offset, limit) {
+    const newestFirst = this.pollHistory.slice().reverse();
+    return { total: newestFirst.length, offset, limit, polls: newestFirst.slice(offset, offset + limit) };
+  }
+
+  // ======================
+  // TikTok connection
+  // ======================
+
+  // Connect to a live: a TikTok uniqueId, or a simulator such as
+  // "sim:replay.jsonl" or "sim:bots" (see event-sources.js).
+  async connectTikTok(uniqueId) {
+    this.disconnectTikTok();
+    const source = createEventSource(uniqueId, {
+      answer: () => (this.secretWordNorm && !this.roundEndReason ? this.secretWordRaw : ""),
+      pollOptions: () => this.pollState?.options || null,
+      giftNames: () => this.giftActions.map((g) => g.giftName).filter(Boolean),
+    });
+    this.eventSource = source;
+    if (this.recording.enabled) this.startRecording(uniqueId);
+
+    // Listen before connecting: a replay can send its first events at once.
+    // Incoming events are recorded before they are handled so the recording
+    // replays in the same order.
+    source.on("chat", (data) => {
+      this.recorder?.recordEvent("chat", this.redactCommandArgs(data));
+      this.handleChat(data);
+    });
+
+    // Gifts trigger boosts according to the gift → boost table
+    source.on("gift", (data) => {
+      this.recorder?.recordEvent("gift", data);
+      this.handleGift(data);
+    });
+
+    // Likes do nothing in the game yet but are kept in recordings
+    source.on("like", (data) => this.recorder?.recordEvent("like", data));
+
+    // Connection closed/errors
+    source.on("disconnected", () => {
+      this.emit("system", { type: "disconnected" });
+      this.connectedRoom = null;
+      this.stopRecording();
+    });
+    source.on("streamEnd", () => {
+      this.emit("system", { type: "stream_end" });
+    });
+    source.on("error", (err) => {
+      this.emit("system", { type: "error", message: String(err?.message || err) });
+    });
+
+    let state;
+    try {
+      state = await source.connect();
+    } catch (e) {
+      if (this.eventSource === source) {
+        this.recorder?.discard();
+        this.recorder = null;
+        this.disconnectTikTok();
+      }
+      throw e;
+    }
+    this.connectedRoom = uniqueId;
+    // A new connection starts a new stream session for the session board
+    this.sessionStartedAt = this.clock.now();
+    this.broadcastLeaderboard();
+
+    this.emit("system", { type: "connected", room: uniqueId, viewerCount: state.viewerCount ?? null });
+  }
+
+  disconnectTikTok() {
+    try {
+      this.eventSource?.disconnect();
+    } catch {}
+    this.eventSource = null;
+    this.connectedRoom = null;
+    this.stopRecording();
+  }
+
+  // ======================
+  // Session recordings
+  // ======================
+
+  startRecording(source) {
+    this.stopRecording();
+    try {
+      this.recorder = new SessionRecorder(this.id, source);
+    } catch (e) {
+      console.error(`Room ${this.id}: cannot record session:`, e.message);
+    }
+  }
+
+  // Returns a promise that resolves once the recording is written out.
+  stopRecording() {
+    const closing = this.recorder?.close();
+    this.recorder = null;
+    return closing;
+  }
+
+  // Turn recording on or off. Takes effect at once: turning it on while
+  // connected starts recording the rest of the session. Returns an error
+  // string, or null on success.
+  setRecordingEnabled(enabled) {
+    if (typeof enabled !== "boolean") return "'enabled' must be true or false";
+    this.recording.enabled = enabled;
+    this.saveRecordingSettings();
+    if (!enabled) this.stopRecording();
+    else if (this.eventSource && !this.recorder) this.startRecording(this.connectedRoom || "");
+    return null;
+  }
+
+  // Replace the typo tolerance settings. Accepts { classic?, rapid? } with
+  // partial settings per mode. Returns an error string, or null on success.
+  setMatchSettings(input) {
+    if (!input || typeof input !== "object") return "Settings must be an object";
+    const next = { ...this.matchSettings };
+    for (const mode of Object.keys(input)) {
+      if (!GAME_MODES.includes(mode)) return `Unknown mode '${mode}'`;
+      const parsed = parseMatchSettings(input[mode], this.matchSettings[mode]);
+      if (parsed.error) return `${mode}: ${parsed.error}`;
+      next[mode] = parsed.settings;
+    }
+    this.matchSettings = next;
+    this.saveMatchSettings();
+    return null;
+  }
+
+  // Handle a chat message: rate-limit, count poll votes, apply rapid-mode
+  // position locks and judge the guess.
+  handleChat(data) {
+    const nickname = data?.nickname || data?.uniqueId || "Unknown";
+    const uniqueId = data?.uniqueId || "";
+    const userId = String(data?.userId || uniqueId || nickname);
+    const text = String(data?.comment || "");
+
+    // Simple per-user rate-limit
+    const now = this.clock.now();
+    const last = this.userLastMsgAt.get(userId) || 0;
+    if (now - last < 700) return; // drop message
+    this.userLastMsgAt.set(userId, now);
+
+    // Banned users are ignored entirely: no guesses, votes or chat
+    if (this.users[userId]?.banned) return;
+
+    // Chat commands are answered and never judged as guesses or votes
+    const command = parseCommand(text, this.commandSettings.prefix);
+    if (command) {
+      const moderator = isModerator(this.moderatorSettings, {
+        userId,
+        uniqueId,
+        tiktokModerator: Boolean(data?.isModerator),
+      });
+      this.handleCommand(command, { userId, uniqueId, nickname, moderator }, now);
+      return;
+    }
+
+    let isCorrect = false;
+    let isClose = false;
+    let matched = null;
+    const highlightActive = this.winner && now - this.lastWinAt < winnerHighlightMs;
+    // Only judge guesses when reading is enabled, a secret is set and the
+    // winner popup is not currently active
+    if (this.isRunning && this.secretWordNorm && !this.roundEndReason && !highlightActive) {
+      if (this.currentRound) {
+        this.currentRound.guessCount++;
+        this.currentRound.guessers.add(userId);
+      }
+      // Match rule: exact match only (no partial matches) for both modes,
+      // against the secret or any of its alternate answers. In rapid mode
+      // incorrect guesses may reveal letters but only exact match declares
+      // a winner.
+      matched = this.matchAnswer(text);
+      isCorrect = Boolean(matched);
+      // Near misses are flagged as close. They only count as a win when
+      // the host has turned on lenient matching for this mode, and then
+      // only when they are a few edits away (see isLenientMatch).
+      if (!isCorrect) {
+        const settings = this.matchSettings[this.gameMode];
+        const guessKey = answerKey(text, this.answerOptions);
+        isClose = this.answers.some((a) => isCloseGuess(guessKey, a.key, settings));
+        const lenient = settings.lenient && this.answers.find((a) => isLenientMatch(guessKey, a.key, settings));
+        if (lenient) {
+          isCorrect = true;
+          matched = lenient;
+        }
+      }
+    }
+
+    // Voting: if a poll is active and the message is an option's number or
+    // text, count it as a vote. Users may vote only once per poll.
+    const { pollState } = this;
+    if (pollState) {
+      const opt = matchVote(pollState.options, text);
+      if (!pollState.voters.has(userId) && opt) {
+        pollState.voters.add(userId);
+        pollState.tallies[opt] = (pollState.tallies[opt] || 0) + 1;
+        this.emit("pollUpdate", { tallies: pollState.tallies });
+      }
+    }
+
+    // Rapid mode: apply position locks on incorrect guesses. When the game
+    // mode is rapid and the guess is not correct, reveal letters that are
+    // correctly positioned in the guess, word by word (see positionLocks).
+    // Nothing is locked once the round has ended.
+    if (this.gameMode === "rapid" && this.isRunning && this.secretWordNorm && !this.roundEndReason && !isCorrect) {
+      this.revealPositions(positionLocks(this.secretAlignment, alignWord(text)), "lock");
+    }
+
+    // Retrieve the user record (creating it if needed) and send the chat
+    // message with tier information. The tier is looked up before
+    // incrementing wins for a correct guess.
+    const userRecord = this.getUser(userId, nickname, uniqueId);
+
+    this.emit("chat", {
+      userId,
+      uniqueId,
+      nickname,
+      text,
+      ts: now,
+      isCorrect,
+      isClose,
+      tier: userRecord.tier,
+    });
+
+    // Let overlays react to a near miss. The secret is never included.
+    if (isClose && !isCorrect) {
+      this.emit("closeGuess", { userId, uniqueId, nickname, ts: now });
+    }
+
+    // On correct guess, record the winner, update the user's stats and
+    // broadcast both winner and userUpdate events. The winner popup
+    // highlights for a fixed duration. Also reveal the entire word when
+    // someone guesses correctly so that any hidden letters appear.
+    if (isCorrect) {
+      // Score the win while the clock and the mask still reflect the round
+      const { points, breakdown } = this.scoreWin(userId);
+      // matched is the accepted answer (secret or alternate) that won
+      this.winner = { userId, uniqueId, nickname, at: now, guess: text, matched: matched.raw, points };
+      this.lastWinAt = now;
+      // The round is over: stop the clock so it does not expire later
+      this.roundEndReason = "won";
+      this.clearRoundTimer();
+      this.revealAll("win");
+      // Update user wins, points and tier
+      const tierChanged = this.incrementUserWins(userRecord, points);
+      this.emit("winner", {
+        nickname,
+        uniqueId,
+        userId,
+        guess: text,
+        matched: matched.raw,
+        points,
+        breakdown,
+        streak: this.winStreak.count,
+        highlightMs: winnerHighlightMs,
+      });
+      // Emit userUpdate with wins, points and tier (for leaderboards or
+      // tier-up toast)
+      this.emit("userUpdate", {
+        userId,
+        nickname,
+        wins_total: userRecord.wins_total,
+        points_total: userRecord.points_total,
+        pointsAwarded: points,
+        tier: userRecord.tier,
+        tierChanged,
+      });
+
+      // Broadcast updated leaderboard so overlays can display top players
+      this.broadcastLeaderboard();
+      this.onRoundEnded();
+    }
+  }
+
+  // Run a chat command if it is enabled and not cooling down, and send its
+  // reply to the room's overlays as a commandReply event. Moderator
+  // commands are ignored for other viewers and audited with their reply.
+  handleCommand({ name, args }, viewer, now) {
+    const cmd = getCommand(name);
+    const settings = this.commandSettings.commands[name];
+    if (!cmd || !settings?.enabled) return;
+    if (cmd.moderator && !viewer.moderator) return;
+    const userKey = `${name}:${viewer.userId}`;
+    if (now - (this.commandUsedAt.get(name) || 0) < settings.globalCooldownMs) return;
+    if (now - (this.commandUsedAt.get(userKey) || 0) < settings.userCooldownMs) return;
+    this.commandUsedAt.set(name, now);
+    this.commandUsedAt.set(userKey, now);
+    const user = this.getUser(viewer.userId, viewer.nickname, viewer.uniqueId);
+    const text = cmd.run(this, user, args, settings);
+    if (cmd.moderator) {
+      this.audit({
+        userId: viewer.userId,
+        uniqueId: viewer.uniqueId,
+        nickname: viewer.nickname,
+        command: name,
+        args: cmd.redactArgs ? [] : args,
+        result: text,
+      });
+    }
+    if (text) {
+      this.emit("commandReply", { command: name, userId: viewer.userId, nickname: viewer.nickname, text, ts: now });
+    }
+  }
+
+  // Chat message as it should be kept in recordings: commands with
+  // redactArgs (the !newword word) lose their arguments.
+  redactCommandArgs(data) {
+    const { prefix } = this.commandSettings;
+    const command = parseCommand(data?.comment, prefix);
+    if (!command || !getCommand(command.name)?.redactArgs) return data;
+    return { ...data, comment: `${prefix}${command.name}` };
+  }
+
+  // ====================
+  // Monetization / Boosts
+  // ====================
+
+  // Send a boost event and log the boost in the current round's record.
+  emitBoost(payload) {
+    this.currentRound?.boosts.push({ at: this.clock.now(), ...payload });
+    this.emit("boost", payload);
+  }
+
+  // Each boost type has a single implementation shared by the admin buttons
+  // (via the /boost/* routes) and by real TikTok gifts (via the gift
+  // table). applyBoost returns either { error } when the boost cannot be
+  // applied right now or a result object that the routes pass back to the
+  // caller. The optional gifter ({ userId, uniqueId, nickname }) is included
+  // in the boost event so overlays can credit the viewer who sent the gift.
+  applyBoost(type, params = {}, gifter = null) {
+    const credit = gifter ? { nickname: gifter.nickname, uniqueId: gifter.uniqueId, userId: gifter.userId } : {};
+    switch (type) {
+      // Add extra time to the current round (Donut). Increases the round
+      // duration by params.ms and broadcasts the new remaining time.
+      case "add-time":
+      // Tiny Diny: prompt plus add time. The prompt text is not shown yet;
+      // the boost only adds params.ms (default 10 seconds).
+      case "prompt": {
+        if (!this.secretWordNorm || !this.roundStartedAt || this.roundEndReason) return { error: "No active round" };
+        const ms = Number(params.ms) || (type === "prompt" ? 10000 : 0);
+        if (ms <= 0) return { error: "Invalid 'ms'" };
+        this.roundDurationMs += ms;
+        this.scheduleRoundEnd();
+        const timeLeftMs = this.getTimeLeftMs();
+        this.emitBoost({ type, ms, ...credit });
+        // Broadcast updated timer so the overlay resets the countdown
+        this.emit("round", {
+          status: "timer_updated",
+          maskedWord: this.getMaskedWord(),
+          tiles: this.getMaskTiles(),
+          timeLeftMs,
+        });
+        return { timeLeftMs };
+      }
+      // Reveal a random unrevealed letter (Money Gun).
+      case "reveal-letter": {
+        if (!this.secretWordNorm) return { error: "No secret word set" };
+        // Build a list of indices that are currently unrevealed
+        const unrevealed = [];
+        for (let i = 0; i < this.revealedPositions.length; i++) {
+          if (!this.revealedPositions[i]) unrevealed.push(i);
+        }
+        if (unrevealed.length === 0) return { error: "All letters are already revealed" };
+        const idx = unrevealed[Math.floor(Math.random() * unrevealed.length)];
+        this.emitBoost({ type, index: idx, ...credit });
+        return { index: idx, maskedWord: this.revealPositions([idx], "boost") };
+      }
+      // Reveal the entire word (Galaxy).
+      case "reveal-word": {
+        if (!this.secretWordNorm) return { error: "No secret word set" };
+        this.emitBoost({ type, ...credit });
+        return { maskedWord: this.revealAll("boost") };
+      }
+      default:
+        return { error: `Unknown boost '${type}'` };
+    }
+  }
+
+  // Replace the gift table. Returns an error message or null.
+  setGiftActions(gifts) {
+    const error = validateGiftActions(gifts);
+    if (error) return error;
+    this.giftActions = gifts.map((g) => ({
+      giftId: g.giftId ?? undefined,
+      giftName: g.giftName || undefined,
+      action: g.action,
+      ms: g.ms != null ? Number(g.ms) : undefined,
+      perRepeat: Boolean(g.perRepeat),
+    }));
+    this.saveGiftActions();
+    return null;
+  }
+
+  // Find the table entry for a gift event. An entry with a giftId only
+  // matches that id; otherwise the gift name is compared.
+  findGiftAction(giftId, giftName) {
+    const nameNorm = normalize(giftName);
+    return this.giftActions.find((entry) => {
+      if (entry.giftId != null) return Number(entry.giftId) === Number(giftId);
+      return nameNorm && normalize(entry.giftName) === nameNorm;
+    });
+  }
+
+  // Run the mapped action for a gift that was sent `count` times.
+  runGiftAction(entry, count, gifter) {
+    const times = entry.perRepeat ? Math.max(1, count) : 1;
+    if (entry.action === "add-time" || entry.action === "prompt") {
+      const ms = Number(entry.ms) || (entry.action === "prompt" ? 10_000 : 0);
+      return this.applyBoost(entry.action, { ms: ms * times }, gifter);
+    }
+    let result = null;
+    for (let i = 0; i < times; i++) {
+      result = this.applyBoost(entry.action, {}, gifter);
+      if (result.error) break;
+    }
+    return result;
+  }
+
+  // Handle a gift event from the connector. Streakable gifts (giftType 1)
+  // fire repeatedly while the combo is running; only the final event
+  // (repeatEnd) is applied, using its repeatCount. Other gifts are applied
+  // immediately.
+  handleGift(data) {
+    if (data?.giftType === 1 && !data?.repeatEnd) return;
+    const entry = this.findGiftAction(data?.giftId, data?.giftName);
+    if (!entry) return;
+    const nickname = data?.nickname || data?.uniqueId || "Unknown";
+    const uniqueId = data?.uniqueId || "";
+    const userId = String(data?.userId || uniqueId || nickname);
+    const count = Number(data?.repeatCount) || 1;
+    this.runGiftAction(entry, count, { userId, uniqueId, nickname });
+  }
+
+  // ======================
+  // Word queue
+  // ======================
+
+  getWordQueueInfo() {
+    const { lists, order, category, difficulty, items } = this.wordQueue;
+    return { lists, order, category, difficulty, remaining: items.length };
+  }
+
+  // Rebuild the queue from the selected library lists. Words already used
+  // in this session are left out, as are duplicates across lists.
+  buildWordQueue({ lists, order, category, difficulty }) {
+    const seen = new Set(this.usedWords);
+    const items = [];
+    for (const name of lists) {
+      for (const entry of getWordList(name)?.words || []) {
+        if (category && entry.category !== category) continue;
+        if (difficulty && entry.difficulty !== difficulty) continue;
+        const norm = normalize(entry.word);
+        if (seen.has(norm)) continue;
+        seen.add(norm);
+        items.push(entry);
+      }
+    }
+    if (order === "shuffle") {
+      for (let i = items.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [items[i], items[j]] = [items[j], items[i]];
+      }
+    }
+    this.wordQueue = { lists, order, category: category || null, difficulty: difficulty || null, items };
+  }
+
+  // Take the next unused word from the queue, or null if it is empty.
+  takeNextWord() {
+    while (this.wordQueue.items.length > 0) {
+      const entry = this.wordQueue.items.shift();
+      if (!this.usedWords.has(normalize(entry.word))) return entry;
+    }
+    return null;
+  }
+
+  // ================
+  // Auto-run mode
+  // ================
+
+  // Public auto-run status. startsInMs is the remaining intermission so that
+  // overlays can count down without relying on the server clock.
+  getAutoRunInfo() {
+    const { enabled, phase, intermissionMs, roundDurationMs, pollEvery, pollDurationMs, roundsPlayed, nextRoundAt } = this.autoRun;
+    return {
+      enabled,
+      phase,
+      intermissionMs,
+      roundDurationMs,
+      pollEvery,
+      pollDurationMs,
+      roundsPlayed,
+      startsInMs: nextRoundAt ? Math.max(0, nextRoundAt - this.clock.now()) : 0,
+    };
+  }
+
+  emitAutoRun(extra = {}) {
+    this.emit("autorun", { ...this.getAutoRunInfo(), ...extra });
+  }
+
+  cancelAutoRunTimer() {
+    if (this.autoRun.timer) this.clock.clearTimeout(this.autoRun.timer);
+    this.autoRun.timer = null;
+    this.autoRun.nextRoundAt = null;
+  }
+
+  // Start (or resume) auto-run with the given settings. If a round is in
+  // progress it is played out first; otherwise the countdown to the first
+  // round starts immediately.
+  startAutoRun(settings) {
+    const roundInProgress = Boolean(this.secretWordNorm) && !this.roundEndReason;
+    if (!roundInProgress && this.wordQueue.items.length === 0) {
+      return { error: "The word queue is empty" };
+    }
+    Object.assign(this.autoRun, settings);
+    if (this.autoRun.enabled) {
+      this.emitAutoRun();
+    } else {
+      this.autoRun.enabled = true;
+      this.autoRun.roundsPlayed = 0;
+      if (roundInProgress) {
+        this.autoRun.phase = "round";
+        this.emitAutoRun();
+      } else {
+        this.scheduleIntermission();
+      }
+    }
+    return {};
+  }
+
+  // Stop chaining rounds. A round in progress keeps running.
+  pauseAutoRun() {
+    if (!this.autoRun.enabled) return;
+    this.cancelAutoRunTimer();
+    this.autoRun.enabled = false;
+    this.autoRun.phase = "idle";
+    this.emitAutoRun();
+  }
+
+  // Skip ahead: ends the current round without a winner, cuts the
+  // intermission countdown short or ends the running mode poll.
+  skipAutoRun() {
+    if (this.secretWordNorm && !this.roundEndReason) {
+      this.skipRound();
+    } else if (this.autoRun.phase === "intermission") {
+      this.afterIntermission();
+    } else if (this.autoRun.phase === "poll" && this.pollState) {
+      this.endPoll();
+    } else {
+      return { error: "Nothing to skip" };
+    }
+    return {};
+  }
+
+  // Called whenever a round ends (won, expired or skipped).
+  onRoundEnded() {
+    this.recordRound(this.roundEndReason);
+    if (!this.autoRun.enabled) return;
+    this.scheduleIntermission();
+  }
+
+  // Hold the result of the last round and count down to the next one.
+  scheduleIntermission() {
+    this.cancelAutoRunTimer();
+    this.autoRun.phase = "intermission";
+    this.autoRun.nextRoundAt = this.clock.now() + this.autoRun.intermissionMs;
+    this.autoRun.timer = this.clock.setTimeout(() => this.afterIntermission(), this.autoRun.intermissionMs);
+    this.emitAutoRun();
+  }
+
+  // Run the mode poll if one is due, otherwise start the next round.
+  afterIntermission() {
+    this.cancelAutoRunTimer();
+    const { pollEvery, roundsPlayed } = this.autoRun;
+    if (pollEvery > 0 && roundsPlayed > 0 && roundsPlayed % pollEvery === 0 && !this.pollState) {
+      const poll = this.startPoll(
+        {
+          question: "Choose the next mode",
+          options: ["classic", "rapid"],
+          durationMs: this.autoRun.pollDurationMs,
+          action: "mode",
+        },
+        () => {
+          if (this.autoRun.enabled && this.autoRun.phase === "poll") this.startNextAutoRound();
+        }
+      );
+      if (!poll.error) {
+        this.autoRun.phase = "poll";
+        this.emitAutoRun();
+        return;
+      }
+    }
+    this.startNextAutoRound();
+  }
+
+  // Start a round with the next queued word. Auto-run stops when the queue
+  // runs out.
+  startNextAutoRound() {
+    const entry = this.takeNextWord();
+    if (!entry) {
+      this.cancelAutoRunTimer();
+      this.autoRun.enabled = false;
+      this.autoRun.phase = "idle";
+      this.emitAutoRun({ reason: "queue_empty" });
+      return;
+    }
+    this.autoRun.roundsPlayed++;
+    this.startRound(entry.word, this.autoRun.roundDurationMs, entry.alternates);
+    this.emitAutoRun();
+  }
+
+  // ======================
+  // State snapshot
+  // ======================
+
+  // Snapshot used by /state and the Socket.IO bootstrap event. Full user
+  // records, the secret word and its accepted answers are only included
+  // for admins.
+  getState(role) {
+    const now = this.clock.now();
+    const highlightActive = this.winner && now - this.lastWinAt < winnerHighlightMs;
+    return {
+      roomId: this.id,
+      connectedRoom: this.connectedRoom,
+      isRunning: this.isRunning,
+      secretSet: Boolean(this.secretWordNorm),
+      winner: this.winner ? { ...this.winner, highlightActive } : null,
+      maskedWord: this.getMaskedWord(),
+      tiles: this.getMaskTiles(),
+      wordLengths: wordLengths(this.secretAlignment),
+      // Time left if a round is active; otherwise 0
+      timeLeftMs: this.getTimeLeftMs(),
+      roundEnded: this.roundEndReason,
+      mode: this.gameMode,
+      answerOptions: this.answerOptions,
+      users: role === "admin" ? this.users : undefined,
+      secret: role === "admin" ? this.secretWordRaw : undefined,
+      secretTiles: role === "admin" ? this.secretAlignment.cells.map((c) => c.text) : undefined,
+      answers: role === "admin" ? this.answers.map((a) => a.raw) : undefined,
+      poll: this.pollInfo(),
+      leaderboard: this.computeLeaderboard(),
+      leaderboards: this.computeLeaderboards(),
+      sessionStartedAt: this.sessionStartedAt,
+      rankBy: this.scoring.rankBy,
+      tiers: this.tierLadder,
+      wordQueue: this.getWordQueueInfo(),
+      autoRun: this.getAutoRunInfo(),
+      roundCount: this.roundHistory.rounds.length,
+      pollCount: this.pollHistory.length,
+      auditCount: this.auditLog.length,
+      recording: this.recorder?.name || null,
+      overlay: this.getOverlayConfig(),
+    };
+  }
+}
@@ -0,0 +1,24 @@
+// ======================
+// Leaderboard scopes
+// ======================
+
+// Leaderboards can cover the current stream session (since the TikTok
+// connection was made), today, this week (from Monday) or all time. Day and
+// week boundaries use the server's local time. The windowed boards are
+// built from the win log, a list of { userId, at, points } records stored
+// with the users; all-time totals come from the user records (see
+// GameRoom.computeLeaderboard). This module imports nothing so that both
+// game-room.js and commands.js can use it.
+export const LEADERBOARD_SCOPES = ["session", "daily", "weekly", "all"];
+
+// Start timestamp of a leaderboard scope, or 0 for all time.
+export function scopeStart(scope, sessionStartedAt, now) {
+  if (scope === "session") return sessionStartedAt;
+  if (scope === "daily" || scope === "weekly") {
+    const start = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    // getDay() is 0 for Sunday; weeks start on Monday
+    if (scope === "weekly") start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+    return start.getTime();
+  }
+  return 0;
+}
@@ -0,0 +1,148 @@
+import { registerCommand } from "./commands.js";
+
+// ======================
+// Moderators
+// ======================
+
+// Moderators can run the game from chat without admin access. A viewer is
+// a moderator when TikTok flags them as one (isModerator on chat events,
+// unless the host turns trustTikTok off) or when their uniqueId or userId
+// is on the room's moderator list. Moderator commands go through the chat
+// command framework (see commands.js) but only answer moderators, and
+// every use is written to the room's audit log.
+export const DEFAULT_MODERATOR_SETTINGS = { trustTikTok: true, users: [] };
+
+const MAX_MODERATORS = 100;
+
+// Clean up a list entry: "@Name " -> "name"
+function moderatorKey(entry) {
+  return String(entry ?? "").trim().replace(/^@/, "").toLowerCase();
+}
+
+// Validate moderator settings ({ trustTikTok?, users? }) and merge them
+// over the current ones. users may be an array or a ";"/","/newline
+// separated string of uniqueIds or userIds. Returns { settings } or
+// { error }.
+export function parseModeratorSettings(input, current) {
+  if (!input || typeof input !== "object") return { error: "Moderator settings must be an object" };
+  const settings = { trustTikTok: current.trustTikTok, users: current.users.slice() };
+  if (input.trustTikTok != null) settings.trustTikTok = Boolean(input.trustTikTok);
+  if (input.users != null) {
+    const list = Array.isArray(input.users) ? input.users : String(input.users).split(/[;,\n]/);
+    const users = [...new Set(list.map(moderatorKey).filter(Boolean))];
+    if (users.length > MAX_MODERATORS) return { error: `At most ${MAX_MODERATORS} moderators are allowed` };
+    if (users.some((u) => u.length > 64)) return { error: "Moderator names must be at most 64 characters" };
+    settings.users = users;
+  }
+  return { settings };
+}
+
+// Whether a chat sender is a moderator under the given settings.
+export function isModerator(settings, { userId, uniqueId, tiktokModerator }) {
+  if (settings.trustTikTok && tiktokModerator) return true;
+  const keys = [moderatorKey(uniqueId), moderatorKey(userId)].filter(Boolean);
+  return keys.some((key) => settings.users.includes(key));
+}
+
+// Decode a word sent with !newword. Typing the word itself would show it
+// to everyone in chat (and the connector has no private messages), so it
+// must be obfuscated as "rot13:<text>" or "b64:<base64>". Returns the word
+// or null.
+export function decodeSecretWord(text) {
+  const match = /^(rot13|b64):(.+)$/i.exec(String(text || "").trim());
+  if (!match) return null;
+  let word;
+  if (match[1].toLowerCase() === "rot13") {
+    word = match[2].replace(/[a-z]/gi, (ch) => {
+      const base = ch <= "Z" ? 65 : 97;
+      return String.fromCharCode(((ch.charCodeAt(0) - base + 13) % 26) + base);
+    });
+  } else {
+    word = Buffer.from(match[2], "base64").toString("utf8");
+  }
+  word = word.trim();
+  return word && word.length <= 100 ? word : null;
+}
+
+// Moderator commands answer quickly: no per-viewer cooldown and a short
+// global one so two moderators do not skip twice by accident.
+const MODERATOR_DEFAULTS = { userCooldownMs: 0, globalCooldownMs: 2_000 };
+
+function hasActiveRound(room) {
+  return Boolean(room.secretWordNorm) && !room.roundEndReason;
+}
+
+// Add the moderator commands to the chat commands. Called once by
+// game-room.js after both modules have loaded; registering again only
+// replaces them.
+export function registerModerationCommands() {
+  registerCommand("skip", {
+    description: "Moderators: end the round without a winner",
+    moderator: true,
+    defaults: MODERATOR_DEFAULTS,
+    run(room, user) {
+      if (!hasActiveRound(room)) return "No active round to skip";
+      room.skipRound();
+      return `Round skipped by ${user.display_name}`;
+    },
+  });
+
+  // "!reveal" reveals a random letter, "!reveal 3" the third tile of the mask
+  // (spaces and punctuation count, as in /reveal-letters).
+  registerCommand("reveal", {
+    description: "Moderators: reveal a letter (random, or a 1-based position)",
+    moderator: true,
+    defaults: MODERATOR_DEFAULTS,
+    run(room, user, args) {
+      if (!hasActiveRound(room)) return "No active round";
+      if (args[0] == null) {
+        const buyer = { userId: user.userId, uniqueId: user.uniqueId, nickname: user.display_name };
+        const result = room.applyBoost("reveal-letter", {}, buyer);
+        return result.error || `${user.display_name} revealed a letter`;
+      }
+      const position = parseInt(args[0], 10);
+      if (isNaN(position) || position < 1 || position > room.revealedPositions.length) {
+        return `Position must be between 1 and ${room.revealedPositions.length}`;
+      }
+      if (room.secretAlignment.cells[position - 1].kind !== "letter") {
+        return `Position ${position} is a space or symbol, which is always shown`;
+      }
+      if (room.revealedPositions[position - 1]) return `Letter ${position} is already revealed`;
+      room.revealLetters([position - 1]);
+      return `${user.display_name} revealed letter ${position}`;
+    },
+  });
+
+  // "!time +30" adds, "!time -10" removes and "!time 60" sets the seconds left.
+  registerCommand("time", {
+    description: "Moderators: change the time left (+30, -10 or 60 seconds)",
+    moderator: true,
+    defaults: MODERATOR_DEFAULTS,
+    run(room, user, args) {
+      if (!hasActiveRound(room)) return "No active round";
+      const match = /^([+-]?)(\d{1,4})s?$/.exec(args[0] || "");
+      if (!match) return "Usage: !time +30, !time -10 or !time 60";
+      const seconds = Number(match[2]);
+      const current = room.getTimeLeftMs();
+      let ms = seconds * 1000;
+      if (match[1] === "+") ms = current + ms;
+      if (match[1] === "-") ms = Math.max(1000, current - ms);
+      room.updateTimer(ms);
+      return `${user.display_name} set the timer to ${Math.round(ms / 1000)}s`;
+    },
+  });
+
+  registerCommand("newword", {
+    description: "Moderators: start a round with an obfuscated word (rot13:... or b64:...)",
+    moderator: true,
+    redactArgs: true,
+    defaults: MODERATOR_DEFAULTS,
+    run(room, user, args) {
+      const word = decodeSecretWord(args.join(" "));
+      if (!word) return "Send the word obfuscated: !newword rot13:<word> or !newword b64:<word>";
+      // Same length as auto-run rounds, set on the admin page
+      room.startRound(word, room.autoRun.roundDurationMs);
+      return `${user.display_name} started a new round`;
+    },
+  });
+}
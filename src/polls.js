@@ -0,0 +1,71 @@
+import { normalize, parseAnswerList } from "./text.js";
+
+// ======================
+// Polls
+// ======================
+
+// A poll asks viewers a free-form question with 2 to MAX_OPTIONS options.
+// Viewers vote by typing an option's number ("1", "2", ...) or its text.
+// When the poll ends, its action is applied to the winning option:
+//   none:     nothing, the result is only shown and logged
+//   mode:     switch the game mode (every option must be a mode)
+//   category: rebuild the word queue with the winning word category
+// tieBreak decides what happens when several options share the most votes:
+//   random: pick one of them at random
+//   first:  pick the one listed first
+//   runoff: run a second poll between them (ties in the runoff are broken
+//           at random)
+// A poll without any votes has no winner and applies no action.
+export const POLL_ACTIONS = ["none", "mode", "category"];
+export const POLL_TIE_BREAKS = ["random", "first", "runoff"];
+
+const MAX_OPTIONS = 10;
+const MIN_DURATION_MS = 5_000;
+const MAX_DURATION_MS = 10 * 60_000;
+
+// Validate a poll request: { question, options, durationMs, action,
+// tieBreak }. options may be an array or a ";"-separated string. Without an
+// action, polls whose options are all game modes switch the mode (as the
+// original classic vs rapid vote did) and others do nothing. Returns
+// { poll } or { error }.
+export function parsePoll(input, modes) {
+  if (!input || typeof input !== "object") return { error: "Poll must be an object" };
+  const options = parseAnswerList(input.options).map((opt) => opt.slice(0, 60));
+  if (options.length < 2) return { error: "Poll must have at least two options" };
+  if (options.length > MAX_OPTIONS) return { error: `Poll can have at most ${MAX_OPTIONS} options` };
+  const keys = options.map((opt) => normalize(opt));
+  if (new Set(keys).size !== keys.length) return { error: "Poll options must be different" };
+  // Numbers are reserved for numbered voting
+  if (keys.some((key) => /^\d+$/.test(key))) return { error: "Poll options cannot be plain numbers" };
+  const allModes = keys.every((key) => modes.includes(key));
+  const action = input.action || (allModes ? "mode" : "none");
+  if (!POLL_ACTIONS.includes(action)) return { error: `'action' must be one of ${POLL_ACTIONS.join(", ")}` };
+  if (action === "mode" && !allModes) return { error: `Mode polls can only offer ${modes.join(", ")}` };
+  const tieBreak = input.tieBreak || "random";
+  if (!POLL_TIE_BREAKS.includes(tieBreak)) {
+    return { error: `'tieBreak' must be one of ${POLL_TIE_BREAKS.join(", ")}` };
+  }
+  const durationMs = input.durationMs == null || input.durationMs === "" ? 20_000 : Number(input.durationMs);
+  if (isNaN(durationMs) || durationMs < MIN_DURATION_MS || durationMs > MAX_DURATION_MS) {
+    return { error: `'durationMs' must be between ${MIN_DURATION_MS} and ${MAX_DURATION_MS}` };
+  }
+  const question = String(input.question ?? "").trim().slice(0, 200) || "Vote now";
+  // Mode options are stored as the mode names so they can be applied as-is
+  return { poll: { question, options: action === "mode" ? keys : options, durationMs, action, tieBreak } };
+}
+
+// Work out which option a chat message votes for: its number (1-based) or
+// its text, compared with normalize. Returns the option or null.
+export function matchVote(options, message) {
+  const text = normalize(message).trim();
+  if (!text) return null;
+  if (/^\d+$/.test(text)) return options[Number(text) - 1] ?? null;
+  return options.find((opt) => normalize(opt) === text) ?? null;
+}
+
+// The options with the most votes, in listed order, or [] when nobody voted.
+export function leadingOptions(options, tallies) {
+  const max = Math.max(...options.map((opt) => tallies[opt] || 0));
+  if (max <= 0) return [];
+  return options.filter((opt) => (tallies[opt] || 0) === max);
+}
@@ -0,0 +1,109 @@
+import fs from "fs";
+import path from "path";
+import { REPLAY_DIR } from "./config.js";
+
+// ======================
+// Session recordings
+// ======================
+
+// While recording is on, every connection of a room (one stream session)
+// is written to REPLAY_DIR/<roomId>-<start time>.jsonl, one JSON object
+// per line with t = milliseconds since the session started:
+//   { t: 0, type: "session", data: { roomId, source, startedAt } }
+//   { t, type: "chat" | "gift" | "like", data }    events from the live
+//   { t, type: "emit", event, data }               events sent to overlays
+// The incoming events use the replay format, so a recording can be played
+// back with /api/start { room: "sim:<file>" } (see event-sources.js).
+// Lines go through an append-mode write stream, so recording never blocks
+// the chat path on the disk; close() resolves once the buffered lines are
+// written, and the server waits for it on shutdown.
+
+export class SessionRecorder {
+  constructor(roomId, source) {
+    this.startedAt = Date.now();
+    const stamp = new Date(this.startedAt).toISOString().replace(/[:.]/g, "-");
+    this.name = `${roomId}-${stamp}.jsonl`;
+    this.file = path.join(REPLAY_DIR, this.name);
+    fs.mkdirSync(REPLAY_DIR, { recursive: true });
+    this.stream = fs.createWriteStream(this.file, { flags: "a" });
+    this.stream.on("error", (e) => {
+      console.error(`Recording ${this.name} stopped:`, e.message);
+      this.stream = null;
+    });
+    this.closing = null;
+    this.write({ t: 0, type: "session", data: { roomId, source, startedAt: this.startedAt } });
+  }
+
+  write(entry) {
+    this.stream?.write(JSON.stringify({ t: Date.now() - this.startedAt, ...entry }) + "\n");
+  }
+
+  // An event received from the live
+  recordEvent(type, data) {
+    this.write({ type, data });
+  }
+
+  // An event sent to the room's overlays
+  recordEmit(event, data) {
+    this.write({ type: "emit", event, data });
+  }
+
+  // Stop recording. Resolves once everything written so far is on disk
+  // (or the stream failed); calling it again returns the same promise.
+  close() {
+    if (!this.closing) {
+      const stream = this.stream;
+      this.stream = null;
+      this.closing = stream ? new Promise((resolve) => stream.end(() => resolve())) : Promise.resolve();
+    }
+    return this.closing;
+  }
+
+  // Close and delete the file, for sessions that never got going
+  async discard() {
+    await this.close();
+    await fs.promises.rm(this.file, { force: true }).catch(() => {});
+  }
+}
+
+// Match a room's recording names and capture the start time. Room ids only
+// use [a-z0-9_-], so they need no escaping.
+function recordingPattern(roomId) {
+  return new RegExp(`^${roomId}-(\\d{4}-\\d{2}-\\d{2})T(\\d{2})-(\\d{2})-(\\d{2})-(\\d{3})Z\\.jsonl$`);
+}
+
+// Recordings of a room, newest first: [{ name, size, startedAt, updatedAt }].
+export function listRecordings(roomId) {
+  let names;
+  try {
+    names = fs.readdirSync(REPLAY_DIR);
+  } catch (e) {
+    return [];
+  }
+  const pattern = recordingPattern(roomId);
+  const recordings = [];
+  for (const name of names) {
+    const m = pattern.exec(name);
+    if (!m) continue;
+    const stat = fs.statSync(path.join(REPLAY_DIR, name));
+    const startedAt = Date.parse(`${m[1]}T${m[2]}:${m[3]}:${m[4]}.${m[5]}Z`);
+    recordings.push({ name, size: stat.size, startedAt, updatedAt: stat.mtimeMs });
+  }
+  return recordings.sort((a, b) => b.startedAt - a.startedAt);
+}
+
+// Path of one of a room's recordings, or null if the name is not one.
+export function recordingFile(roomId, name) {
+  if (!recordingPattern(roomId).test(String(name || ""))) return null;
+  const file = path.join(REPLAY_DIR, name);
+  return fs.existsSync(file) ? file : null;
+}
+
+// Delete one of a room's recordings. Returns false if there is no such
+// recording.
+export function deleteRecording(roomId, name) {
+  const file = recordingFile(roomId, name);
+  if (!file) return false;
+  fs.rmSync(file, { force: true });
+  return true;
+}
@@ -0,0 +1,106 @@
+import { getStorage } from "./storage.js";
+
+// ======================
+// Round history
+// ======================
+
+// Log of finished rounds for one room, newest last. Each record holds the
+// word and its alternates, the mode, start/end times, how the round ended
+// (won, expired, skipped, reset or replaced by a new word), the winner and
+// time to solve, guess counts and the boosts applied. The log is persisted
+// as the room's "rounds" document when PERSIST_STATE is enabled and keeps
+// at most MAX_ROUNDS records.
+const MAX_ROUNDS = 5000;
+
+export class RoundHistory {
+  constructor(roomId) {
+    this.roomId = roomId;
+    this.rounds = [];
+    this.load();
+  }
+
+  load() {
+    this.rounds = getStorage().load(this.roomId, "rounds", Array.isArray) || [];
+  }
+
+  save() {
+    getStorage().save(this.roomId, "rounds", this.rounds);
+  }
+
+  // Id for the next record: one more than the last one
+  nextId() {
+    const last = this.rounds[this.rounds.length - 1];
+    return last ? last.id + 1 : 1;
+  }
+
+  add(record) {
+    this.rounds.push(record);
+    if (this.rounds.length > MAX_ROUNDS) this.rounds.splice(0, this.rounds.length - MAX_ROUNDS);
+    this.save();
+  }
+
+  // One page of records, newest first.
+  page(offset, limit) {
+    const newestFirst = this.rounds.slice().reverse();
+    return { total: newestFirst.length, offset, limit, rounds: newestFirst.slice(offset, offset + limit) };
+  }
+
+  clear() {
+    this.rounds = [];
+    this.save();
+  }
+}
+
+// Columns of the CSV export, in order
+const CSV_COLUMNS = [
+  "id",
+  "word",
+  "alternates",
+  "mode",
+  "startedAt",
+  "endedAt",
+  "endReason",
+  "winner",
+  "winningGuess",
+  "timeToSolveMs",
+  "points",
+  "guessCount",
+  "uniqueGuessers",
+  "boosts",
+];
+
+// Quote a CSV field when needed. Fields starting with a formula character
+// get a leading "'" so spreadsheets show them as text instead of running
+// them; words and nicknames come from viewers.
+function csvField(value) {
+  let text = value == null ? "" : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Export rounds as CSV, one row per round. Times are ISO strings, the
+// alternates are joined with ";" and boosts are summarised as
+// "type:count" (e.g. "add-time:2;reveal-letter:1").
+export function roundsToCsv(rounds) {
+  const rows = rounds.map((r) => {
+    const boostCounts = {};
+    for (const b of r.boosts) boostCounts[b.type] = (boostCounts[b.type] || 0) + 1;
+    return [
+      r.id,
+      r.word,
+      r.alternates.join(";"),
+      r.mode,
+      new Date(r.startedAt).toISOString(),
+      new Date(r.endedAt).toISOString(),
+      r.endReason,
+      r.winner?.nickname,
+      r.winner?.guess,
+      r.timeToSolveMs,
+      r.winner?.points,
+      r.guessCount,
+      r.uniqueGuessers,
+      Object.entries(boostCounts).map(([type, n]) => `${type}:${n}`).join(";"),
+    ].map(csvField).join(",");
+  });
+  return [CSV_COLUMNS.join(","), ...rows].join("\r\n") + "\r\n";
+}
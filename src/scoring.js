@@ -0,0 +1,79 @@
+// ======================
+// Scoring
+// ======================
+
+// Points for a win. A solve is worth
+//   (base + perLetter × letters + timeBonus × share of time left
+//    + hiddenBonus × share of letters still hidden) × mode multiplier
+// plus a streak bonus when the same viewer wins consecutive rounds
+// (streakBonus per extra win in a row, capped at maxStreakBonus). So long
+// words solved quickly, before boosts such as Money Gun reveal letters,
+// are worth the most. rankBy chooses whether the leaderboard uses points or
+// the plain win count (tiers have their own ladder, see tiers.js). Each
+// room has its own settings.
+export const DEFAULT_SCORING = {
+  rankBy: "points",
+  base: 100,
+  perLetter: 10,
+  timeBonus: 100,
+  hiddenBonus: 100,
+  modeMultipliers: { classic: 1, rapid: 1.5 },
+  streakBonus: 25,
+  maxStreakBonus: 100,
+};
+
+const NUMBER_FIELDS = ["base", "perLetter", "timeBonus", "hiddenBonus", "streakBonus", "maxStreakBonus"];
+
+// Deep copy of a scoring config.
+export function cloneScoring(scoring) {
+  return { ...scoring, modeMultipliers: { ...scoring.modeMultipliers } };
+}
+
+// Validate partial scoring settings and merge them over the current ones.
+// Returns { scoring } or { error }.
+export function parseScoring(input, current) {
+  if (!input || typeof input !== "object") return { error: "Scoring must be an object" };
+  const scoring = cloneScoring(current);
+  const given = (v) => v != null && v !== "";
+  if (given(input.rankBy)) {
+    if (input.rankBy !== "points" && input.rankBy !== "wins") return { error: "'rankBy' must be 'points' or 'wins'" };
+    scoring.rankBy = input.rankBy;
+  }
+  for (const key of NUMBER_FIELDS) {
+    if (!given(input[key])) continue;
+    const n = Number(input[key]);
+    if (isNaN(n) || n < 0) return { error: `Invalid '${key}'` };
+    scoring[key] = n;
+  }
+  if (input.modeMultipliers != null) {
+    if (typeof input.modeMultipliers !== "object") return { error: "'modeMultipliers' must be an object" };
+    for (const mode of Object.keys(DEFAULT_SCORING.modeMultipliers)) {
+      if (!given(input.modeMultipliers[mode])) continue;
+      const n = Number(input.modeMultipliers[mode]);
+      if (isNaN(n) || n < 0) return { error: `Invalid 'modeMultipliers.${mode}'` };
+      scoring.modeMultipliers[mode] = n;
+    }
+  }
+  return { scoring };
+}
+
+// Compute the points for a solve. round describes the moment of the win:
+// { letters, hiddenLetters, timeLeftMs, durationMs, mode, streak } where
+// streak counts this win (1 for a first win in a row). Returns the total
+// and its parts so overlays can show a breakdown.
+export function computePoints(scoring, round) {
+  const timeShare = round.durationMs > 0 ? Math.min(1, Math.max(0, round.timeLeftMs / round.durationMs)) : 0;
+  const hiddenShare = round.letters > 0 ? round.hiddenLetters / round.letters : 0;
+  const multiplier = scoring.modeMultipliers[round.mode] ?? 1;
+  const breakdown = {
+    base: scoring.base,
+    length: scoring.perLetter * round.letters,
+    time: Math.round(scoring.timeBonus * timeShare),
+    hidden: Math.round(scoring.hiddenBonus * hiddenShare),
+    multiplier,
+    streak: Math.min(scoring.maxStreakBonus, scoring.streakBonus * Math.max(0, round.streak - 1)),
+  };
+  const points =
+    Math.round((breakdown.base + breakdown.length + breakdown.time + breakdown.hidden) * multiplier) + breakdown.streak;
+  return { points, breakdown };
+}
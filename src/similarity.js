@@ -0,0 +1,83 @@
+// Similarity helpers for near-miss ("close") guesses. Both strings are
+// expected to be normalized already (see text.js), so case, accents and
+// punctuation do not count as differences.
+
+// Edit distance between two strings: the number of single-character
+// insertions, deletions, substitutions or swaps of two neighbouring
+// characters needed to turn a into b (optimal string alignment distance).
+export function editDistance(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+  // Three rolling rows: two rows back (for swaps), previous and current
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let d = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d = Math.min(d, prevPrev[j - 2] + 1);
+      }
+      cur.push(d);
+    }
+    prevPrev = prev;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+// Letter overlap between two strings from 0 to 1 (Dice coefficient over
+// the letters used, ignoring order and spaces). Anagrams score 1.
+export function letterOverlap(a, b) {
+  const letters = (s) => s.replace(/\s+/g, "");
+  const la = letters(a);
+  const lb = letters(b);
+  if (!la.length || !lb.length) return 0;
+  const counts = new Map();
+  for (const ch of la) counts.set(ch, (counts.get(ch) || 0) + 1);
+  let common = 0;
+  for (const ch of lb) {
+    const n = counts.get(ch) || 0;
+    if (n > 0) {
+      common++;
+      counts.set(ch, n - 1);
+    }
+  }
+  return (2 * common) / (la.length + lb.length);
+}
+
+// Compare a guess with the secret. Returns the edit distance, the edit
+// similarity (1 - distance / longer length) and the letter overlap.
+export function compareGuess(guess, secret) {
+  const distance = editDistance(guess, secret);
+  const longest = Math.max(guess.length, secret.length) || 1;
+  return {
+    distance,
+    similarity: 1 - distance / longest,
+    overlap: letterOverlap(guess, secret),
+  };
+}
+
+// Decide whether a (wrong) guess is close to the secret under the given
+// tolerance settings: { enabled, maxDistance, minSimilarity, minOverlap }.
+// A guess is close when it is within maxDistance edits and at least
+// minSimilarity similar, or when its letters overlap the secret's by at
+// least minOverlap (0 turns the overlap check off). Exact matches are not
+// "close"; the caller handles those.
+export function isCloseGuess(guess, secret, settings) {
+  if (!settings?.enabled || !guess || !secret || guess === secret) return false;
+  const { distance, similarity, overlap } = compareGuess(guess, secret);
+  if (distance <= settings.maxDistance && similarity >= settings.minSimilarity) return true;
+  return settings.minOverlap > 0 && overlap >= settings.minOverlap;
+}
+
+// Decide whether a close guess is close enough to win under lenient
+// matching. Only the edit-distance check counts: letter overlap alone
+// would let anagrams such as "god" for "dog" win.
+export function isLenientMatch(guess, secret, settings) {
+  if (!settings?.enabled || !guess || !secret || guess === secret) return false;
+  const { distance, similarity } = compareGuess(guess, secret);
+  return distance <= settings.maxDistance && similarity >= settings.minSimilarity;
+}
@@ -0,0 +1,351 @@
+import fs from "fs";
+import path from "path";
+import { PERSIST_STATE, DATA_DIR, DEFAULT_ROOM_ID, STORAGE_BACKEND, SQLITE_FILE } from "./config.js";
+
+// ======================
+// Storage
+// ======================
+
+// All persisted data goes through one storage backend as JSON documents
+// identified by a room id and a name ("users", "gifts", "rounds", ...);
+// documents shared by all rooms (the word library) use a null room id.
+// Backends:
+//   memory: nothing is written (PERSIST_STATE is not "true")
+//   file:   one JSON file per document under DATA_DIR, written atomically
+//           (temp file + rename) with rotating backups
+//   sqlite: a single SQLite database (SQLITE_FILE) via better-sqlite3
+// Saves are debounced: save() only marks the document dirty and it is
+// written FLUSH_DELAY_MS later with its latest contents, so a burst of wins
+// costs one write. close() waits for running writes and then writes
+// everything still pending before shutdown.
+// load() takes an optional validate(data) callback; data that fails it is
+// treated like a corrupt file.
+
+const FLUSH_DELAY_MS = 1000;
+const MAX_BACKUPS = 3;
+const BACKUP_INTERVAL_MS = 10 * 60_000;
+
+// Pending writes and the debounce timer, shared by the writing backends
+class DebouncedStorage {
+  constructor() {
+    this.dirty = new Map(); // key -> { roomId, name, value }
+    this.timer = null;
+    // Flushes run one after another on this chain
+    this.flushing = Promise.resolve();
+  }
+
+  key(roomId, name) {
+    return `${roomId ?? ""}/${name}`;
+  }
+
+  save(roomId, name, value) {
+    this.dirty.set(this.key(roomId, name), { roomId, name, value });
+    if (!this.timer) this.timer = setTimeout(() => this.flush(), FLUSH_DELAY_MS);
+  }
+
+  // Write every dirty document. Documents saved again while a flush runs
+  // are picked up by the next one.
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.flushing = this.flushing.then(() => this.writeDirty());
+    return this.flushing;
+  }
+
+  async writeDirty() {
+    const docs = [...this.dirty.values()];
+    this.dirty.clear();
+    for (const doc of docs) {
+      try {
+        await this.write(doc.roomId, doc.name, JSON.stringify(doc.value, null, 2));
+      } catch (e) {
+        console.error(`Storage: failed to save ${this.key(doc.roomId, doc.name)}:`, e.message);
+        // keep it for the next flush unless it was saved again meanwhile
+        const key = this.key(doc.roomId, doc.name);
+        if (!this.dirty.has(key)) this.dirty.set(key, doc);
+      }
+    }
+    if (this.dirty.size && !this.timer) this.timer = setTimeout(() => this.flush(), FLUSH_DELAY_MS);
+  }
+
+  // Write everything pending right away (used on shutdown).
+  flushSync() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    for (const doc of this.dirty.values()) {
+      try {
+        this.writeSync(doc.roomId, doc.name, JSON.stringify(doc.value, null, 2));
+      } catch (e) {
+        console.error(`Storage: failed to save ${this.key(doc.roomId, doc.name)}:`, e.message);
+      }
+    }
+    this.dirty.clear();
+  }
+
+  // Let running flushes finish (their documents are no longer marked
+  // dirty), then write whatever is left.
+  async settle() {
+    let flushing;
+    while (flushing !== this.flushing) {
+      flushing = this.flushing;
+      await flushing;
+    }
+    this.flushSync();
+  }
+
+  async close() {
+    await this.settle();
+  }
+
+  // Latest unsaved value of a document, if any
+  pending(roomId, name) {
+    return this.dirty.get(this.key(roomId, name))?.value;
+  }
+}
+
+// Keeps nothing; used when persistence is off.
+class MemoryStorage {
+  load() {
+    return null;
+  }
+
+  save() {}
+
+  listRooms() {
+    return [];
+  }
+
+  async flush() {}
+
+  async close() {}
+}
+
+// One JSON file per document. Global documents and the default room live
+// directly in DATA_DIR (users.json, words.json, ...) as they did before
+// rooms existed; other rooms use DATA_DIR/rooms/<roomId>/<name>.json.
+class FileStorage extends DebouncedStorage {
+  constructor(dataDir) {
+    super();
+    this.dataDir = dataDir;
+    this.roomsDir = path.join(dataDir, "rooms");
+    this.lastBackupAt = new Map();
+    this.tmpCounter = 0;
+  }
+
+  // Make sure the data directory exists and is writable before starting.
+  init() {
+    fs.mkdirSync(this.dataDir, { recursive: true });
+    fs.accessSync(this.dataDir, fs.constants.W_OK);
+  }
+
+  file(roomId, name) {
+    if (roomId == null || roomId === DEFAULT_ROOM_ID) return path.join(this.dataDir, `${name}.json`);
+    return path.join(this.roomsDir, roomId, `${name}.json`);
+  }
+
+  backupFile(file, n) {
+    return `${file}.bak${n}`;
+  }
+
+  tmpFile(file) {
+    return `${file}.${process.pid}.${++this.tmpCounter}.tmp`;
+  }
+
+  // Read and validate one file. Returns { data } or { error }; a missing
+  // file is { missing: true }.
+  readFile(file, validate) {
+    let text;
+    try {
+      text = fs.readFileSync(file, "utf8");
+    } catch (e) {
+      if (e.code === "ENOENT") return { missing: true };
+      return { error: e.message };
+    }
+    try {
+      const data = JSON.parse(text);
+      if (validate && !validate(data)) return { error: "unexpected content" };
+      return { data };
+    } catch (e) {
+      return { error: e.message };
+    }
+  }
+
+  // Load a document. If the file is corrupt, it is moved aside and the
+  // newest valid backup is restored instead.
+  load(roomId, name, validate) {
+    const pending = this.pending(roomId, name);
+    if (pending !== undefined) return pending;
+    const file = this.file(roomId, name);
+    const main = this.readFile(file, validate);
+    if (main.data !== undefined) return main.data;
+    if (main.missing && !fs.existsSync(this.backupFile(file, 1))) return null;
+    if (main.error) {
+      console.warn(`Storage: ${file} is unreadable (${main.error}), trying backups`);
+      try {
+        fs.renameSync(file, `${file}.corrupt-${Date.now()}`);
+      } catch (e) {
+        // leave it in place; the next save replaces it
+      }
+    }
+    for (let n = 1; n <= MAX_BACKUPS; n++) {
+      const backup = this.readFile(this.backupFile(file, n), validate);
+      if (backup.data === undefined) continue;
+      console.warn(`Storage: restored ${file} from backup ${n}`);
+      this.save(roomId, name, backup.data);
+      return backup.data;
+    }
+    if (main.error) console.warn(`Storage: no usable backup for ${file}, starting empty`);
+    return null;
+  }
+
+  // Shift the backups (bak1 -> bak2 ...) and copy the current file to
+  // bak1, at most once per BACKUP_INTERVAL_MS for each file.
+  async rotateBackups(file) {
+    const last = this.lastBackupAt.get(file) || 0;
+    if (Date.now() - last < BACKUP_INTERVAL_MS) return;
+    if (!fs.existsSync(file)) return;
+    this.lastBackupAt.set(file, Date.now());
+    for (let n = MAX_BACKUPS - 1; n >= 1; n--) {
+      await fs.promises.rename(this.backupFile(file, n), this.backupFile(file, n + 1)).catch(() => {});
+    }
+    await fs.promises.copyFile(file, this.backupFile(file, 1));
+  }
+
+  async write(roomId, name, json) {
+    const file = this.file(roomId, name);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await this.rotateBackups(file);
+    const tmp = this.tmpFile(file);
+    try {
+      const handle = await fs.promises.open(tmp, "w");
+      try {
+        await handle.writeFile(json);
+        await handle.sync();
+      } finally {
+        await handle.close();
+      }
+      await fs.promises.rename(tmp, file);
+    } catch (e) {
+      await fs.promises.unlink(tmp).catch(() => {});
+      throw e;
+    }
+  }
+
+  writeSync(roomId, name, json) {
+    const file = this.file(roomId, name);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = this.tmpFile(file);
+    const fd = fs.openSync(tmp, "w");
+    try {
+      fs.writeFileSync(fd, json);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tmp, file);
+  }
+
+  // Rooms other than the default one that have data on disk
+  listRooms() {
+    try {
+      return fs
+        .readdirSync(this.roomsDir, { withFileTypes: true })
+        .filter((entry) => entry.isDirectory())
+        .map((entry) => entry.name);
+    } catch (e) {
+      return [];
+    }
+  }
+}
+
+// All documents in one SQLite table. SQLite commits are atomic, so no
+// temp files or backups are needed; corrupt JSON in a row is skipped.
+class SqliteStorage extends DebouncedStorage {
+  constructor(Database, file) {
+    super();
+    this.file = file;
+    this.Database = Database;
+  }
+
+  init() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    this.db = new this.Database(this.file);
+    this.db.pragma("journal_mode = WAL");
+    this.db.exec(`CREATE TABLE IF NOT EXISTS documents (
+      room TEXT NOT NULL,
+      name TEXT NOT NULL,
+      value TEXT NOT NULL,
+      updated_at INTEGER NOT NULL,
+      PRIMARY KEY (room, name)
+    )`);
+    const check = this.db.pragma("quick_check", { simple: true });
+    if (check !== "ok") throw new Error(`SQLite database ${this.file} failed its integrity check: ${check}`);
+    this.selectStmt = this.db.prepare("SELECT value FROM documents WHERE room = ? AND name = ?");
+    this.upsertStmt = this.db.prepare(
+      `INSERT INTO documents (room, name, value, updated_at) VALUES (?, ?, ?, ?)
+       ON CONFLICT (room, name) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at`,
+    );
+    this.roomsStmt = this.db.prepare("SELECT DISTINCT room FROM documents WHERE room NOT IN ('', ?)");
+  }
+
+  load(roomId, name, validate) {
+    const pending = this.pending(roomId, name);
+    if (pending !== undefined) return pending;
+    const row = this.selectStmt.get(roomId ?? "", name);
+    if (!row) return null;
+    try {
+      const data = JSON.parse(row.value);
+      if (!validate || validate(data)) return data;
+    } catch (e) {
+      // fall through
+    }
+    console.warn(`Storage: stored ${this.key(roomId, name)} is invalid, starting empty`);
+    return null;
+  }
+
+  async write(roomId, name, json) {
+    this.writeSync(roomId, name, json);
+  }
+
+  writeSync(roomId, name, json) {
+    this.upsertStmt.run(roomId ?? "", name, json, Date.now());
+  }
+
+  listRooms() {
+    return this.roomsStmt.all(DEFAULT_ROOM_ID).map((row) => row.room);
+  }
+
+  async close() {
+    await this.settle();
+    this.db.close();
+  }
+}
+
+let storage = new MemoryStorage();
+
+// Pick and open the configured backend. Called once at startup; throws if
+// the backend cannot be used so the server fails fast instead of losing
+// data later.
+export async function initStorage() {
+  if (!PERSIST_STATE) {
+    storage = new MemoryStorage();
+  } else if (STORAGE_BACKEND === "sqlite") {
+    let Database;
+    try {
+      Database = (await import("better-sqlite3")).default;
+    } catch (e) {
+      throw new Error("STORAGE_BACKEND=sqlite requires the better-sqlite3 package (npm install better-sqlite3)");
+    }
+    storage = new SqliteStorage(Database, SQLITE_FILE);
+  } else if (STORAGE_BACKEND === "file") {
+    storage = new FileStorage(DATA_DIR);
+  } else {
+    throw new Error(`Unknown STORAGE_BACKEND '${STORAGE_BACKEND}' (expected "file" or "sqlite")`);
+  }
+  storage.init?.();
+  return storage;
+}
+
+export function getStorage() {
+  return storage;
+}
@@ -0,0 +1,35 @@
+// Utility: normalize text (remove accents/punct, lowercase, trim)
+export function normalize(txt) {
+  if (!txt) return "";
+  const stripped = txt
+    .normalize("NFD")
+    .replace(/\p{M}/gu, "") // diacritics
+    .replace(/[^\p{L}\p{N}\s]/gu, "") // punctuation (keep letters/numbers/spaces)
+    .toLowerCase()
+    .trim();
+  return stripped;
+}
+
+// Articles that may be dropped when comparing answers ("the lion king"
+// matches "lion king").
+const ARTICLES = new Set(["the", "a", "an"]);
+
+// Comparison key for an answer or guess. Normalizes the text and collapses
+// runs of whitespace. With ignoreArticles, "the", "a" and "an" are dropped
+// (unless the answer is nothing but articles); with ignoreSpaces, spaces
+// are removed entirely so "ice cream" matches "icecream".
+export function answerKey(txt, { ignoreArticles = false, ignoreSpaces = false } = {}) {
+  let words = normalize(txt).split(/\s+/).filter(Boolean);
+  if (ignoreArticles) {
+    const kept = words.filter((w) => !ARTICLES.has(w));
+    if (kept.length) words = kept;
+  }
+  return words.join(ignoreSpaces ? "" : " ");
+}
+
+// Parse a list of alternate answers: an array, or a string with one answer
+// per ";" or line. Empty entries are dropped.
+export function parseAnswerList(input) {
+  const items = Array.isArray(input) ? input : String(input ?? "").split(/[;\n]/);
+  return items.map((a) => String(a ?? "").trim()).filter((a) => normalize(a));
+}
@@ -0,0 +1,217 @@
+import { getStorage } from "./storage.js";
+
+// ======================
+// Overlay themes
+// ======================
+
+// A theme sets how the overlay looks: its colors (CSS color variables), a
+// font, how the letters of the masked word are drawn and where the
+// movable widgets sit. Themes are { name, colors, font, fontScale, tiles,
+// layout } where layout maps each of LAYOUT_WIDGETS to a slot around the
+// main card ("center" is inside it). The built-in themes cannot be
+// changed; custom ones are shared by all rooms and persisted as the global
+// "themes" document. Each room picks its theme and the widgets to hide
+// (see GameRoom.setOverlaySettings); an overlay can pin a theme with
+// /overlay?theme=<name>.
+export const THEME_COLORS = ["bg", "card", "text", "muted", "accent", "ok", "warn", "err"];
+// Font families are picked by name; the stacks live in app.css
+export const THEME_FONTS = ["system", "rounded", "mono", "serif", "condensed"];
+export const TILE_STYLES = ["text", "boxes", "underline", "pills"];
+export const LAYOUT_SLOTS = ["top", "left", "center", "right", "bottom"];
+export const LAYOUT_WIDGETS = ["timer", "poll", "leaderboard", "chat"];
+// Widgets a room (or ?hide=) can turn off
+export const OVERLAY_WIDGETS = [
+  "title",
+  "status",
+  "mask",
+  "timer",
+  "nextRound",
+  "poll",
+  "winner",
+  "hints",
+  "commands",
+  "leaderboard",
+  "chat",
+];
+// Widgets that can be added to OBS on their own, as /overlay/<widget>
+export const STANDALONE_WIDGETS = OVERLAY_WIDGETS.filter((w) => w !== "title");
+
+export const DEFAULT_THEME_NAME = "default";
+
+const DEFAULT_LAYOUT = { timer: "center", poll: "center", leaderboard: "center", chat: "center" };
+
+const BUILTIN_THEMES = [
+  {
+    name: "default",
+    colors: {
+      bg: "#0b0b0d",
+      card: "#15151a",
+      text: "#f2f2f7",
+      muted: "#8b8b95",
+      accent: "#6ae3ff",
+      ok: "#8fffa0",
+      warn: "#ffdf6a",
+      err: "#ff6a6a",
+    },
+    font: "system",
+    fontScale: 1,
+    tiles: "text",
+    layout: DEFAULT_LAYOUT,
+  },
+  {
+    name: "neon",
+    colors: {
+      bg: "#05010d",
+      card: "#120726",
+      text: "#fdf6ff",
+      muted: "#a48bc4",
+      accent: "#ff3df5",
+      ok: "#39ff88",
+      warn: "#fff03d",
+      err: "#ff3d6e",
+    },
+    font: "mono",
+    fontScale: 1.1,
+    tiles: "boxes",
+    layout: { timer: "top", poll: "center", leaderboard: "right", chat: "left" },
+  },
+  {
+    name: "minimal",
+    colors: {
+      bg: "transparent",
+      card: "transparent",
+      text: "#ffffff",
+      muted: "#d0d0d8",
+      accent: "#ffffff",
+      ok: "#8fffa0",
+      warn: "#ffdf6a",
+      err: "#ff6a6a",
+    },
+    font: "rounded",
+    fontScale: 1.2,
+    tiles: "underline",
+    layout: { timer: "top", poll: "center", leaderboard: "bottom", chat: "bottom" },
+  },
+  {
+    name: "light",
+    colors: {
+      bg: "#eef0f5",
+      card: "#ffffff",
+      text: "#1a1a24",
+      muted: "#6a6a78",
+      accent: "#2563eb",
+      ok: "#15803d",
+      warn: "#b45309",
+      err: "#dc2626",
+    },
+    font: "system",
+    fontScale: 1,
+    tiles: "pills",
+    layout: { timer: "center", poll: "center", leaderboard: "right", chat: "center" },
+  },
+];
+
+const THEME_NAME_PATTERN = /^[a-z0-9_-]{1,32}$/;
+// Colors end up in CSS variables, so only hex and named colors are allowed
+const COLOR_PATTERN = /^(#[0-9a-f]{3,8}|[a-z]{3,20})$/i;
+const MAX_CUSTOM_THEMES = 50;
+
+let customThemes = {};
+
+export function loadThemes() {
+  const data = getStorage().load(null, "themes", (d) => d !== null && typeof d === "object" && !Array.isArray(d));
+  customThemes = {};
+  for (const theme of Object.values(data || {})) {
+    const parsed = parseTheme(theme);
+    if (parsed.theme && !isBuiltinTheme(parsed.theme.name)) customThemes[parsed.theme.name] = parsed.theme;
+  }
+}
+
+function saveThemes() {
+  getStorage().save(null, "themes", customThemes);
+}
+
+export function isBuiltinTheme(name) {
+  return BUILTIN_THEMES.some((t) => t.name === name);
+}
+
+// Every theme, built-in ones first, with a builtin flag.
+export function listThemes() {
+  return [
+    ...BUILTIN_THEMES.map((t) => ({ ...t, builtin: true })),
+    ...Object.values(customThemes).map((t) => ({ ...t, builtin: false })),
+  ];
+}
+
+// A theme by name, or null.
+export function getTheme(name) {
+  return BUILTIN_THEMES.find((t) => t.name === name) || customThemes[name] || null;
+}
+
+// Validate a theme. Missing colors, font, tiles and layout entries are
+// taken from the default theme, so a theme can be as small as
+// { name, colors: { accent } }. Returns { theme } or { error }.
+export function parseTheme(input) {
+  if (!input || typeof input !== "object") return { error: "Theme must be an object" };
+  const base = BUILTIN_THEMES[0];
+  const name = String(input.name ?? "").trim().toLowerCase();
+  if (!THEME_NAME_PATTERN.test(name)) return { error: "'name' must be 1 to 32 letters, digits, - or _" };
+  const colors = { ...base.colors };
+  if (input.colors != null) {
+    if (typeof input.colors !== "object") return { error: "'colors' must be an object" };
+    for (const [key, value] of Object.entries(input.colors)) {
+      if (!THEME_COLORS.includes(key)) return { error: `Unknown color '${key}'` };
+      const color = String(value ?? "").trim();
+      if (!COLOR_PATTERN.test(color)) return { error: `Invalid color for '${key}'` };
+      colors[key] = color;
+    }
+  }
+  const font = input.font ?? base.font;
+  if (!THEME_FONTS.includes(font)) return { error: `'font' must be one of ${THEME_FONTS.join(", ")}` };
+  const fontScale = input.fontScale == null || input.fontScale === "" ? base.fontScale : Number(input.fontScale);
+  if (isNaN(fontScale) || fontScale < 0.5 || fontScale > 2) return { error: "'fontScale' must be between 0.5 and 2" };
+  const tiles = input.tiles ?? base.tiles;
+  if (!TILE_STYLES.includes(tiles)) return { error: `'tiles' must be one of ${TILE_STYLES.join(", ")}` };
+  const layout = { ...DEFAULT_LAYOUT };
+  if (input.layout != null) {
+    if (typeof input.layout !== "object") return { error: "'layout' must be an object" };
+    for (const [widget, slot] of Object.entries(input.layout)) {
+      if (!LAYOUT_WIDGETS.includes(widget)) return { error: `Widget '${widget}' cannot be moved` };
+      if (!LAYOUT_SLOTS.includes(slot)) return { error: `'layout.${widget}' must be one of ${LAYOUT_SLOTS.join(", ")}` };
+      layout[widget] = slot;
+    }
+  }
+  return { theme: { name, colors, font, fontScale, tiles, layout } };
+}
+
+// Create or replace a custom theme. Returns { theme } or { error }.
+export function saveTheme(input) {
+  const parsed = parseTheme(input);
+  if (parsed.error) return parsed;
+  const { theme } = parsed;
+  if (isBuiltinTheme(theme.name)) return { error: `'${theme.name}' is a built-in theme; save it under another name` };
+  if (!customThemes[theme.name] && Object.keys(customThemes).length >= MAX_CUSTOM_THEMES) {
+    return { error: `At most ${MAX_CUSTOM_THEMES} custom themes are allowed` };
+  }
+  customThemes[theme.name] = theme;
+  saveThemes();
+  return { theme };
+}
+
+// Delete a custom theme. Returns false if there is no such custom theme.
+export function deleteTheme(name) {
+  if (!customThemes[name]) return false;
+  delete customThemes[name];
+  saveThemes();
+  return true;
+}
+
+// Parse a widget list (an array or a comma-separated string) into known
+// widget names. Returns { widgets } or { error }.
+export function parseWidgetList(input) {
+  const list = Array.isArray(input) ? input : String(input ?? "").split(",");
+  const widgets = [...new Set(list.map((w) => String(w).trim()).filter(Boolean))];
+  const unknown = widgets.find((w) => !OVERLAY_WIDGETS.includes(w));
+  if (unknown) return { error: `Unknown widget '${unknown}'` };
+  return { widgets };
+}
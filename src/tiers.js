@@ -0,0 +1,81 @@
+// ======================
+// Tier ladder
+// ======================
+
+// Each room has a ladder of tiers that viewers climb as they win. The
+// ladder is { metric, tiers } where metric is "points" or "wins" and every
+// tier is { id, name, threshold, color, badge?, badgeUrl? }: a viewer is in
+// the highest tier whose threshold they have reached, or "none" below the
+// first one. badge is a short text or emoji shown before the name, badgeUrl
+// an image used instead. Tiers are sorted by threshold when saved.
+export const DEFAULT_TIER_LADDER = {
+  metric: "points",
+  tiers: [
+    { id: "red", name: "Red", threshold: 1, color: "#ff6a6a" },
+    { id: "gold", name: "Gold", threshold: 500, color: "#ffd76a" },
+    { id: "platinum", name: "Platinum", threshold: 1500, color: "#c0c0ff" },
+  ],
+};
+
+const MAX_TIERS = 20;
+// Colors are sent to overlays as inline styles, so only plain hex and
+// named colors are accepted.
+const COLOR_PATTERN = /^(#[0-9a-f]{3,8}|[a-z]{3,20})$/i;
+const BADGE_URL_PATTERN = /^(https?:\/\/|\/)[^\s"'()<>]+$/i;
+
+// Make a tier id from its name ("Diamond Hands" -> "diamond-hands").
+function tierIdFromName(name) {
+  return name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+// Validate a ladder. Returns { ladder } with the tiers cleaned up and
+// sorted, or { error }.
+export function parseTierLadder(input) {
+  if (!input || typeof input !== "object") return { error: "Tier ladder must be an object" };
+  const metric = input.metric ?? "points";
+  if (metric !== "points" && metric !== "wins") return { error: "'metric' must be 'points' or 'wins'" };
+  if (!Array.isArray(input.tiers)) return { error: "'tiers' must be an array" };
+  if (input.tiers.length > MAX_TIERS) return { error: `At most ${MAX_TIERS} tiers are allowed` };
+  const tiers = [];
+  const ids = new Set();
+  for (const t of input.tiers) {
+    if (!t || typeof t !== "object") return { error: "Invalid tier entry" };
+    const name = String(t.name ?? "").trim();
+    if (!name) return { error: "Each tier needs a 'name'" };
+    const id = String(t.id ?? "").trim() || tierIdFromName(name);
+    if (!id || id === "none") return { error: `Invalid id for tier '${name}'` };
+    if (ids.has(id)) return { error: `Duplicate tier id '${id}'` };
+    ids.add(id);
+    const threshold = Number(t.threshold);
+    if (t.threshold == null || t.threshold === "" || isNaN(threshold) || threshold < 0) {
+      return { error: `Invalid threshold for tier '${name}'` };
+    }
+    const color = String(t.color ?? "").trim();
+    if (!COLOR_PATTERN.test(color)) return { error: `Invalid color for tier '${name}'` };
+    const tier = { id, name, threshold, color };
+    const badge = String(t.badge ?? "").trim();
+    if (badge) tier.badge = Array.from(badge).slice(0, 8).join("");
+    const badgeUrl = String(t.badgeUrl ?? "").trim();
+    if (badgeUrl) {
+      if (!BADGE_URL_PATTERN.test(badgeUrl)) return { error: `Invalid badge URL for tier '${name}'` };
+      tier.badgeUrl = badgeUrl;
+    }
+    tiers.push(tier);
+  }
+  tiers.sort((a, b) => a.threshold - b.threshold);
+  return { ladder: { metric, tiers } };
+}
+
+// Compute a user's tier id from the ladder: the highest tier whose
+// threshold the user's points (or wins) have reached, or "none".
+export function computeTier(user, ladder) {
+  const value = ladder.metric === "wins" ? user.wins_total || 0 : user.points_total || 0;
+  let tier = "none";
+  for (const t of ladder.tiers) {
+    if (value >= t.threshold) tier = t.id;
+  }
+  return tier;
+}
@@ -0,0 +1,168 @@
+import path from "path";
+import { normalize, parseAnswerList } from "./text.js";
+import { getStorage } from "./storage.js";
+
+// ======================
+// Word library
+// ======================
+
+// The word library holds named lists (e.g. "animals", "movies") shared by
+// all rooms. Each list is { name, words } where every word is
+// { word, category?, difficulty?, alternates? }; alternates are other
+// answers that also win the round. Lists are persisted as the global
+// "words" document when PERSIST_STATE is enabled. The per-room word queue
+// that pulls from these lists lives in GameRoom. Lists are kept in a Map
+// keyed by name so names like "constructor" never hit Object.prototype.
+let wordLists = new Map();
+
+export function loadWordLists() {
+  const data = getStorage().load(null, "words", (d) => d !== null && typeof d === "object" && !Array.isArray(d));
+  wordLists = new Map(Object.entries(data || {}));
+}
+
+function saveWordLists() {
+  getStorage().save(null, "words", Object.fromEntries(wordLists));
+}
+
+// Clean up a single word entry. Accepts a plain string or an object with a
+// word and optional category/difficulty/alternates (an array or a
+// ";"-separated string). Returns null for empty words.
+export function toWordEntry(item) {
+  const src = typeof item === "string" ? { word: item } : item || {};
+  const word = String(src.word ?? "").trim();
+  if (!word || !normalize(word)) return null;
+  const entry = { word };
+  const category = String(src.category ?? "").trim();
+  const difficulty = String(src.difficulty ?? "").trim();
+  if (category) entry.category = category;
+  if (difficulty) entry.difficulty = difficulty;
+  const alternates = parseAnswerList(src.alternates);
+  if (alternates.length) entry.alternates = alternates;
+  return entry;
+}
+
+// Split one CSV line into fields. Supports double-quoted fields containing
+// commas and "" escapes.
+function parseCsvLine(line) {
+  const fields = [];
+  let cur = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        cur += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cur += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      fields.push(cur);
+      cur = "";
+    } else {
+      cur += ch;
+    }
+  }
+  fields.push(cur);
+  return fields.map((f) => f.trim());
+}
+
+// Parse an imported word file. Formats:
+//   text: one word/phrase per line; blank lines and "#" comments are skipped
+//   csv:  word,category,difficulty,alternates per line (header row
+//         optional); alternates are separated by ";"
+//   json: an array of strings or { word, category, difficulty, alternates }
+//         objects, or an object with such an array under "words"
+// Returns an array of word entries; throws on malformed JSON.
+export function parseWordFile(content, format) {
+  const text = String(content || "");
+  const lines = text.split(/\r?\n/).map((l) => l.trim()).filter((l) => l && !l.startsWith("#"));
+  let items;
+  if (format === "json") {
+    const data = JSON.parse(text);
+    items = Array.isArray(data) ? data : data?.words;
+    if (!Array.isArray(items)) throw new Error("JSON must be an array of words");
+  } else if (format === "csv") {
+    const rows = lines.map(parseCsvLine);
+    const header = rows[0]?.map((h) => h.toLowerCase());
+    let cols = { word: 0, category: 1, difficulty: 2, alternates: 3 };
+    if (header && header.includes("word")) {
+      cols = {
+        word: header.indexOf("word"),
+        category: header.indexOf("category"),
+        difficulty: header.indexOf("difficulty"),
+        alternates: header.indexOf("alternates"),
+      };
+      rows.shift();
+    }
+    items = rows.map((r) => ({
+      word: r[cols.word],
+      category: r[cols.category],
+      difficulty: r[cols.difficulty],
+      alternates: r[cols.alternates],
+    }));
+  } else {
+    items = lines;
+  }
+  return items.map(toWordEntry).filter(Boolean);
+}
+
+// Pick the import format from an explicit format or the file name.
+export function detectWordFormat(format, filename) {
+  if (["text", "csv", "json"].includes(format)) return format;
+  const ext = path.extname(String(filename || "")).toLowerCase();
+  if (ext === ".csv") return "csv";
+  if (ext === ".json") return "json";
+  return "text";
+}
+
+// Summary of a list for the admin UI: name, size and categories.
+export function summarizeWordList(list) {
+  const categories = [...new Set(list.words.map((w) => w.category).filter(Boolean))];
+  return { name: list.name, count: list.words.length, categories };
+}
+
+// Summaries of all lists.
+export function listWordLists() {
+  return [...wordLists.values()].map(summarizeWordList);
+}
+
+// A single list including its words, or undefined.
+export function getWordList(name) {
+  return wordLists.get(name);
+}
+
+// Create or replace a list with the given word entries.
+export function setWordList(name, words) {
+  const list = { name, words: words.map(toWordEntry).filter(Boolean) };
+  wordLists.set(name, list);
+  saveWordLists();
+  return list;
+}
+
+// Append entries to a list, creating it if needed.
+export function addWords(name, words) {
+  const list = wordLists.get(name) || { name, words: [] };
+  list.words.push(...words.map(toWordEntry).filter(Boolean));
+  wordLists.set(name, list);
+  saveWordLists();
+  return list;
+}
+
+// Remove every entry matching word (compared with normalize) from a list.
+export function removeWord(name, word) {
+  const list = wordLists.get(name);
+  const target = normalize(word);
+  list.words = list.words.filter((w) => normalize(w.word) !== target);
+  saveWordLists();
+  return list;
+}
+
+export function deleteWordList(name) {
+  wordLists.delete(name);
+  saveWordLists();
+}
@@ -0,0 +1,64 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { io as connect } from "socket.io-client";
+import { startServer, request } from "./helpers.js";
+
+// The server reads these when it is imported
+process.env.ADMIN_PASSWORD = "secret-password";
+process.env.OVERLAY_TOKEN = "overlay-token";
+
+let srv;
+const bearer = (token) => ({ authorization: `Bearer ${token}` });
+
+before(async () => {
+  srv = await startServer();
+});
+
+after(async () => {
+  await srv.close();
+});
+
+test("the API needs a token once a password is set", async () => {
+  assert.equal((await request(srv.baseUrl, "/api/state")).status, 401);
+  assert.equal((await request(srv.baseUrl, "/api/login", { password: "wrong" })).status, 401);
+  const login = await request(srv.baseUrl, "/api/login", { password: "secret-password" });
+  assert.equal(login.status, 200);
+  const { status, body } = await request(srv.baseUrl, "/api/state", undefined, bearer(login.body.token));
+  assert.equal(status, 200);
+  assert.ok(body.users, "admins get the user records");
+  await request(srv.baseUrl, "/api/logout", {}, bearer(login.body.token));
+  assert.equal((await request(srv.baseUrl, "/api/state", undefined, bearer(login.body.token))).status, 401);
+});
+
+test("the overlay token is read-only", async () => {
+  const headers = bearer("overlay-token");
+  const state = await request(srv.baseUrl, "/api/state", undefined, headers);
+  assert.equal(state.status, 200);
+  assert.equal(state.body.users, undefined);
+  assert.equal((await request(srv.baseUrl, "/api/leaderboard", undefined, headers)).status, 200);
+  assert.equal((await request(srv.baseUrl, "/api/set-word", { word: "x" }, headers)).status, 401);
+  assert.equal((await request(srv.baseUrl, "/api/scoring", undefined, headers)).status, 401);
+  assert.equal((await request(srv.baseUrl, "/api/themes/neon", undefined, headers)).status, 200);
+  assert.equal((await request(srv.baseUrl, "/api/themes", { theme: { name: "x" } }, headers)).status, 401);
+});
+
+test("overlay sockets never receive the secret", async () => {
+  await request(srv.baseUrl, "/api/login", { password: "secret-password" }).then(({ body }) =>
+    request(srv.baseUrl, "/api/set-word", { word: "papaya" }, bearer(body.token)),
+  );
+  const socket = connect(srv.baseUrl, { auth: { token: "overlay-token" }, transports: ["websocket"] });
+  const bootstrap = await new Promise((resolve) => socket.once("bootstrap", resolve));
+  assert.equal(bootstrap.maskedWord, "______");
+  assert.equal(bootstrap.secret, undefined);
+  const state = await socket.timeout(2000).emitWithAck("state");
+  assert.equal(state.secret, undefined);
+  assert.equal(state.answers, undefined);
+  socket.close();
+});
+
+test("sockets without a valid token are refused", async () => {
+  const socket = connect(srv.baseUrl, { auth: { token: "nope" }, transports: ["websocket"] });
+  const error = await new Promise((resolve) => socket.on("connect_error", resolve));
+  assert.equal(error.message, "unauthorized");
+  socket.close();
+});
@@ -0,0 +1,97 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  registerCommand,
+  listCommands,
+  defaultCommandSettings,
+  parseCommand,
+  parseCommandSettings,
+} from "../src/commands.js";
+// Loading game-room.js registers the moderator commands
+import { createTestRoom, chat } from "./helpers.js";
+
+test("built-in and moderator commands are registered", () => {
+  const commands = Object.fromEntries(listCommands().map((c) => [c.name, c]));
+  for (const name of ["score", "rank", "top", "hint"]) assert.equal(commands[name].moderator, false);
+  for (const name of ["skip", "reveal", "time", "newword"]) assert.equal(commands[name].moderator, true);
+  const { prefix, commands: settings } = defaultCommandSettings();
+  assert.equal(prefix, "!");
+  assert.equal(settings.hint.enabled, false);
+  assert.deepEqual(settings.skip, { enabled: true, userCooldownMs: 0, globalCooldownMs: 2_000 });
+});
+
+test("parseCommand splits the name and arguments", () => {
+  assert.deepEqual(parseCommand("  !Rank daily ", "!"), { name: "rank", args: ["daily"] });
+  assert.equal(parseCommand("rank", "!"), null);
+  assert.deepEqual(parseCommand("?? top", "??"), { name: "top", args: [] });
+});
+
+test("parseCommandSettings merges known numbers only", () => {
+  const current = defaultCommandSettings();
+  const { settings } = parseCommandSettings({ prefix: "?", commands: { hint: { enabled: true, cost: "25" } } }, current);
+  assert.equal(settings.prefix, "?");
+  assert.equal(settings.commands.hint.cost, 25);
+  assert.equal(current.commands.hint.enabled, false);
+  assert.ok(parseCommandSettings({ commands: { dance: {} } }, current).error);
+  assert.ok(parseCommandSettings({ commands: { top: { globalCooldownMs: -1 } } }, current).error);
+  assert.ok(parseCommandSettings({ prefix: "go" }, current).error);
+});
+
+test("commands reply to chat and respect their cooldowns", () => {
+  const { room, clock, eventsOf } = createTestRoom();
+  room.startRound("apple");
+  chat(room, clock, "ann", "apple");
+  chat(room, clock, "ann", "!score");
+  assert.equal(eventsOf("commandReply").at(-1).text, "ann: 1 win(s), 345 pts (Red)");
+  // Within the 30 second cooldown per viewer
+  chat(room, clock, "ann", "!score");
+  assert.equal(eventsOf("commandReply").length, 1);
+  chat(room, clock, "bob", "!rank");
+  assert.equal(eventsOf("commandReply").at(-1).text, "bob is not ranked yet");
+  room.setCommandSettings({ commands: { top: { enabled: false } } });
+  chat(room, clock, "bob", "!top");
+  assert.equal(eventsOf("commandReply").length, 2);
+  // Commands are never judged as guesses
+  assert.equal(eventsOf("chat").length, 1);
+  room.destroy();
+});
+
+test("moderator commands answer moderators only and are audited", () => {
+  const { room, clock, eventsOf } = createTestRoom();
+  room.startRound("apple");
+  chat(room, clock, "ann", "!skip");
+  assert.equal(room.roundEndReason, null);
+  room.autoRun.roundDurationMs = 45_000;
+  chat(room, clock, "mo", "!newword rot13:cyhz", { isModerator: true });
+  assert.equal(room.secretWordRaw, "plum");
+  assert.equal(room.roundDurationMs, 45_000);
+  clock.advance(2_000);
+  chat(room, clock, "mo", "!skip", { isModerator: true });
+  assert.equal(room.roundEndReason, "skipped");
+  const { entries } = room.auditLogPage(0, 10);
+  assert.deepEqual(entries.map((e) => [e.command, e.args]), [["skip", []], ["newword", []]]);
+  assert.equal(eventsOf("commandReply").at(-1).text, "Round skipped by mo");
+  room.destroy();
+});
+
+test("recorded chat keeps the !newword word out", () => {
+  const { room } = createTestRoom();
+  const data = { uniqueId: "mo", comment: "!newword rot13:cyhz" };
+  assert.deepEqual(room.redactCommandArgs(data), { uniqueId: "mo", comment: "!newword" });
+  assert.deepEqual(room.redactCommandArgs({ comment: "!top daily" }), { comment: "!top daily" });
+  assert.deepEqual(room.redactCommandArgs({ comment: "plum" }), { comment: "plum" });
+  room.destroy();
+});
+
+test("registered commands reach new rooms", () => {
+  registerCommand("echo", {
+    description: "Repeat the arguments",
+    defaults: { userCooldownMs: 0 },
+    run: (room, user, args) => args.join(" ") || null,
+  });
+  assert.ok(listCommands().some((c) => c.name === "echo"));
+  const { room, clock, eventsOf } = createTestRoom();
+  chat(room, clock, "ann", "!echo hello there");
+  assert.equal(eventsOf("commandReply").at(-1).text, "hello there");
+  room.destroy();
+});
@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  alignWord,
+  initialReveal,
+  maskWord,
+  maskTiles,
+  wordLengths,
+  positionLocks,
+  countLetters,
+  timeLeftMs,
+} from "../src/engine.js";
+
+// The mask of a word at the start of a round
+function startMask(word) {
+  const alignment = alignWord(word);
+  return maskWord(alignment, initialReveal(alignment));
+}
+
+test("maskWord shows only revealed letters", () => {
+  assert.equal(maskWord(alignWord("apple"), [false, true, false, false, true]), "_p__e");
+  assert.equal(maskWord(alignWord("apple"), []), "_____");
+  assert.equal(maskWord(alignWord(""), []), "");
+});
+
+test("spaces and punctuation are always shown", () => {
+  assert.equal(startMask("rock 'n' roll"), "____ '_' ____");
+  assert.equal(startMask("R2-D2!"), "__-__!");
+  assert.equal(startMask("Ocean's 11"), "_____'_ __");
+  assert.equal(startMask("你好，世界"), "__，__");
+  assert.equal(startMask("🍕 party"), "🍕 _____");
+});
+
+test("accented and combined characters are one tile each", () => {
+  // "é" written as e + combining accent is still a single tile
+  const decomposed = alignWord("cafe\u0301 au lait");
+  assert.equal(maskTiles(decomposed, initialReveal(decomposed)).join("|"), "_|_|_|_| |_|_| |_|_|_|_");
+  assert.equal(decomposed.cells[3].text, "e\u0301");
+  assert.equal(decomposed.cells[3].norm, "e");
+  assert.ok(alignWord("नमस्ते").cells.every((c) => c.kind === "letter"));
+  assert.deepEqual(alignWord("Straße").cells.map((c) => c.norm), ["s", "t", "r", "a", "ß", "e"]);
+});
+
+test("wordLengths counts the letters of each word", () => {
+  assert.deepEqual(wordLengths(alignWord("rock 'n' roll")), [4, 1, 4]);
+  assert.deepEqual(wordLengths(alignWord("rock & roll")), [4, 4]);
+  assert.deepEqual(wordLengths(alignWord("  crème   brûlée ")), [5, 6]);
+  assert.deepEqual(wordLengths(alignWord("Москва")), [6]);
+  assert.deepEqual(wordLengths(alignWord("")), []);
+});
+
+test("positionLocks compares word by word and letter by letter", () => {
+  const locks = (secret, guess) => positionLocks(alignWord(secret), alignWord(guess));
+  assert.deepEqual(locks("apple", "ample"), [0, 2, 3, 4]);
+  assert.deepEqual(locks("apple", "ap"), [0, 1]);
+  assert.deepEqual(locks("apple", "zzzzzzz"), []);
+  // The apostrophes and accents do not shift the positions
+  assert.deepEqual(locks("rock 'n' roll", "rock n toll"), [0, 1, 2, 3, 6, 10, 11, 12]);
+  assert.deepEqual(locks("café au lait", "CAFE on lait"), [0, 1, 2, 3, 8, 9, 10, 11]);
+  assert.deepEqual(locks("Ελλάδα", "ελλαδα"), [0, 1, 2, 3, 4, 5]);
+  assert.deepEqual(locks("東京タワー", "東京タワ"), [0, 1, 2, 3]);
+});
+
+test("countLetters ignores spaces and punctuation", () => {
+  const phrase = alignWord("ice cream!");
+  assert.deepEqual(countLetters(phrase, initialReveal(phrase)), { letters: 8, hiddenLetters: 8 });
+  assert.deepEqual(countLetters(alignWord("abc"), [true, false, true]), { letters: 3, hiddenLetters: 1 });
+  const accented = alignWord("cafe\u0301");
+  assert.deepEqual(countLetters(accented, initialReveal(accented)), { letters: 4, hiddenLetters: 4 });
+});
+
+test("timeLeftMs counts down and stops at zero", () => {
+  assert.equal(timeLeftMs(1000, 20_000, 6000), 15_000);
+  assert.equal(timeLeftMs(1000, 20_000, 30_000), 0);
+  assert.equal(timeLeftMs(null, 20_000, 6000), 0);
+});
@@ -0,0 +1,344 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createTestRoom, chat } from "./helpers.js";
+import { setWordList } from "../src/words.js";
+
+test("a new round is masked and sent to overlays", () => {
+  const { room, eventsOf } = createTestRoom();
+  assert.equal(room.startRound("apple"), 5);
+  assert.deepEqual(eventsOf("round").at(-1), {
+    status: "started",
+    secretLen: 5,
+    maskedWord: "_____",
+    tiles: ["_", "_", "_", "_", "_"],
+    wordLengths: [5],
+    timeLeftMs: 20_000,
+  });
+  room.destroy();
+});
+
+test("an exact guess wins, scores and reveals the word", () => {
+  const { room, clock, eventsOf } = createTestRoom();
+  room.startRound("apple");
+  chat(room, clock, "bob", "pear");
+  chat(room, clock, "ann", "APPLE!");
+  const [winner] = eventsOf("winner");
+  assert.equal(winner.uniqueId, "ann");
+  assert.equal(winner.matched, "apple");
+  // base 100 + 5 letters × 10 + 90% of the time bonus + all letters hidden
+  assert.equal(winner.points, 100 + 50 + 90 + 100);
+  assert.equal(room.roundEndReason, "won");
+  assert.equal(room.getMaskedWord(), "apple");
+  assert.equal(room.users.ann.wins_total, 1);
+  assert.equal(room.users.bob.wins_total, 0);
+  assert.equal(eventsOf("chat").filter((c) => c.isCorrect).length, 1);
+  room.destroy();
+});
+
+test("alternate answers and answer options are honoured", () => {
+  const { room, clock, eventsOf } = createTestRoom();
+  room.setAnswerOptions({ ignoreArticles: true });
+  room.startRound("The Lion King", undefined, ["Simba"]);
+  chat(room, clock, "ann", "lion king");
+  assert.equal(eventsOf("winner")[0].matched, "The Lion King");
+  room.startRound("The Lion King", undefined, ["Simba"]);
+  chat(room, clock, "bob", "simba");
+  assert.equal(eventsOf("winner")[1].matched, "Simba");
+  room.destroy();
+});
+
+test("near misses are flagged as close without winning", () => {
+  const { room, clock, eventsOf } = createTestRoom();
+  room.startRound("elephant");
+  chat(room, clock, "ann", "elephnat");
+  assert.equal(eventsOf("closeGuess").length, 1);
+  assert.equal(eventsOf("winner").length, 0);
+  room.setMatchSettings({ classic: { lenient: true } });
+  chat(room, clock, "ann", "elephnat");
+  assert.equal(eventsOf("winner").length, 1);
+  room.destroy();
+});
+
+test("lenient matching does not let anagrams win", () => {
+  const { room, clock, eventsOf } = createTestRoom();
+  room.setMatchSettings({ classic: { lenient: true } });
+  room.startRound("silent");
+  chat(room, clock, "ann", "listen");
+  assert.equal(eventsOf("closeGuess").length, 1);
+  assert.equal(eventsOf("winner").length, 0);
+  assert.ok(room.isRunning);
+  room.destroy();
+});
+
+test("messages from the same viewer are rate-limited", () => {
+  const { room, clock, eventsOf } = createTestRoom();
+  room.startRound("apple");
+  chat(room, clock, "ann", "pear");
+  room.handleChat({ userId: "ann", uniqueId: "ann", nickname: "ann", comment: "apple" });
+  assert.equal(eventsOf("chat").length, 1);
+  assert.equal(eventsOf("winner").length, 0);
+  room.destroy();
+});
+
+test("rapid mode locks letters in the right position", () => {
+  const { room, clock, eventsOf } = createTestRoom();
+  room.setMode("rapid");
+  room.startRound("apple");
+  chat(room, clock, "ann", "ample");
+  assert.equal(eventsOf("mask").at(-1).maskedWord, "a_ple");
+  // Locks add up across guesses
+  chat(room, clock, "bob", "xpxxx");
+  assert.equal(room.getMaskedWord(), "apple");
+  room.destroy();
+});
+
+test("rapid mode stops locking letters once the round has ended", () => {
+  const { room, clock, eventsOf } = createTestRoom();
+  room.setMode("rapid");
+  room.startRound("apple");
+  chat(room, clock, "ann", "apple");
+  const masks = eventsOf("mask").length;
+  chat(room, clock, "bob", "ample");
+  room.startRound("melon", 5_000);
+  clock.advance(5_000);
+  chat(room, clock, "bob", "lemon");
+  // Only the expiry reveal, no lock events after either end
+  assert.equal(eventsOf("mask").length, masks + 1);
+  room.destroy();
+});
+
+test("phrases keep reveals, locks and boosts on the same tiles", () => {
+  const { room, clock, eventsOf } = createTestRoom();
+  room.setMode("rapid");
+  room.startRound("Crème brûlée!");
+  assert.equal(room.getMaskedWord(), "_____ ______!");
+  assert.deepEqual(eventsOf("round").at(-1).wordLengths, [5, 6]);
+  // The accents and the space do not shift the locked letters
+  chat(room, clock, "ann", "creme bxxxxx");
+  assert.equal(room.getMaskedWord(), "Crème b_____!");
+  assert.deepEqual(room.revealLetters([7, 13]), { maskedWord: "Crème br____!" });
+  // A boost never "reveals" a space or punctuation
+  for (let i = 0; i < 4; i++) assert.ok(room.applyBoost("reveal-letter").index >= 8);
+  assert.equal(room.applyBoost("reveal-letter").error, "All letters are already revealed");
+  room.destroy();
+});
+
+test("scoring counts only the hidden letters of a phrase", () => {
+  const { room, clock, eventsOf } = createTestRoom();
+  room.startRound("l'été");
+  room.revealLetters([0]);
+  chat(room, clock, "ann", "L'ete");
+  // base 100 + 4 letters × 10 + 95% of the time bonus, 3 of 4 letters hidden
+  assert.equal(eventsOf("winner")[0].points, 100 + 40 + 95 + 75);
+  room.destroy();
+});
+
+test("revealLetters ignores invalid positions", () => {
+  const { room } = createTestRoom();
+  assert.ok(room.revealLetters([0]).error);
+  room.startRound("apple");
+  assert.deepEqual(room.revealLetters([0, 4, 9, -1]), { maskedWord: "a___e" });
+  room.destroy();
+});
+
+test("mask events say which letters were revealed and why", () => {
+  const { room, clock, eventsOf } = createTestRoom();
+  room.setMode("rapid");
+  room.startRound("apple");
+  chat(room, clock, "ann", "ample");
+  assert.deepEqual(eventsOf("mask").at(-1), {
+    maskedWord: "a_ple",
+    tiles: ["a", "_", "p", "l", "e"],
+    revealed: [0, 2, 3, 4],
+    reason: "lock",
+  });
+  room.startRound("melon");
+  room.revealLetters([1, 1, 9]);
+  assert.deepEqual(eventsOf("mask").at(-1).revealed, [1]);
+  assert.equal(eventsOf("mask").at(-1).reason, "admin");
+  const { index } = room.applyBoost("reveal-letter");
+  assert.deepEqual(eventsOf("mask").at(-1).revealed, [index]);
+  assert.equal(eventsOf("mask").at(-1).reason, "boost");
+  chat(room, clock, "bob", "melon");
+  const win = eventsOf("mask").at(-1);
+  assert.equal(win.reason, "win");
+  assert.deepEqual(win.revealed, [0, 2, 3, 4].filter((i) => i !== index));
+  room.startRound("kiwi");
+  room.skipRound();
+  assert.deepEqual(eventsOf("mask").at(-1).revealed, [0, 1, 2, 3]);
+  assert.equal(eventsOf("mask").at(-1).reason, "end");
+  room.destroy();
+});
+
+test("the round expires when its clock runs out", () => {
+  const { room, clock, eventsOf } = createTestRoom();
+  room.startRound("apple", 10_000);
+  clock.advance(9_999);
+  assert.equal(room.getTimeLeftMs(), 1);
+  assert.equal(eventsOf("round").at(-1).status, "started");
+  clock.advance(1);
+  assert.deepEqual(eventsOf("round").at(-1), {
+    status: "expired",
+    answer: "apple",
+    maskedWord: "apple",
+    tiles: ["a", "p", "p", "l", "e"],
+    timeLeftMs: 0,
+  });
+  assert.equal(room.roundHistory.rounds.at(-1).endReason, "expired");
+  room.destroy();
+});
+
+test("updateTimer sets the time left and reschedules the end", () => {
+  const { room, clock, eventsOf } = createTestRoom();
+  assert.ok(room.updateTimer(5000).error);
+  room.startRound("apple", 10_000);
+  clock.advance(8_000);
+  assert.deepEqual(room.updateTimer(30_000), { timeLeftMs: 30_000 });
+  clock.advance(29_000);
+  assert.equal(room.roundEndReason, null);
+  clock.advance(1_000);
+  assert.equal(room.roundEndReason, "expired");
+  assert.equal(eventsOf("round").filter((r) => r.status === "expired").length, 1);
+  room.destroy();
+});
+
+test("a mode poll counts one vote per viewer and switches the mode", () => {
+  const { room, clock, eventsOf } = createTestRoom();
+  room.startPoll({ options: "classic; rapid", durationMs: 30_000 });
+  assert.ok(room.startPoll({ options: "a; b" }).error);
+  chat(room, clock, "ann", "2");
+  chat(room, clock, "ann", "1");
+  chat(room, clock, "bob", "rapid");
+  chat(room, clock, "cat", "1");
+  assert.deepEqual(eventsOf("pollUpdate").at(-1).tallies, { classic: 1, rapid: 2 });
+  clock.advance(30_000);
+  const [end] = eventsOf("pollEnd");
+  assert.equal(end.winner, "rapid");
+  assert.equal(room.gameMode, "rapid");
+  assert.equal(room.pollHistory.length, 1);
+  room.destroy();
+});
+
+test("a tied poll with a runoff opens a second poll", () => {
+  const { room, clock, eventsOf } = createTestRoom();
+  room.startPoll({ options: "cats; dogs; birds", tieBreak: "runoff", durationMs: 10_000 });
+  chat(room, clock, "ann", "1");
+  chat(room, clock, "bob", "2");
+  clock.advance(10_000);
+  assert.deepEqual(eventsOf("pollEnd")[0].tied, ["cats", "dogs"]);
+  assert.deepEqual(room.pollInfo().options, ["cats", "dogs"]);
+  assert.equal(room.pollInfo().runoff, true);
+  chat(room, clock, "ann", "dogs");
+  clock.advance(10_000);
+  assert.equal(eventsOf("pollEnd")[1].winner, "dogs");
+  room.destroy();
+});
+
+test("wins move viewers up the tier ladder", () => {
+  const { room, clock, eventsOf } = createTestRoom();
+  room.startRound("apple");
+  chat(room, clock, "ann", "apple");
+  const update = eventsOf("userUpdate").at(-1);
+  assert.equal(update.tier, "red");
+  assert.equal(update.tierChanged, true);
+  assert.equal(room.computeLeaderboard()[0].userId, "ann");
+  room.destroy();
+});
+
+test("moderators reveal letters by position but not spaces or symbols", () => {
+  const { room, clock, eventsOf } = createTestRoom();
+  room.setModeratorSettings({ users: "mo" });
+  room.startRound("ab-c d");
+  const reveal = (position) => {
+    clock.advance(2000);
+    chat(room, clock, "mo", `!reveal ${position}`);
+    return eventsOf("commandReply").at(-1).text;
+  };
+  assert.equal(reveal(3), "Position 3 is a space or symbol, which is always shown");
+  assert.equal(reveal(5), "Position 5 is a space or symbol, which is always shown");
+  assert.equal(reveal(9), "Position must be between 1 and 6");
+  assert.equal(reveal(4), "mo revealed letter 4");
+  assert.equal(room.getState().maskedWord, "__-c _");
+  assert.equal(reveal(4), "Letter 4 is already revealed");
+  // Other viewers get no reply
+  chat(room, clock, "ann", "!reveal 1");
+  assert.equal(eventsOf("commandReply").length, 5);
+  room.destroy();
+});
+
+test("gifts run their table action once a streak ends", () => {
+  const { room, eventsOf } = createTestRoom();
+  room.startRound("apple");
+  const donut = { giftName: "DONUT", giftType: 1, uniqueId: "ann", nickname: "Ann", repeatCount: 2 };
+  room.handleGift({ ...donut, repeatEnd: false });
+  assert.equal(eventsOf("boost").length, 0);
+  room.handleGift({ ...donut, repeatEnd: true });
+  // perRepeat: two donuts add 2 × 30 seconds
+  assert.equal(room.getTimeLeftMs(), 80_000);
+  assert.equal(eventsOf("boost")[0].nickname, "Ann");
+  assert.ok(room.setGiftActions([{ giftName: "Rose", action: "fireworks" }]));
+  assert.equal(room.setGiftActions([{ giftId: 5655, action: "reveal-word" }]), null);
+  room.handleGift({ giftName: "Donut", giftId: 1 });
+  assert.equal(room.getMaskedWord(), "_____");
+  room.handleGift({ giftName: "Rose", giftId: 5655 });
+  assert.equal(room.getMaskedWord(), "apple");
+  room.destroy();
+});
+
+test("merging viewers combines their wins and leaderboard entries", () => {
+  const { room, clock } = createTestRoom();
+  for (const [user, word] of [["ann", "apple"], ["ann2", "pear"], ["bob", "plum"], ["ann2", "fig"]]) {
+    room.startRound(word);
+    chat(room, clock, user, word);
+    clock.advance(60_000);
+  }
+  assert.equal(room.computeLeaderboard("session")[0].userId, "ann2");
+  const { user } = room.mergeUsers("ann2", "ann");
+  assert.equal(user.wins_total, 3);
+  assert.equal(room.users.ann2, undefined);
+  const board = room.computeLeaderboard("daily");
+  assert.deepEqual(board.map((e) => [e.userId, e.wins_total]), [["ann", 3], ["bob", 1]]);
+  assert.ok(room.mergeUsers("ann", "ann").error);
+  assert.ok(room.mergeUsers("nobody", "ann").error);
+  room.destroy();
+});
+
+test("auto-run chains queued rounds and stops when the queue is empty", () => {
+  const { room, clock, eventsOf } = createTestRoom();
+  setWordList("autorun-fruit", ["kiwi", "lime"]);
+  room.buildWordQueue({ lists: ["autorun-fruit"], order: "ordered" });
+  assert.deepEqual(room.startAutoRun({ intermissionMs: 5_000, roundDurationMs: 30_000 }), {});
+  assert.equal(room.getAutoRunInfo().phase, "intermission");
+  clock.advance(5_000);
+  assert.equal(room.getMaskedWord(), "____");
+  chat(room, clock, "ann", "kiwi");
+  assert.equal(room.getAutoRunInfo().phase, "intermission");
+  clock.advance(5_000);
+  assert.equal(room.getAutoRunInfo().roundsPlayed, 2);
+  // Nobody guesses "lime": the round expires and the queue is empty
+  clock.advance(40_000);
+  assert.equal(room.getAutoRunInfo().enabled, false);
+  assert.equal(eventsOf("autorun").at(-1).reason, "queue_empty");
+  assert.ok(room.startAutoRun({}).error);
+  room.destroy();
+});
+
+test("banned viewers are ignored", () => {
+  const { room, clock, eventsOf } = createTestRoom();
+  room.startRound("apple");
+  chat(room, clock, "ann", "pear");
+  room.setUserBanned("ann", true);
+  chat(room, clock, "ann", "apple");
+  assert.equal(eventsOf("winner").length, 0);
+  assert.equal(eventsOf("chat").length, 1);
+  room.destroy();
+});
+
+test("destroy cancels every pending timer", () => {
+  const { room, clock } = createTestRoom();
+  room.startRound("apple");
+  room.startPoll({ options: "a; b" });
+  assert.equal(clock.pending(), 2);
+  room.destroy();
+  assert.equal(clock.pending(), 0);
+});
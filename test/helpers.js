@@ -0,0 +1,86 @@
+import { GameRoom } from "../src/game-room.js";
+
+// ======================
+// Test helpers
+// ======================
+
+// A clock for GameRoom (see src/clock.js) that only moves when advance()
+// is called. Timers due within the advanced span run in time order, with
+// now() set to their due time.
+export function createManualClock(start = Date.UTC(2026, 0, 5, 12)) {
+  let now = start;
+  let nextId = 1;
+  const timers = new Map();
+  return {
+    now: () => now,
+    setTimeout(fn, ms) {
+      const id = nextId++;
+      timers.set(id, { at: now + Math.max(0, ms), fn });
+      return id;
+    },
+    clearTimeout(id) {
+      timers.delete(id);
+    },
+    advance(ms) {
+      const until = now + ms;
+      for (;;) {
+        let due = null;
+        for (const [id, timer] of timers) {
+          if (timer.at <= until && (!due || timer.at < due.timer.at)) due = { id, timer };
+        }
+        if (!due) break;
+        timers.delete(due.id);
+        now = due.timer.at;
+        due.timer.fn();
+      }
+      now = until;
+    },
+    pending: () => timers.size,
+  };
+}
+
+// A room on a manual clock whose events are collected in `events` as
+// [event, payload] pairs. eventsOf(name) returns the payloads of one event.
+export function createTestRoom(id = "test") {
+  const clock = createManualClock();
+  const events = [];
+  const room = new GameRoom(id, { emit: (event, payload) => events.push([event, payload]), clock });
+  const eventsOf = (name) => events.filter(([event]) => event === name).map(([, payload]) => payload);
+  return { room, clock, events, eventsOf };
+}
+
+// Send a chat message to a room. Each call moves the clock past the
+// per-viewer rate limit first.
+export function chat(room, clock, uniqueId, comment, extra = {}) {
+  clock.advance(1000);
+  room.handleChat({ userId: uniqueId, uniqueId, nickname: uniqueId, comment, ...extra });
+}
+
+// Import the server in-process and listen on a free port. Storage stays in
+// memory. Returns { baseUrl, server, rooms, close }.
+export async function startServer() {
+  process.env.PERSIST_STATE = "false";
+  const { server, io, rooms } = await import("../server.js");
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+  return {
+    baseUrl: `http://127.0.0.1:${port}`,
+    server,
+    rooms,
+    close: async () => {
+      for (const room of rooms.values()) room.destroy();
+      // Closes the HTTP server too
+      await new Promise((resolve) => io.close(resolve));
+    },
+  };
+}
+
+// JSON request helper: GET without a body, POST with one.
+export async function request(baseUrl, path, body, headers = {}) {
+  const res = await fetch(baseUrl + path, {
+    method: body === undefined ? "GET" : "POST",
+    headers: { "content-type": "application/json", ...headers },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  return { status: res.status, body: await res.json().catch(() => null) };
+}
@@ -0,0 +1,143 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, request } from "./helpers.js";
+
+let srv;
+const api = (path, body) => request(srv.baseUrl, path, body);
+
+before(async () => {
+  srv = await startServer();
+});
+
+after(async () => {
+  await srv.close();
+});
+
+test("set-word starts a round visible in the state", async () => {
+  const res = await api("/api/set-word", { word: "banana", alternates: "plantain" });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body, { ok: true, secretLen: 6, answers: ["banana", "plantain"] });
+  const { body: state } = await api("/api/state");
+  assert.equal(state.secretSet, true);
+  assert.equal(state.maskedWord, "______");
+  assert.ok(state.timeLeftMs > 0 && state.timeLeftMs <= 20_000);
+  assert.equal((await api("/api/set-word", {})).status, 400);
+});
+
+test("reveal and timer routes validate their input", async () => {
+  await api("/api/set-word", { word: "banana" });
+  assert.deepEqual((await api("/api/reveal-letters", { positions: "1;3,9" })).body, {
+    ok: true,
+    maskedWord: "b_n___",
+  });
+  assert.equal((await api("/api/reveal-letters", {})).status, 400);
+  assert.equal((await api("/api/update-timer", { seconds: "x" })).status, 400);
+  const timer = await api("/api/update-timer", { seconds: 45 });
+  // The server runs on the real clock, so a millisecond may pass
+  assert.ok(timer.body.timeLeftMs > 44_900 && timer.body.timeLeftMs <= 45_000);
+  assert.equal((await api("/api/reveal-word", {})).body.maskedWord, "banana");
+});
+
+test("guesses from chat reach the leaderboard and round history", async () => {
+  await api("/api/set-word", { word: "cherry" });
+  srv.rooms.get("default").handleChat({ userId: "u1", uniqueId: "ann", nickname: "Ann", comment: "cherry" });
+  const { body } = await api("/api/leaderboard?scope=session");
+  assert.equal(body.leaderboard[0].userId, "u1");
+  assert.equal((await api("/api/leaderboard?scope=yearly")).status, 400);
+  const { body: rounds } = await api("/api/rounds?limit=1");
+  assert.equal(rounds.rounds[0].word, "cherry");
+  assert.equal(rounds.rounds[0].winner.nickname, "Ann");
+  const csv = await fetch(`${srv.baseUrl}/api/rounds/export?format=csv`);
+  assert.match(csv.headers.get("content-type"), /text\/csv/);
+  assert.match(await csv.text(), /cherry/);
+});
+
+test("settings routes reject invalid values", async () => {
+  assert.equal((await api("/api/mode", { mode: "turbo" })).status, 400);
+  assert.equal((await api("/api/scoring", { scoring: { base: -1 } })).status, 400);
+  assert.equal((await api("/api/scoring", { scoring: { base: 50 } })).body.scoring.base, 50);
+  assert.equal((await api("/api/tiers", { tiers: { tiers: [{ name: "A" }] } })).status, 400);
+  assert.equal((await api("/api/poll/start", { options: ["only one"] })).status, 400);
+  assert.equal((await api("/api/commands", { settings: { prefix: "abc" } })).status, 400);
+});
+
+test("rooms are independent and can be deleted", async () => {
+  await api("/api/rooms/side/set-word", { word: "kiwi" });
+  const { body: side } = await api("/api/rooms/side/state");
+  assert.equal(side.roomId, "side");
+  assert.equal(side.maskedWord, "____");
+  const { body: list } = await api("/api/rooms");
+  assert.ok(list.rooms.some((r) => r.roomId === "side"));
+  assert.equal((await api("/api/rooms/bad id!/state")).status, 400);
+  // Reads and deletes never create rooms; admin POSTs do
+  assert.equal((await api("/api/rooms/ghost/state")).status, 404);
+  assert.equal((await api("/api/rooms/ghost/delete", {})).status, 404);
+  assert.ok(!srv.rooms.has("ghost"));
+  assert.deepEqual((await api("/api/rooms", { roomId: "Ghost" })).body, { ok: true, roomId: "ghost" });
+  assert.equal((await api("/api/rooms/ghost/state")).status, 200);
+  assert.equal((await api("/api/rooms", { roomId: "bad id!" })).status, 400);
+  assert.equal((await api("/api/rooms/default/delete", {})).status, 400);
+  assert.equal((await api("/api/rooms/side/delete", {})).status, 200);
+  assert.ok(!srv.rooms.has("side"));
+});
+
+test("word files are imported by file name and fill the queue", async () => {
+  const csv = "word,category\nlion,animals\n\"sea lion\",animals\ntulip,plants\n";
+  const imported = await api("/api/words/import", { name: "mixed", content: csv, filename: "Mixed.CSV" });
+  assert.equal(imported.status, 200);
+  assert.deepEqual(imported.body.list, { name: "mixed", count: 3, categories: ["animals", "plants"] });
+  const text = await api("/api/words/import", { name: "mixed", content: "# extra\nzebra\n\n", filename: "more.txt" });
+  assert.equal(text.body.imported, 1);
+  assert.equal(text.body.list.count, 4);
+  const bad = await api("/api/words/import", { name: "mixed", content: "{", filename: "words.json" });
+  assert.equal(bad.status, 400);
+  const queue = await api("/api/words/queue", { lists: ["mixed"], category: "animals" });
+  assert.equal(queue.body.queue.remaining, 2);
+  assert.equal((await api("/api/words/queue", { lists: ["nope"] })).status, 404);
+  const next = await api("/api/words/next", {});
+  assert.equal(next.body.secretLen, 4);
+  assert.equal(next.body.queue.remaining, 1);
+});
+
+test("word list names never resolve to object built-ins", async () => {
+  for (const name of ["toString", "constructor", "__proto__"]) {
+    assert.equal((await api(`/api/words/lists/${name}`)).status, 404);
+    assert.equal((await api(`/api/words/lists/${name}/add`, { words: ["x"] })).status, 404);
+    assert.equal((await api(`/api/words/lists/${name}/remove`, { word: "x" })).status, 404);
+    assert.equal((await api(`/api/words/lists/${name}/delete`, {})).status, 404);
+    assert.equal((await api("/api/words/queue", { lists: [name] })).status, 404);
+  }
+  const saved = await api("/api/words/lists", { name: "constructor", words: ["ship"] });
+  assert.deepEqual(saved.body.list, { name: "constructor", count: 1, categories: [] });
+  assert.equal((await api("/api/words/lists/constructor")).body.list.words[0].word, "ship");
+  assert.equal((await api("/api/words/lists/constructor/delete", {})).status, 200);
+});
+
+test("theme and overlay routes validate their input", async () => {
+  assert.ok((await api("/api/themes")).body.themes.some((t) => t.name === "neon" && t.builtin));
+  assert.equal((await api("/api/themes/nope")).status, 404);
+  assert.equal((await api("/api/themes", { theme: { name: "neon" } })).status, 400);
+  assert.equal((await api("/api/themes/neon/delete", {})).status, 400);
+  assert.equal((await api("/api/themes/nope/delete", {})).status, 404);
+  assert.equal((await api("/api/overlay", { overlay: { theme: "nope" } })).status, 400);
+  assert.equal((await api("/api/overlay", { overlay: { hidden: ["ads"] } })).status, 400);
+  const saved = await api("/api/overlay", { overlay: { theme: "minimal", hidden: ["hints"] } });
+  assert.deepEqual(saved.body, { ok: true, overlay: { theme: "minimal", hidden: ["hints"] } });
+  const { body } = await api("/api/overlay");
+  assert.equal(body.theme.name, "minimal");
+  assert.deepEqual(body.hidden, ["hints"]);
+});
+
+test("each widget has its own overlay page", async () => {
+  for (const widget of ["mask", "timer", "chat", "leaderboard", "poll", "winner"]) {
+    const res = await fetch(`${srv.baseUrl}/overlay/${widget}`);
+    assert.equal(res.status, 200);
+    assert.match(await res.text(), /overlay\.js/);
+  }
+  assert.equal((await fetch(`${srv.baseUrl}/overlay/title`)).status, 404);
+  assert.equal((await fetch(`${srv.baseUrl}/overlay/nope`)).status, 404);
+});
+
+test("login reports that auth is disabled", async () => {
+  assert.deepEqual((await api("/api/login", {})).body, { ok: true, authRequired: false, token: null });
+});
@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parsePoll, matchVote, leadingOptions } from "../src/polls.js";
+
+const MODES = ["classic", "rapid"];
+
+test("parsePoll applies defaults and detects mode polls", () => {
+  const { poll } = parsePoll({ options: "Classic; Rapid" }, MODES);
+  assert.deepEqual(poll, {
+    question: "Vote now",
+    options: ["classic", "rapid"],
+    durationMs: 20_000,
+    action: "mode",
+    tieBreak: "random",
+  });
+  assert.equal(parsePoll({ options: ["Cats", "Dogs"] }, MODES).poll.action, "none");
+});
+
+test("parsePoll rejects invalid polls", () => {
+  assert.match(parsePoll({ options: ["one"] }, MODES).error, /at least two/);
+  assert.match(parsePoll({ options: ["a", "A"] }, MODES).error, /different/);
+  assert.match(parsePoll({ options: ["1", "2"] }, MODES).error, /plain numbers/);
+  assert.match(parsePoll({ options: ["a", "b"], action: "mode" }, MODES).error, /Mode polls/);
+  assert.match(parsePoll({ options: ["a", "b"], tieBreak: "coin" }, MODES).error, /tieBreak/);
+  assert.match(parsePoll({ options: ["a", "b"], durationMs: 1000 }, MODES).error, /durationMs/);
+  assert.ok(parsePoll(null, MODES).error);
+});
+
+test("matchVote accepts option numbers and text", () => {
+  const options = ["Cats", "Dogs"];
+  assert.equal(matchVote(options, "2"), "Dogs");
+  assert.equal(matchVote(options, " cats! "), "Cats");
+  assert.equal(matchVote(options, "3"), null);
+  assert.equal(matchVote(options, "birds"), null);
+});
+
+test("leadingOptions returns every option sharing the top tally", () => {
+  const options = ["a", "b", "c"];
+  assert.deepEqual(leadingOptions(options, { a: 2, b: 3, c: 3 }), ["b", "c"]);
+  assert.deepEqual(leadingOptions(options, { a: 1 }), ["a"]);
+  assert.deepEqual(leadingOptions(options, {}), []);
+});
@@ -0,0 +1,51 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// REPLAY_DIR is read when config.js loads, so the modules are imported
+// after pointing it at a temporary directory.
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "guesser-replays-"));
+let recorder;
+let sources;
+
+before(async () => {
+  process.env.REPLAY_DIR = dir;
+  recorder = await import("../src/recorder.js");
+  sources = await import("../src/event-sources.js");
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("recordings are written on close and replay as they were", async () => {
+  const rec = new recorder.SessionRecorder("room1", "creator");
+  rec.recordEvent("chat", { uniqueId: "ann", comment: "apple" });
+  rec.recordEmit("mask", { maskedWord: "_____" });
+  rec.recordEvent("gift", { uniqueId: "bob", giftName: "Rose" });
+  await rec.close();
+  await rec.close();
+  rec.recordEvent("chat", { uniqueId: "late", comment: "ignored" });
+
+  const lines = fs.readFileSync(path.join(dir, rec.name), "utf8").trim().split("\n").map(JSON.parse);
+  assert.deepEqual(lines.map((l) => l.type), ["session", "chat", "emit", "gift"]);
+  assert.equal(lines[0].data.roomId, "room1");
+  const { events, skipped } = sources.parseReplay(fs.readFileSync(path.join(dir, rec.name), "utf8"));
+  assert.deepEqual(events.map((e) => e.data.uniqueId), ["ann", "bob"]);
+  assert.equal(skipped, 0);
+
+  const [listed] = recorder.listRecordings("room1");
+  assert.equal(listed.name, rec.name);
+  assert.equal(recorder.recordingFile("room2", rec.name), null);
+  assert.equal(recorder.deleteRecording("room1", rec.name), true);
+  assert.deepEqual(recorder.listRecordings("room1"), []);
+});
+
+test("discarded recordings leave no file", async () => {
+  const rec = new recorder.SessionRecorder("room1", "creator");
+  rec.recordEvent("chat", { uniqueId: "ann", comment: "hi" });
+  await rec.discard();
+  assert.equal(fs.existsSync(path.join(dir, rec.name)), false);
+});
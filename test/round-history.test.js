@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { roundsToCsv } from "../src/round-history.js";
+
+const round = (fields) => ({
+  id: 1,
+  word: "apple",
+  alternates: [],
+  mode: "classic",
+  startedAt: 0,
+  endedAt: 20_000,
+  endReason: "won",
+  winner: { nickname: "Ann", guess: "apple", points: 100 },
+  timeToSolveMs: 5_000,
+  guessCount: 3,
+  uniqueGuessers: 2,
+  boosts: [],
+  ...fields,
+});
+
+test("roundsToCsv quotes fields and counts boosts", () => {
+  const csv = roundsToCsv([
+    round({ word: 'say "hi", friend', boosts: [{ type: "add-time" }, { type: "add-time" }] }),
+  ]);
+  const [header, row] = csv.split("\r\n");
+  assert.ok(header.startsWith("id,word,alternates,"));
+  assert.ok(row.startsWith('1,"say ""hi"", friend",,classic,1970-01-01T00:00:00.000Z,'));
+  assert.ok(row.endsWith(",add-time:2"));
+});
+
+test("roundsToCsv keeps formula-like fields as text", () => {
+  const csv = roundsToCsv([
+    round({ winner: { nickname: "=HYPERLINK(\"x\")", guess: "+1", points: 100 }, word: "@sum" }),
+  ]);
+  const row = csv.split("\r\n")[1];
+  assert.ok(row.startsWith("1,'@sum,"));
+  assert.match(row, /,"'=HYPERLINK\(""x""\)",'\+1,5000,100,/);
+});
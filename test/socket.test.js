@@ -0,0 +1,112 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { io as connect } from "socket.io-client";
+import { startServer, request } from "./helpers.js";
+
+let srv;
+const sockets = [];
+
+before(async () => {
+  srv = await startServer();
+});
+
+after(async () => {
+  for (const socket of sockets) socket.close();
+  await srv.close();
+});
+
+// Connect an overlay to a room, created first as the admin page does, and
+// wait for its bootstrap state
+async function overlay(room) {
+  if (room) await request(srv.baseUrl, "/api/rooms", { roomId: room });
+  const socket = connect(srv.baseUrl, { auth: room ? { room } : {}, transports: ["websocket"] });
+  sockets.push(socket);
+  const bootstrap = await new Promise((resolve) => socket.once("bootstrap", resolve));
+  return { socket, bootstrap };
+}
+
+function nextEvent(socket, event) {
+  return new Promise((resolve) => socket.once(event, resolve));
+}
+
+test("overlays get the room state on connect", async () => {
+  const { bootstrap } = await overlay();
+  assert.equal(bootstrap.roomId, "default");
+  assert.ok(Array.isArray(bootstrap.leaderboard));
+  // Everyone is an admin while auth is off
+  assert.ok(bootstrap.users);
+});
+
+test("round, mask and winner events reach the room's overlays", async () => {
+  const { socket } = await overlay("live");
+  const started = nextEvent(socket, "round");
+  await request(srv.baseUrl, "/api/rooms/live/set-word", { word: "mango" });
+  assert.equal((await started).maskedWord, "_____");
+
+  const mask = nextEvent(socket, "mask");
+  await request(srv.baseUrl, "/api/rooms/live/reveal-letters", { positions: "2" });
+  assert.equal((await mask).maskedWord, "_a___");
+
+  const winner = nextEvent(socket, "winner");
+  const leaderboard = nextEvent(socket, "leaderboard");
+  srv.rooms.get("live").handleChat({ userId: "u9", uniqueId: "zoe", nickname: "Zoe", comment: "Mango" });
+  assert.equal((await winner).nickname, "Zoe");
+  assert.equal((await leaderboard).leaderboard[0].userId, "u9");
+});
+
+test("events stay inside their room", async () => {
+  const { socket: other } = await overlay("other");
+  const { socket: mine } = await overlay("mine");
+  let leaked = false;
+  other.on("round", () => (leaked = true));
+  const started = nextEvent(mine, "round");
+  await request(srv.baseUrl, "/api/rooms/mine/set-word", { word: "plum" });
+  await started;
+  // Give a stray event time to arrive
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.equal(leaked, false);
+});
+
+test("the dashboard can ask for the state and measure latency", async () => {
+  const { socket } = await overlay("dash");
+  await request(srv.baseUrl, "/api/rooms/dash/set-word", { word: "Lime", alternates: "key lime" });
+  const state = await socket.timeout(2000).emitWithAck("state");
+  assert.equal(state.secret, "Lime");
+  assert.deepEqual(state.answers, ["Lime", "key lime"]);
+  const health = await socket.timeout(2000).emitWithAck("health");
+  assert.equal(typeof health.now, "number");
+});
+
+test("overlays follow the room's theme and hidden widgets", async () => {
+  const { socket, bootstrap } = await overlay("styled");
+  assert.equal(bootstrap.overlay.theme.name, "default");
+  let config = nextEvent(socket, "overlayConfig");
+  await request(srv.baseUrl, "/api/rooms/styled/overlay", { overlay: { theme: "neon", hidden: "chat" } });
+  assert.equal((await config).theme.name, "neon");
+
+  // Saving the room's theme restyles it; every overlay hears themeUpdated
+  await request(srv.baseUrl, "/api/themes", { theme: { name: "brand" } });
+  await request(srv.baseUrl, "/api/rooms/styled/overlay", { overlay: { theme: "brand" } });
+  config = nextEvent(socket, "overlayConfig");
+  const updated = nextEvent(socket, "themeUpdated");
+  await request(srv.baseUrl, "/api/themes", { theme: { name: "brand", colors: { accent: "#ff0066" } } });
+  assert.equal((await config).theme.colors.accent, "#ff0066");
+  assert.equal((await updated).theme.name, "brand");
+
+  // Deleting it sends the room back to the default theme
+  config = nextEvent(socket, "overlayConfig");
+  await request(srv.baseUrl, "/api/themes/brand/delete", {});
+  const fallback = await config;
+  assert.equal(fallback.theme.name, "default");
+  assert.deepEqual(fallback.hidden, ["chat"]);
+});
+
+test("invalid and unknown rooms are refused without being created", async () => {
+  for (const room of ["bad room!", "never-made"]) {
+    const socket = connect(srv.baseUrl, { auth: { room }, transports: ["websocket"] });
+    sockets.push(socket);
+    const message = await nextEvent(socket, "system");
+    assert.deepEqual(message, { type: "error", message: "Invalid room" });
+  }
+  assert.ok(!srv.rooms.has("never-made"));
+});
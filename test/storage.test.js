@@ -0,0 +1,81 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// config.js reads the environment when it loads, so the file backend is
+// set up on a temporary directory before storage.js is imported.
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "guesser-data-"));
+let storage;
+
+before(async () => {
+  process.env.PERSIST_STATE = "true";
+  process.env.STORAGE_BACKEND = "file";
+  process.env.DATA_DIR = dir;
+  const { initStorage } = await import("../src/storage.js");
+  storage = await initStorage();
+});
+
+after(async () => {
+  await storage.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const isObject = (d) => d !== null && typeof d === "object" && !Array.isArray(d);
+
+test("saves are debounced and written as JSON files", async () => {
+  storage.save(null, "words", { a: 1 });
+  storage.save(null, "words", { a: 2 });
+  // Unsaved documents are read back from memory
+  assert.deepEqual(storage.load(null, "words"), { a: 2 });
+  assert.equal(fs.existsSync(path.join(dir, "words.json")), false);
+  await storage.flush();
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dir, "words.json"), "utf8")), { a: 2 });
+  storage.save("side", "users", { ann: {} });
+  storage.save("default", "users", { bob: {} });
+  await storage.flush();
+  assert.ok(fs.existsSync(path.join(dir, "rooms", "side", "users.json")));
+  assert.ok(fs.existsSync(path.join(dir, "users.json")));
+  assert.deepEqual(storage.listRooms(), ["side"]);
+});
+
+test("a corrupt file is set aside and restored from its backup", async () => {
+  storage.save("cafe", "gifts", { version: 1 });
+  await storage.flush();
+  // The second write copies version 1 to the first backup
+  storage.save("cafe", "gifts", { version: 2 });
+  await storage.flush();
+  const file = path.join(dir, "rooms", "cafe", "gifts.json");
+  assert.deepEqual(JSON.parse(fs.readFileSync(`${file}.bak1`, "utf8")), { version: 1 });
+  fs.writeFileSync(file, '{"version": 2');
+  assert.deepEqual(storage.load("cafe", "gifts", isObject), { version: 1 });
+  assert.ok(fs.readdirSync(path.dirname(file)).some((name) => name.startsWith("gifts.json.corrupt-")));
+  // The restored data is saved back as the main file
+  await storage.flush();
+  assert.deepEqual(JSON.parse(fs.readFileSync(file, "utf8")), { version: 1 });
+});
+
+test("data that fails validation counts as corrupt", () => {
+  const file = path.join(dir, "rounds.json");
+  fs.writeFileSync(file, "[1, 2, 3]");
+  assert.equal(storage.load(null, "rounds", isObject), null);
+  assert.equal(fs.existsSync(file), false);
+  assert.equal(storage.load(null, "missing"), null);
+});
+
+test("close writes pending documents", async () => {
+  storage.save(null, "themes", { brand: { name: "brand" } });
+  await storage.close();
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dir, "themes.json"), "utf8")), { brand: { name: "brand" } });
+});
+
+test("close waits for a flush that is still writing", async () => {
+  storage.save("late", "users", { ann: { wins: 1 } });
+  storage.flush();
+  // Wait until the flush has taken the document and is writing it
+  while (storage.pending("late", "users")) await null;
+  await storage.close();
+  const file = path.join(dir, "rooms", "late", "users.json");
+  assert.deepEqual(JSON.parse(fs.readFileSync(file, "utf8")), { ann: { wins: 1 } });
+});
@@ -0,0 +1,25 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalize, answerKey, parseAnswerList } from "../src/text.js";
+
+test("normalize strips accents, punctuation and case", () => {
+  assert.equal(normalize("  Crème Brûlée! "), "creme brulee");
+  assert.equal(normalize("Ça va?"), "ca va");
+  assert.equal(normalize("R2-D2"), "r2d2");
+  assert.equal(normalize(""), "");
+  assert.equal(normalize(null), "");
+});
+
+test("answerKey collapses whitespace and applies the answer options", () => {
+  assert.equal(answerKey("The   Lion King"), "the lion king");
+  assert.equal(answerKey("The Lion King", { ignoreArticles: true }), "lion king");
+  // An answer made only of articles keeps them
+  assert.equal(answerKey("The A", { ignoreArticles: true }), "the a");
+  assert.equal(answerKey("ice cream", { ignoreSpaces: true }), "icecream");
+});
+
+test("parseAnswerList accepts arrays and ; or newline separated strings", () => {
+  assert.deepEqual(parseAnswerList("cat; dog\nbird;;"), ["cat", "dog", "bird"]);
+  assert.deepEqual(parseAnswerList([" cat ", "", "!!"]), ["cat"]);
+  assert.deepEqual(parseAnswerList(undefined), []);
+});
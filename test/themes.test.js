@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseTheme, parseWidgetList, getTheme, listThemes } from "../src/themes.js";
+
+test("parseTheme fills in the default theme", () => {
+  const { theme } = parseTheme({ name: "Brand", colors: { accent: "#ff0066" }, layout: { chat: "left" } });
+  assert.equal(theme.name, "brand");
+  assert.equal(theme.colors.accent, "#ff0066");
+  assert.equal(theme.colors.bg, getTheme("default").colors.bg);
+  assert.equal(theme.tiles, "text");
+  assert.deepEqual(theme.layout, { timer: "center", poll: "center", leaderboard: "center", chat: "left" });
+});
+
+test("parseTheme rejects bad themes", () => {
+  const theme = (t) => parseTheme({ name: "t", ...t });
+  assert.match(parseTheme({ name: "no spaces" }).error, /name/);
+  assert.match(theme({ colors: { accent: "red;}" } }).error, /color/);
+  assert.match(theme({ colors: { glow: "red" } }).error, /Unknown color/);
+  assert.match(theme({ font: "comic" }).error, /font/);
+  assert.match(theme({ fontScale: 5 }).error, /fontScale/);
+  assert.match(theme({ tiles: "stars" }).error, /tiles/);
+  assert.match(theme({ layout: { mask: "left" } }).error, /cannot be moved/);
+  assert.match(theme({ layout: { chat: "middle" } }).error, /layout\.chat/);
+});
+
+test("built-in themes are valid", () => {
+  for (const t of listThemes().filter((t) => t.builtin)) {
+    const { builtin, ...fields } = t;
+    assert.deepEqual(parseTheme(fields).theme, fields);
+  }
+});
+
+test("parseWidgetList accepts arrays and comma lists", () => {
+  assert.deepEqual(parseWidgetList("chat, leaderboard,chat").widgets, ["chat", "leaderboard"]);
+  assert.deepEqual(parseWidgetList(["mask"]).widgets, ["mask"]);
+  assert.deepEqual(parseWidgetList("").widgets, []);
+  assert.match(parseWidgetList("chat,ads").error, /ads/);
+});
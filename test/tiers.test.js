@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_TIER_LADDER, parseTierLadder, computeTier } from "../src/tiers.js";
+
+test("parseTierLadder sorts tiers and derives ids", () => {
+  const { ladder } = parseTierLadder({
+    metric: "wins",
+    tiers: [
+      { name: "Diamond Hands", threshold: 10, color: "#fff" },
+      { name: "Bronze", threshold: 1, color: "orange" },
+    ],
+  });
+  assert.equal(ladder.metric, "wins");
+  assert.deepEqual(
+    ladder.tiers.map((t) => t.id),
+    ["bronze", "diamond-hands"],
+  );
+});
+
+test("parseTierLadder rejects bad tiers", () => {
+  const tier = (t) => parseTierLadder({ tiers: [{ name: "A", threshold: 1, color: "red", ...t }] });
+  assert.match(tier({ color: "url(x)" }).error, /color/);
+  assert.match(tier({ threshold: -1 }).error, /threshold/);
+  assert.match(tier({ id: "none" }).error, /id/);
+  assert.match(tier({ badgeUrl: "javascript:alert(1)" }).error, /badge URL/);
+  assert.match(parseTierLadder({ metric: "likes", tiers: [] }).error, /metric/);
+});
+
+test("computeTier picks the highest tier reached", () => {
+  const { ladder } = parseTierLadder(DEFAULT_TIER_LADDER);
+  assert.equal(computeTier({ points_total: 0 }, ladder), "none");
+  assert.equal(computeTier({ points_total: 1 }, ladder), "red");
+  assert.equal(computeTier({ points_total: 1499 }, ladder), "gold");
+  assert.equal(computeTier({ points_total: 5000 }, ladder), "platinum");
+  assert.equal(computeTier({ wins_total: 600 }, { ...ladder, metric: "wins" }), "gold");
+});